@@ -7,7 +7,16 @@ if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+const EventEmitter = require('events');
+const readline = require('readline');
 const WebSocket = require('ws');
+const axios = require('axios');
+const yaml = require('js-yaml');
+const Database = require('better-sqlite3');
 const TelegramBot = require('node-telegram-bot-api');
 
 // ============================================================================
@@ -83,19 +92,51 @@ const CONFIG = {
   },
   
   // Time window for aggregation
+  // Символ може мати кілька іменованих вікон (windows у конфігу), інакше одне вікно 'main'
   WINDOW_SECONDS: parseInt(process.env.WINDOW_SECONDS) || 180,
+  DEFAULT_WINDOW_NAME: 'main',
   
-  // Open Interest settings (OKX WebSocket)
+  // Open Interest settings (OKX WebSocket + Binance REST / Bybit tickers)
   OI_ENABLED: process.env.OI_ENABLED === 'true' || true,
   OI_WINDOW_SECONDS: parseInt(process.env.OI_WINDOW_SECONDS) || 300, // 5 хвилин для OI аналізу
-  OI_HISTORY_MINUTES: 10, // Зберігати історію на 10 хвилин
+  OI_HISTORY_MINUTES: 20, // Зберігати історію на 20 хвилин (найдовший OI_LOOKBACKS_SECONDS + запас)
   OI_FINAL_CHECK_OFFSET_MS: 2000, // За 2 секунди до кінця хвилини робимо фінальну перевірку
+  // Джерела OI: OI_VENUES="okx,binance,bybit" (перша біржа з даними - джерело ціни)
+  OI_VENUES: (process.env.OI_VENUES || 'okx').split(',').map(v => v.trim().toLowerCase()).filter(Boolean),
+  // aggregate - Δ% сумарного OI; agree - додатково всі біржі мають рухатись в один бік і пройти поріг
+  OI_MODE: process.env.OI_MODE === 'agree' ? 'agree' : 'aggregate',
+  BINANCE_OI_POLL_SECONDS: parseInt(process.env.BINANCE_OI_POLL_SECONDS) || 15, // Binance OI лише через REST
+  // Історія OI/ціни - бакети з OHLC; Δ на моменті lookback інтерполюється між сусідніми бакетами
+  OI_BUCKET_SECONDS: parseInt(process.env.OI_BUCKET_SECONDS) || 5,
+  OI_MAX_INTERPOLATION_GAP_SECONDS: 60, // Через довший розрив - найближчий старіший бакет
+  OI_STALE_SECONDS: parseInt(process.env.OI_STALE_SECONDS) || 120, // Останній семпл старший - Δ не рахується
+  OI_LOOKBACKS_SECONDS: (process.env.OI_LOOKBACKS_SECONDS || '60,300,900').split(',').map(Number).filter(n => n > 0), // Δ OI в алерті
   
   // OI Threshold Filters (мінімальні пороги для використання OI в логіці)
   // Якщо зміни менші за ці пороги, OI не використовується і алерт йде по базовій логіці
   OI_MIN_DELTA_PERCENT: parseFloat(process.env.OI_MIN_DELTA_PERCENT) || 0.6, // Мінімальна зміна OI (%)
   OI_MIN_PRICE_CHANGE_PERCENT: parseFloat(process.env.OI_MIN_PRICE_CHANGE_PERCENT) || 0.35, // Мінімальна зміна ціни (%)
   
+  // Правила рішення (секція rules у файлі конфігу) поверх DEFAULT_DECISION_RULES
+  DECISION_RULES: [],
+  
+  // Confidence 0-100: зважена сума факторів 0..1 (наскільки метрика перевищила поріг);
+  // без OI даних фактори oi/agreement не враховуються і ваги решти нормуються
+  // CONFIDENCE_WEIGHTS="dominance:25,volume:25,price:20,oi:15,agreement:15" (перевіряє validateEnvConfig при старті);
+  // per-symbol minConfidence відкидає слабші сигнали
+  CONFIDENCE_WEIGHTS: {
+    dominance: 25,
+    volume: 25,
+    price: 20,
+    oi: 15,
+    agreement: 15,
+    ...Object.fromEntries(
+      (process.env.CONFIDENCE_WEIGHTS || '').split(',').filter(Boolean).map(pair => pair.trim().split(':')).map(([key, weight]) => [key, Number(weight)])
+    )
+  },
+  CONFIDENCE_SATURATION_MULTIPLE: parseFloat(process.env.CONFIDENCE_SATURATION_MULTIPLE) || 3, // Об'єм/ціна/OI у N разів вище порогу - фактор 1
+  MIN_CONFIDENCE: parseFloat(process.env.MIN_CONFIDENCE) || 0,
+  
   // Trading Hours
   TRADING_HOURS_ENABLED: process.env.TRADING_HOURS_ENABLED === 'true' || false,
   TRADING_START_HOUR_UTC: parseInt(process.env.TRADING_START_HOUR_UTC) || 5,
@@ -103,21 +144,172 @@ const CONFIG = {
   
   // System
   STATS_LOG_INTERVAL: parseInt(process.env.STATS_LOG_INTERVAL) || 60,
-  MAX_RECONNECTS: parseInt(process.env.MAX_RECONNECTS) || 10,
   
-  // Binance API (тільки для aggTrade WebSocket)
-  BINANCE_WS: 'wss://fstream.binance.com/ws',
+  // Binance API (combined streams для aggTrade)
+  BINANCE_WS_COMBINED: 'wss://fstream.binance.com/stream',
+  BINANCE_STREAMS_PER_CONNECTION: parseInt(process.env.BINANCE_STREAMS_PER_CONNECTION) || 100, // Ліміт Binance - 1024
+  BINANCE_STREAM_LIMIT: 1024, // Жорсткий ліміт Binance на combined stream - понад нього символи не додаються
+  BINANCE_MAX_CONNECTIONS: parseInt(process.env.BINANCE_MAX_CONNECTIONS) || 5,
+  BINANCE_CONTROL_INTERVAL_MS: 250, // Binance: max 10 вхідних повідомлень/с на з'єднання
+  RECONNECT_BASE_DELAY_MS: parseInt(process.env.RECONNECT_BASE_DELAY_MS) || 1000,
+  RECONNECT_MAX_DELAY_MS: parseInt(process.env.RECONNECT_MAX_DELAY_MS) || 60000,
+  
+  // Binance REST (discovery, instrument metadata)
+  BINANCE_REST: 'https://fapi.binance.com',
   
   // OKX API
   OKX_WS_PUBLIC: 'wss://ws.okx.com:8443/ws/v5/public',
+  OKX_REST: 'https://www.okx.com',
+  
+  // Bybit API (USDT perpetual)
+  BYBIT_WS_LINEAR: 'wss://stream.bybit.com/v5/public/linear',
+  // Тикери, що відрізняються від Binance: BYBIT_ALIASES="1000SHIBUSDT=SHIB1000USDT,..."
+  BYBIT_ALIASES: Object.fromEntries(
+    (process.env.BYBIT_ALIASES || '').split(',').filter(Boolean).map(pair => pair.trim().split('='))
+  ),
+  
+  // Додаткові біржі для потоку трейдів (Binance aggTrade завжди основне джерело і ціна)
+  // EXTRA_TRADE_VENUES="okx,bybit"; пороги minVolumeUSD застосовуються до сумарного об'єму
+  EXTRA_TRADE_VENUES: (process.env.EXTRA_TRADE_VENUES || '').split(',').map(v => v.trim().toLowerCase()).filter(Boolean),
+  
+  // Ліквідації: Binance forceOrder (у тих самих combined streams) + OKX liquidation-orders
+  // Вікно те саме, що в трейдів; per-symbol minLiquidationUSD вимагає ліквідацій на стороні, яку тисне потік
+  // Опційно: forceOrder додає stream на символ у кожен шард (вдвічі менше символів на з'єднання)
+  LIQUIDATIONS_ENABLED: process.env.LIQUIDATIONS_ENABLED === 'true' || false,
+  LIQUIDATION_VENUES: (process.env.LIQUIDATION_VENUES || 'binance,okx').split(',').map(v => v.trim().toLowerCase()).filter(Boolean),
+  
+  // Order book: локальні книги з Binance diff-depth (ще один stream на символ)
+  // Per-symbol minDepthImbalance вимагає перевагу стакану в бік потоку в смузі ±DEPTH_FILTER_BAND_PERCENT
+  DEPTH_ENABLED: process.env.DEPTH_ENABLED === 'true' || false,
+  DEPTH_SNAPSHOT_LIMIT: parseInt(process.env.DEPTH_SNAPSHOT_LIMIT) || 1000,
+  DEPTH_BANDS_PERCENT: [0.5, 1],
+  DEPTH_FILTER_BAND_PERCENT: 1,
+  DEPTH_WALL_MULTIPLIER: parseFloat(process.env.DEPTH_WALL_MULTIPLIER) || 5, // Рівень у N разів більший за середній - стіна
+  DEPTH_MAX_BUFFERED_EVENTS: 1000,
+  
+  // Funding і basis: Binance markPrice@1s (ставка, mark/index) + OKX funding-rate (ставка і прогноз)
+  // Контекст рішення: висока ставка + OI росте = перевантажена сторона (напрямок не змінює)
+  // Опційно: markPrice@1s додає stream на символ у кожен шард
+  FUNDING_ENABLED: process.env.FUNDING_ENABLED === 'true' || false,
+  FUNDING_VENUES: (process.env.FUNDING_VENUES || 'binance,okx').split(',').map(v => v.trim().toLowerCase()).filter(Boolean),
+  FUNDING_EXTREME_PERCENT: parseFloat(process.env.FUNDING_EXTREME_PERCENT) || 0.05, // % за період (базова ставка 0.01%)
+  BASIS_EXTREME_PERCENT: parseFloat(process.env.BASIS_EXTREME_PERCENT) || 0.15, // |mark - index| / index, %
+  FUNDING_STALE_SECONDS: 120,
+  FUNDING_RECORD_INTERVAL_SECONDS: 30, // Запис сесії: при зміні ставки або раз на N секунд (mark/index), < FUNDING_STALE_SECONDS
+  
+  // CVD по барах 1m/5m/15m/1h і дивергенції ціна/CVD (окремий тип алерту з власним cooldown)
+  // Per-symbol override: divergenceEnabled, divergenceMinPriceExtension, divergenceMinCvdGapUSD, divergenceCooldownMinutes
+  CVD_MAX_BARS: 200, // На кожен таймфрейм
+  DIVERGENCE_ENABLED: process.env.DIVERGENCE_ENABLED === 'true' || false,
+  DIVERGENCE_TIMEFRAME: process.env.DIVERGENCE_TIMEFRAME || '5m',
+  DIVERGENCE_LOOKBACK_BARS: parseInt(process.env.DIVERGENCE_LOOKBACK_BARS) || 12,
+  DIVERGENCE_MIN_PRICE_EXTENSION_PERCENT: parseFloat(process.env.DIVERGENCE_MIN_PRICE_EXTENSION_PERCENT) || 0.1, // Новий екстремум ціни, % над попереднім
+  DIVERGENCE_MIN_CVD_GAP_USD: parseFloat(process.env.DIVERGENCE_MIN_CVD_GAP_USD) || 0, // Наскільки CVD не дотягнув до свого екстремуму
+  DIVERGENCE_COOLDOWN_MINUTES: parseInt(process.env.DIVERGENCE_COOLDOWN_MINUTES) || 30,
+  
+  // Адаптивні пороги (ADAPTIVE_ENABLED або per-symbol adaptive): minVolumeUSD = mean + z·std об'єму
+  // неперекривних вікон тієї ж довжини за ADAPTIVE_BASELINE_HOURS, minPriceChange = k·ATR% барів ADAPTIVE_ATR_TIMEFRAME
+  // Поки база не набрана - фіксовані пороги; per-symbol: adaptiveMinVolumeZScore, adaptiveMinAtrMultiple
+  ADAPTIVE_ENABLED: process.env.ADAPTIVE_ENABLED === 'true' || false,
+  ADAPTIVE_BASELINE_HOURS: parseInt(process.env.ADAPTIVE_BASELINE_HOURS) || 24,
+  ADAPTIVE_BASELINE_BUCKET_MINUTES: 60, // База зберігається погодинними сумами, не сирими періодами
+  ADAPTIVE_MIN_SAMPLES: parseInt(process.env.ADAPTIVE_MIN_SAMPLES) || 30, // Закритих періодів вікна до адаптивного об'єму
+  ADAPTIVE_MIN_VOLUME_ZSCORE: parseFloat(process.env.ADAPTIVE_MIN_VOLUME_ZSCORE) || 2.5,
+  ADAPTIVE_ATR_TIMEFRAME: process.env.ADAPTIVE_ATR_TIMEFRAME || '5m', // Один з таймфреймів CVD
+  ADAPTIVE_ATR_PERIOD: parseInt(process.env.ADAPTIVE_ATR_PERIOD) || 14,
+  ADAPTIVE_MIN_ATR_MULTIPLE: parseFloat(process.env.ADAPTIVE_MIN_ATR_MULTIPLE) || 1,
+  
+  // Instrument mapping: ручні відповідності для перейменованих тикерів
+  // INSTRUMENT_ALIASES="RNDRUSDT=RENDER-USDT-SWAP,..."
+  INSTRUMENT_ALIASES: Object.fromEntries(
+    (process.env.INSTRUMENT_ALIASES || '').split(',').filter(Boolean).map(pair => pair.trim().split('='))
+  ),
+  INSTRUMENTS_REFRESH_HOURS: parseInt(process.env.INSTRUMENTS_REFRESH_HOURS) || 6,
+  
+  // Auto-discovery: всі USDT perpetual з об'ємом вище порогу, що є і на OKX
+  DISCOVERY_ENABLED: process.env.DISCOVERY_ENABLED === 'true' || false,
+  DISCOVERY_MIN_24H_VOLUME_USD: parseFloat(process.env.DISCOVERY_MIN_24H_VOLUME_USD) || 100_000_000,
+  DISCOVERY_MAX_SYMBOLS: parseInt(process.env.DISCOVERY_MAX_SYMBOLS) || 100,
+  DISCOVERY_REFRESH_MINUTES: parseInt(process.env.DISCOVERY_REFRESH_MINUTES) || 60,
+  DISCOVERY_EXCLUDE: (process.env.DISCOVERY_EXCLUDE || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean),
+  // minVolumeUSD = середній об'єм за вікно * множник (не менше мінімуму)
+  DISCOVERY_VOLUME_MULTIPLIER: parseFloat(process.env.DISCOVERY_VOLUME_MULTIPLIER) || 3,
+  DISCOVERY_MIN_WINDOW_VOLUME_USD: parseFloat(process.env.DISCOVERY_MIN_WINDOW_VOLUME_USD) || 500_000,
   
   // Telegram
   TELEGRAM_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
   TELEGRAM_CHAT_ID: process.env.TELEGRAM_CHAT_ID,
   
+  // Telegram команди (керування ботом з чату)
+  TELEGRAM_COMMANDS_ENABLED: process.env.TELEGRAM_COMMANDS_ENABLED === 'true' || false,
+  TELEGRAM_ADMIN_IDS: (process.env.TELEGRAM_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+  
+  // Пороги для символів, доданих через /add
+  DEFAULT_SYMBOL_CONFIG: {
+    minVolumeUSD: 1_000_000,
+    minDominance: 65.0,
+    minPriceChange: 0.5,
+    cooldownMinutes: 5,
+    enabled: true
+  },
+  
   // Trading bot integration settings
   TRADING_BOT_ENABLED: process.env.TRADING_BOT_ENABLED === 'true' || false,
-  ALERT_FORMAT: 'structured' // 'structured' for bot parsing or 'human' for readable
+  ALERT_FORMAT: 'structured', // 'structured' for bot parsing or 'human' for readable
+  
+  // Webhooks для торгового бота (працюють при TRADING_BOT_ENABLED)
+  // WEBHOOKS='[{"name":"bot","url":"https://...","secret":"...","symbols":["BTCUSDT"],"decisions":["ENTER"]}]'
+  // events: ["signal", "divergence"] - типи подій для адреси (за замовчуванням усі)
+  // або одна адреса: WEBHOOK_URL + WEBHOOK_SECRET
+  WEBHOOKS: process.env.WEBHOOKS || null,
+  WEBHOOK_URL: process.env.WEBHOOK_URL || null,
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET || null,
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+  WEBHOOK_MAX_RETRIES: parseInt(process.env.WEBHOOK_MAX_RETRIES) || 5,
+  WEBHOOK_RETRY_BASE_MS: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+  WEBHOOK_RETRY_MAX_MS: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 30000,
+  
+  // Локальний потік сигналів (WebSocket/SSE + REST snapshot)
+  FEED_ENABLED: process.env.FEED_ENABLED === 'true' || false,
+  FEED_HOST: process.env.FEED_HOST || '127.0.0.1',
+  FEED_PORT: parseInt(process.env.FEED_PORT) || 8080,
+  FEED_TOKEN: process.env.FEED_TOKEN || null,
+  FEED_STATS_INTERVAL_MS: parseInt(process.env.FEED_STATS_INTERVAL_MS) || 5000,
+  FEED_MIN_INTERVAL_MS: parseInt(process.env.FEED_MIN_INTERVAL_MS) || 1000,
+  FEED_RECENT_ALERTS: parseInt(process.env.FEED_RECENT_ALERTS) || 100,
+  
+  // Зовнішній конфіг (JSON/YAML) з hot reload
+  CONFIG_FILE: process.env.CONFIG_FILE || null,
+  CONFIG_WATCH_INTERVAL_MS: parseInt(process.env.CONFIG_WATCH_INTERVAL_MS) || 2000,
+  
+  // Recording (сирі повідомлення для replay)
+  RECORD_ENABLED: process.env.RECORD_ENABLED === 'true' || false,
+  RECORD_DIR: process.env.RECORD_DIR || './recordings',
+  
+  // Збереження стану між рестартами
+  STATE_ENABLED: process.env.STATE_ENABLED === 'true' || false,
+  STATE_FILE: process.env.STATE_FILE || './data/state.json',
+  STATE_SAVE_INTERVAL_SECONDS: parseInt(process.env.STATE_SAVE_INTERVAL_SECONDS) || 30,
+  
+  // Журнал алертів (SQLite)
+  JOURNAL_ENABLED: process.env.JOURNAL_ENABLED === 'true' || false,
+  JOURNAL_PATH: process.env.JOURNAL_PATH || './data/alerts.db',
+  
+  // Backtest: горизонти оцінки результату алерту (хвилини)
+  BACKTEST_HORIZONS_MINUTES: [1, 5, 15, 60],
+  
+  // Результат живих алертів: відповідь на алерт у Telegram на кожному горизонті
+  OUTCOMES_ENABLED: process.env.OUTCOMES_ENABLED === 'true' || false,
+  OUTCOME_HORIZONS_MINUTES: (process.env.OUTCOME_HORIZONS_MINUTES || '5,15,60').split(',').map(Number).filter(n => n > 0),
+  
+  // Життєвий цикл алерту: під час cooldown - ескалації і фінальне "потік вичерпано" (AlertLifecycle)
+  // reply - відповіді на алерт; edit - рядки дописуються в сам алерт
+  ALERT_LIFECYCLE_ENABLED: process.env.ALERT_LIFECYCLE_ENABLED === 'true' || false,
+  ALERT_LIFECYCLE_MODE: process.env.ALERT_LIFECYCLE_MODE === 'edit' ? 'edit' : 'reply',
+  ALERT_ESCALATION_TIERS: (process.env.ALERT_ESCALATION_TIERS || '2,3,5').split(',').map(Number).filter(n => n > 1).sort((a, b) => a - b),
+  ALERT_EXHAUSTION_SECONDS: parseInt(process.env.ALERT_EXHAUSTION_SECONDS) || 60,
+  ALERT_EXHAUSTION_RETRACE_PERCENT: parseFloat(process.env.ALERT_EXHAUSTION_RETRACE_PERCENT) || 50,
+  ALERT_LIFECYCLE_OI_CHECK_SECONDS: 15
 };
 
 // Helper to get enabled symbols
@@ -132,1372 +324,8431 @@ CONFIG.getSymbolConfig = (symbol) => {
   return CONFIG.SYMBOL_CONFIGS[symbol] || null;
 };
 
-// Helper: Binance symbol to OKX format (BTCUSDT -> BTC-USDT-SWAP)
+// Helper: OI thresholds for symbol (per-symbol override or global)
+CONFIG.getOIThresholds = (symbol) => {
+  const config = CONFIG.getSymbolConfig(symbol) || {};
+  return {
+    minDeltaPercent: config.oiMinDeltaPercent ?? CONFIG.OI_MIN_DELTA_PERCENT,
+    minPriceChangePercent: config.oiMinPriceChangePercent ?? CONFIG.OI_MIN_PRICE_CHANGE_PERCENT
+  };
+};
+
+// Helper: правила рішення символу (вбудовані -> rules файлу -> rules символу), за пріоритетом
+CONFIG.getDecisionRules = (symbol) => {
+  const config = CONFIG.getSymbolConfig(symbol) || {};
+  return mergeDecisionRules([DEFAULT_DECISION_RULES, CONFIG.DECISION_RULES, config.rules]);
+};
+
+// Helper: іменовані вікна символу з порогами (windows або одне вікно з windowSeconds);
+// порогів, не заданих у вікні, беруться з символу
+CONFIG.getWindows = (symbol, defaultSeconds = CONFIG.WINDOW_SECONDS) => {
+  const config = CONFIG.getSymbolConfig(symbol) || {};
+  const windows = config.windows || { [CONFIG.DEFAULT_WINDOW_NAME]: { seconds: config.windowSeconds || defaultSeconds } };
+  
+  return Object.entries(windows).map(([name, window]) => ({
+    name,
+    seconds: window.seconds,
+    minVolumeUSD: window.minVolumeUSD ?? config.minVolumeUSD,
+    minDominance: window.minDominance ?? config.minDominance,
+    minPriceChange: window.minPriceChange ?? config.minPriceChange
+  }));
+};
+
+// Helper: налаштування дивергенцій CVD для символу (per-symbol override або глобальні)
+CONFIG.getDivergenceSettings = (symbol) => {
+  const config = CONFIG.getSymbolConfig(symbol) || {};
+  return {
+    enabled: config.divergenceEnabled ?? CONFIG.DIVERGENCE_ENABLED,
+    minPriceExtensionPercent: config.divergenceMinPriceExtension ?? CONFIG.DIVERGENCE_MIN_PRICE_EXTENSION_PERCENT,
+    minCvdGapUSD: config.divergenceMinCvdGapUSD ?? CONFIG.DIVERGENCE_MIN_CVD_GAP_USD,
+    cooldownMinutes: config.divergenceCooldownMinutes ?? CONFIG.DIVERGENCE_COOLDOWN_MINUTES
+  };
+};
+
+// Helper: налаштування адаптивних порогів символу (per-symbol override або глобальні)
+CONFIG.getAdaptiveSettings = (symbol) => {
+  const config = CONFIG.getSymbolConfig(symbol) || {};
+  return {
+    enabled: config.adaptive ?? CONFIG.ADAPTIVE_ENABLED,
+    minVolumeZScore: config.adaptiveMinVolumeZScore ?? CONFIG.ADAPTIVE_MIN_VOLUME_ZSCORE,
+    minAtrMultiple: config.adaptiveMinAtrMultiple ?? CONFIG.ADAPTIVE_MIN_ATR_MULTIPLE
+  };
+};
+
+// Helper: Binance symbol to OKX format (BTCUSDT -> BTC-USDT-SWAP, 1000PEPEUSDT -> PEPE-USDT-SWAP)
 CONFIG.binanceToOKX = (binanceSymbol) => {
-  // BTCUSDT -> BTC-USDT-SWAP
-  const base = binanceSymbol.replace('USDT', '');
-  return `${base}-USDT-SWAP`;
+  return instrumentRegistry.toOKX(binanceSymbol);
 };
 
 // Helper: OKX symbol to Binance format (BTC-USDT-SWAP -> BTCUSDT)
 CONFIG.okxToBinance = (okxSymbol) => {
-  // BTC-USDT-SWAP -> BTCUSDT
-  return okxSymbol.replace('-USDT-SWAP', 'USDT');
+  return instrumentRegistry.toBinance(okxSymbol);
+};
+
+// Helper: Binance symbol to Bybit linear (той самий тикер, крім BYBIT_ALIASES)
+CONFIG.binanceToBybit = (binanceSymbol) => {
+  return CONFIG.BYBIT_ALIASES[binanceSymbol] || binanceSymbol;
+};
+
+CONFIG.bybitToBinance = (bybitSymbol) => {
+  const alias = Object.entries(CONFIG.BYBIT_ALIASES).find(([, bybit]) => bybit === bybitSymbol);
+  return alias ? alias[0] : bybitSymbol;
 };
 
 // Helper: Check if within trading hours
-CONFIG.isWithinTradingHours = () => {
+CONFIG.isWithinTradingHours = (timestamp = Date.now()) => {
   if (!CONFIG.TRADING_HOURS_ENABLED) {
     return true;
   }
   
-  const now = new Date();
+  const now = new Date(timestamp);
   const hourUTC = now.getUTCHours();
   
   return hourUTC >= CONFIG.TRADING_START_HOUR_UTC && hourUTC < CONFIG.TRADING_END_HOUR_UTC;
 };
 
+// Helper: webhook destinations (WEBHOOKS JSON або WEBHOOK_URL)
+CONFIG.getWebhookDestinations = () => {
+  let destinations = [];
+  
+  if (CONFIG.WEBHOOKS) {
+    try {
+      destinations = JSON.parse(CONFIG.WEBHOOKS);
+    } catch (error) {
+      throw new Error(`WEBHOOKS: невалідний JSON (${error.message})`);
+    }
+    if (!Array.isArray(destinations)) {
+      throw new Error('WEBHOOKS: очікується масив');
+    }
+  } else if (CONFIG.WEBHOOK_URL) {
+    destinations = [{ url: CONFIG.WEBHOOK_URL, secret: CONFIG.WEBHOOK_SECRET }];
+  }
+  
+  return destinations.map((destination, i) => {
+    if (!destination || typeof destination.url !== 'string') {
+      throw new Error(`WEBHOOKS[${i}]: потрібен url`);
+    }
+    return { name: destination.name || `webhook-${i + 1}`, ...destination };
+  });
+};
+
 // ============================================================================
-// OKX OPEN INTEREST TRACKER (WebSocket with local cache)
+// CLOCK (реальний час або симульований для replay)
 // ============================================================================
 
-class OKXOpenInterestTracker {
-  constructor(symbols, windowSeconds, historyMinutes) {
-    this.binanceSymbols = symbols; // BTCUSDT, ETHUSDT...
-    this.windowMs = windowSeconds * 1000;
-    this.historyMs = historyMinutes * 60 * 1000;
-    
-    // Локальний кеш: Map<OKX_SYMBOL, {lastOI, lastPrice, history}>
-    // history: [{ts, oi, price}]
-    this.oiCache = new Map();
-    
-    // Ініціалізація кешу
-    this.binanceSymbols.forEach(binanceSymbol => {
-      const okxSymbol = CONFIG.binanceToOKX(binanceSymbol);
-      this.oiCache.set(okxSymbol, {
-        lastOI: null,
-        lastPrice: null,
-        history: []
-      });
-    });
-    
-    this.ws = null;
-    this.reconnectCount = 0;
-    this.reconnectTimer = null;
-    this.heartbeatInterval = null;
-    this.isRunning = false;
+class SystemClock {
+  now() {
+    return Date.now();
   }
 
-  start() {
-    if (this.isRunning) {
-      console.log('[OKX-OI] Вже запущено');
-      return;
-    }
+  setTimeout(callback, ms) {
+    return setTimeout(callback, ms);
+  }
 
-    this.isRunning = true;
-    console.log(`[OKX-OI] Запуск WebSocket трекінгу для ${this.binanceSymbols.length} символів`);
-    this.connect();
+  clearTimeout(timer) {
+    clearTimeout(timer);
   }
 
-  connect() {
-    try {
-      this.ws = new WebSocket(CONFIG.OKX_WS_PUBLIC);
+  setInterval(callback, ms) {
+    return setInterval(callback, ms);
+  }
 
-      this.ws.on('open', () => {
-        console.log('[OKX-OI] WebSocket підключено');
-        this.reconnectCount = 0;
-        this.subscribeToChannels();
-        this.startHeartbeat();
-      });
+  clearInterval(timer) {
+    clearInterval(timer);
+  }
+}
 
-      this.ws.on('message', (data) => {
-        this.handleMessage(data);
-      });
+class SimulatedClock {
+  constructor(startTime = 0) {
+    this.currentTime = startTime;
+    this.timers = new Map(); // Map<id, {callback, dueAt, interval}>
+    this.nextTimerId = 1;
+  }
 
-      this.ws.on('error', (error) => {
-        console.error('[OKX-OI] WebSocket помилка:', error.message);
-      });
+  now() {
+    return this.currentTime;
+  }
 
-      this.ws.on('close', () => {
-        console.log('[OKX-OI] WebSocket закрито');
-        this.stopHeartbeat();
-        this.scheduleReconnect();
-      });
+  setTimeout(callback, ms) {
+    return this.addTimer(callback, ms, null);
+  }
 
-    } catch (error) {
-      console.error('[OKX-OI] Помилка створення WebSocket:', error.message);
-      this.scheduleReconnect();
-    }
+  clearTimeout(timer) {
+    this.timers.delete(timer);
   }
 
-  subscribeToChannels() {
-    // Підписуємось на open-interest та mark-price для всіх символів
-    const args = [];
-    
-    this.binanceSymbols.forEach(binanceSymbol => {
-      const okxSymbol = CONFIG.binanceToOKX(binanceSymbol);
-      
-      // Open Interest channel
-      args.push({
-        channel: 'open-interest',
-        instId: okxSymbol
-      });
-      
-      // Mark Price channel (або можна використати tickers для last price)
-      args.push({
-        channel: 'mark-price',
-        instId: okxSymbol
-      });
-    });
+  setInterval(callback, ms) {
+    return this.addTimer(callback, ms, Math.max(1, ms));
+  }
 
-    const subscribeMessage = {
-      op: 'subscribe',
-      args: args
-    };
+  clearInterval(timer) {
+    this.timers.delete(timer);
+  }
 
-    this.ws.send(JSON.stringify(subscribeMessage));
-    console.log(`[OKX-OI] Підписка на ${args.length} каналів (${this.binanceSymbols.length} символів)`);
+  addTimer(callback, ms, interval) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, {
+      callback,
+      dueAt: this.currentTime + Math.max(0, ms || 0),
+      interval
+    });
+    return id;
   }
 
-  handleMessage(data) {
-    try {
-      const message = JSON.parse(data);
-      
-      // Ping-pong
-      if (message.event === 'ping') {
-        this.ws.send(JSON.stringify({ op: 'pong' }));
-        return;
-      }
-      
-      // Subscription confirmation
-      if (message.event === 'subscribe') {
-        // console.log('[OKX-OI] Підписка підтверджена:', message.arg);
-        return;
-      }
-      
-      // Data updates
-      if (message.data && Array.isArray(message.data) && message.arg) {
-        const channel = message.arg.channel;
-        const instId = message.arg.instId; // OKX symbol (BTC-USDT-SWAP)
-        
-        if (channel === 'open-interest') {
-          this.handleOpenInterest(instId, message.data);
-        } else if (channel === 'mark-price') {
-          this.handleMarkPrice(instId, message.data);
+  // Просуває час до timestamp, викликаючи всі таймери в хронологічному порядку.
+  // Повертає кількість спрацьованих таймерів
+  advanceTo(timestamp) {
+    let fired = 0;
+
+    while (true) {
+      let nextId = null;
+      let next = null;
+
+      for (const [id, timer] of this.timers) {
+        if (timer.dueAt <= timestamp && (!next || timer.dueAt < next.dueAt)) {
+          nextId = id;
+          next = timer;
         }
       }
-      
-    } catch (error) {
-      console.error('[OKX-OI] Помилка обробки повідомлення:', error.message);
-    }
-  }
 
-  handleOpenInterest(okxSymbol, dataArray) {
-    if (!dataArray || dataArray.length === 0) return;
-    
-    const data = dataArray[0];
-    const oi = parseFloat(data.oi);
-    const timestamp = parseInt(data.ts);
-    
-    if (isNaN(oi) || isNaN(timestamp)) return;
-    
-    const cache = this.oiCache.get(okxSymbol);
-    if (!cache) return;
-    
-    cache.lastOI = oi;
-    
-    // Додаємо в історію
-    this.addToHistory(okxSymbol, timestamp, oi, cache.lastPrice);
-  }
+      if (!next) break;
 
-  handleMarkPrice(okxSymbol, dataArray) {
-    if (!dataArray || dataArray.length === 0) return;
-    
-    const data = dataArray[0];
-    const markPrice = parseFloat(data.markPx);
-    const timestamp = parseInt(data.ts);
-    
-    if (isNaN(markPrice) || isNaN(timestamp)) return;
-    
-    const cache = this.oiCache.get(okxSymbol);
-    if (!cache) return;
-    
-    cache.lastPrice = markPrice;
-    
-    // Додаємо в історію
-    this.addToHistory(okxSymbol, timestamp, cache.lastOI, markPrice);
-  }
+      this.currentTime = Math.max(this.currentTime, next.dueAt);
 
-  addToHistory(okxSymbol, timestamp, oi, price) {
-    const cache = this.oiCache.get(okxSymbol);
-    if (!cache) return;
-    
-    // Якщо обидва значення доступні, додаємо
-    if (oi !== null && price !== null) {
-      cache.history.push({ ts: timestamp, oi, price });
-      
-      // Видаляємо старі записи
-      const cutoff = Date.now() - this.historyMs;
-      cache.history = cache.history.filter(item => item.ts >= cutoff);
+      if (next.interval) {
+        next.dueAt += next.interval;
+      } else {
+        this.timers.delete(nextId);
+      }
+
+      next.callback();
+      fired++;
     }
+
+    this.currentTime = Math.max(this.currentTime, timestamp);
+    return fired;
   }
+}
 
-  getOIStats(binanceSymbol) {
-    const okxSymbol = CONFIG.binanceToOKX(binanceSymbol);
-    const cache = this.oiCache.get(okxSymbol);
-    
-    if (!cache || cache.history.length === 0) {
-      return null;
-    }
+const systemClock = new SystemClock();
 
-    const now = Date.now();
-    const windowAgoTime = now - this.windowMs;
+// ============================================================================
+// SESSION RECORDER (NDJSON запис сирих повідомлень)
+// ============================================================================
 
-    // Поточні значення (останній запис)
-    const latest = cache.history[cache.history.length - 1];
-    const oiNow = latest.oi;
-    const priceNow = latest.price;
+class SessionRecorder {
+  constructor(directory, clock = systemClock) {
+    this.directory = directory;
+    this.clock = clock;
+    this.stream = null;
+    this.currentHour = null;
+    this.recordCount = 0;
+  }
 
-    // Знаходимо найближчий запис старіше за window
-    let oi5mAgo = null;
-    let price5mAgo = null;
-    
-    for (let i = cache.history.length - 1; i >= 0; i--) {
-      if (cache.history[i].ts <= windowAgoTime) {
-        oi5mAgo = cache.history[i].oi;
-        price5mAgo = cache.history[i].price;
-        break;
-      }
-    }
+  start() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    console.log(`[RECORDER] Запис сесії в ${this.directory}`);
+  }
 
-    // Якщо немає даних за window назад, не можемо порахувати delta
-    if (oi5mAgo === null || price5mAgo === null) {
-      return {
-        oiNow,
-        oi5mAgo: null,
-        oiDeltaPct: null,
-        oiDelta: null,
-        priceNow,
-        price5mAgo: null,
-        priceDeltaPct: null,
-        hasWindowData: false,
-        historyCount: cache.history.length
-      };
+  // Новий файл на кожну годину: session-2024-01-01T12-00-00-000Z.ndjson
+  rotate(timestamp) {
+    const hour = Math.floor(timestamp / 3_600_000);
+    if (this.stream && hour === this.currentHour) return;
+
+    if (this.stream) {
+      this.stream.end();
     }
 
-    const oiDelta = oiNow - oi5mAgo;
-    const oiDeltaPct = (oiDelta / oi5mAgo) * 100;
-    
-    const priceDelta = priceNow - price5mAgo;
-    const priceDeltaPct = (priceDelta / price5mAgo) * 100;
+    const stamp = new Date(timestamp).toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(this.directory, `session-${stamp}.ndjson`);
 
-    return {
-      oiNow,
-      oi5mAgo,
-      oiDeltaPct,
-      oiDelta,
-      priceNow,
-      price5mAgo,
-      priceDeltaPct,
-      hasWindowData: true,
-      historyCount: cache.history.length
-    };
+    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      console.error('[RECORDER] Помилка запису:', error.message);
+    });
+    this.currentHour = hour;
   }
 
-  getHistoryCount(binanceSymbol) {
-    const okxSymbol = CONFIG.binanceToOKX(binanceSymbol);
-    const cache = this.oiCache.get(okxSymbol);
-    return cache ? cache.history.length : 0;
+  // source: 'binance' | 'trade' (OKX/Bybit, нормалізовані) | 'liquidation' | 'funding' (нормалізовані) | 'okx' | 'oi' (Binance/Bybit, нормалізовані) | 'alert'
+  record(source, symbol, data) {
+    const ts = this.clock.now();
+    this.rotate(ts);
+    this.stream.write(JSON.stringify({ ts, source, symbol, data }) + '\n');
+    this.recordCount++;
   }
 
-  startHeartbeat() {
-    // OKX WebSocket heartbeat (ping every 20s)
-    this.heartbeatInterval = setInterval(() => {
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.ws.send(JSON.stringify({ op: 'ping' }));
-      }
-    }, 20000);
-  }
-
-  stopHeartbeat() {
-    if (this.heartbeatInterval) {
-      clearInterval(this.heartbeatInterval);
-      this.heartbeatInterval = null;
-    }
-  }
-
-  scheduleReconnect() {
-    if (!this.isRunning) return;
-    
-    this.reconnectCount++;
-    const delay = Math.min(5000 * this.reconnectCount, 60000); // Max 60s
-    
-    console.log(`[OKX-OI] Переподключення через ${delay / 1000}s (спроба ${this.reconnectCount})`);
-    
-    this.reconnectTimer = setTimeout(() => {
-      this.connect();
-    }, delay);
+  getCount() {
+    return this.recordCount;
   }
 
   stop() {
-    this.isRunning = false;
-    this.stopHeartbeat();
-    
-    if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
-      this.reconnectTimer = null;
-    }
-    
-    if (this.ws) {
-      this.ws.close();
-      this.ws = null;
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
     }
-    
-    console.log('[OKX-OI] Зупинено');
+    console.log(`[RECORDER] Зупинено (${this.recordCount} записів)`);
   }
 }
 
+// Компактний відбиток алерту для порівняння live vs replay
+function summarizeAlert(alertData) {
+  const { symbol, stats, interpretation } = alertData;
+  return {
+    symbol,
+    sentAt: alertData.sentAt || alertData.timestamp,
+    dominantSide: stats.dominantSide,
+    finalDirection: interpretation.finalDirection,
+    decision: interpretation.decision,
+    volume: parseFloat(stats.totalVolume.toFixed(2)),
+    priceChange: parseFloat(stats.priceChange.toFixed(4))
+  };
+}
+
 // ============================================================================
-// SYMBOL STATE
+// ALERT JOURNAL (SQLite: кожен алерт зі статистикою, OI та фінальною перевіркою)
 // ============================================================================
 
-class SymbolState {
-  constructor(symbol, windowSeconds) {
-    this.symbol = symbol;
-    this.windowMs = windowSeconds * 1000;
-    this.trades = [];
-    this.firstPrice = null;
-    this.lastPrice = null;
-  }
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+const toFlag = (value) => (value ? 1 : 0);
 
-  addTrade(timestamp, price, quantity, isBuyerMaker) {
-    const volume = price * quantity;
-    
-    const trade = {
-      timestamp,
-      price,
-      buyVol: isBuyerMaker ? 0 : volume,
-      sellVol: isBuyerMaker ? volume : 0
-    };
+// Колонка -> значення з alertData; той самий порядок використовує CSV експорт
+const JOURNAL_COLUMNS = {
+  id: (a) => a.id,
+  symbol: (a) => a.symbol,
+  created_at: (a) => a.timestamp,
+  sent_at: (a) => a.sentAt,
+  direction: (a) => a.interpretation.finalDirection,
+  flow_direction: (a) => a.interpretation.flowDirection ?? null,
+  decision: (a) => a.interpretation.decision,
+  type: (a) => a.interpretation.type ?? null,
+  dominant_side: (a) => a.stats.dominantSide,
+  price: (a) => a.stats.lastPrice,
+  price_change: (a) => a.stats.priceChange,
+  volume: (a) => a.stats.totalVolume,
+  buy_volume: (a) => a.stats.buyVolume,
+  sell_volume: (a) => a.stats.sellVolume,
+  dominance: (a) => a.stats.dominance,
+  duration: (a) => a.stats.duration,
+  trade_count: (a) => a.stats.tradeCount ?? null,
+  oi_used: (a) => toFlag(a.interpretation.oiUsed),
+  oi_delta_passed: (a) => toFlag(a.interpretation.oiDeltaPassed),
+  oi_price_passed: (a) => toFlag(a.interpretation.oiPricePassed),
+  oi_override: (a) => toFlag(a.interpretation.oiOverride),
+  oi_reason: (a) => a.interpretation.oiReason ?? null,
+  oi_now: (a) => a.oiStats?.oiNow ?? null,
+  oi_5m_ago: (a) => a.oiStats?.oi5mAgo ?? null,
+  oi_now_usd: (a) => a.oiStats?.oiNowUSD ?? null,
+  oi_delta_pct: (a) => a.oiStats?.oiDeltaPct ?? null,
+  price_delta_pct: (a) => a.oiStats?.priceDeltaPct ?? null,
+  final_check_changed: (a) => toFlag(a.finalCheck && a.finalCheck.changes.length > 0),
+  telegram_status: (a) => (a.messageId !== undefined ? 'sent' : 'failed'),
+  telegram_message_id: (a) => a.messageId ?? null,
+  stats_json: (a) => toJson(a.stats),
+  interpretation_json: (a) => toJson(a.interpretation),
+  oi_stats_json: (a) => toJson(a.oiStats),
+  final_check_json: (a) => toJson(a.finalCheck)
+};
 
-    this.trades.push(trade);
-    this.lastPrice = price;
-    
-    if (this.firstPrice === null) {
-      this.firstPrice = price;
-    }
+// Дивергенції CVD - окрема таблиця divergences (без stats/interpretation сигналу)
+const DIVERGENCE_JOURNAL_COLUMNS = {
+  id: (d) => d.id,
+  symbol: (d) => d.symbol,
+  sent_at: (d) => d.sentAt,
+  direction: (d) => d.payload.direction,
+  type: (d) => d.divergence.type,
+  timeframe: (d) => d.divergence.timeframe,
+  bar_start: (d) => d.divergence.barStart,
+  price: (d) => d.divergence.price,
+  price_extreme: (d) => d.divergence.priceExtreme,
+  price_extreme_prev: (d) => d.divergence.priceExtremePrev,
+  price_extension_pct: (d) => d.divergence.priceExtensionPct,
+  cvd_extreme: (d) => d.divergence.cvdExtreme,
+  cvd_extreme_prev: (d) => d.divergence.cvdExtremePrev,
+  cvd_gap_usd: (d) => d.divergence.cvdGapUSD,
+  telegram_status: (d) => (d.messageId !== undefined ? 'sent' : 'failed'),
+  telegram_message_id: (d) => d.messageId ?? null
+};
+
+const JOURNAL_TEXT_COLUMNS = [
+  'id', 'symbol', 'direction', 'flow_direction', 'decision', 'type', 'dominant_side', 'oi_reason',
+  'telegram_status', 'stats_json', 'interpretation_json', 'oi_stats_json', 'final_check_json', 'timeframe'
+];
 
-    this.cleanup(timestamp);
+// Таблиця журналу -> колонки
+const JOURNAL_TABLES = {
+  alerts: JOURNAL_COLUMNS,
+  divergences: DIVERGENCE_JOURNAL_COLUMNS
+};
+
+class AlertJournal {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = null;
+    this.insertStatements = {};
   }
 
-  cleanup(currentTime) {
-    const cutoff = currentTime - this.windowMs;
-    this.trades = this.trades.filter(t => t.timestamp >= cutoff);
+  open() {
+    fs.mkdirSync(path.dirname(path.resolve(this.dbPath)), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
 
-    if (this.trades.length > 0) {
-      this.firstPrice = this.trades[0].price;
-    } else {
-      this.firstPrice = null;
+    for (const [table, tableColumns] of Object.entries(JOURNAL_TABLES)) {
+      const columns = Object.keys(tableColumns).map(column => {
+        if (column === 'id') return 'id TEXT PRIMARY KEY';
+        return `${column} ${JOURNAL_TEXT_COLUMNS.includes(column) ? 'TEXT' : 'REAL'}`;
+      });
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS ${table} (${columns.join(', ')});
+        CREATE INDEX IF NOT EXISTS ${table}_symbol_sent ON ${table} (symbol, sent_at);
+        CREATE INDEX IF NOT EXISTS ${table}_sent ON ${table} (sent_at);
+      `);
+
+      const names = Object.keys(tableColumns);
+      // Повторний запис того ж id (напр. після рестарту) оновлює рядок
+      this.insertStatements[table] = this.db.prepare(
+        `INSERT OR REPLACE INTO ${table} (${names.join(', ')}) VALUES (${names.map(n => '@' + n).join(', ')})`
+      );
     }
+
+    console.log(`[JOURNAL] Журнал алертів: ${this.dbPath}`);
+    return this;
   }
 
-  getStats() {
-    if (this.trades.length === 0) return null;
+  record(alertData) {
+    this.insert('alerts', alertData);
+  }
 
-    let buyVolume = 0;
-    let sellVolume = 0;
+  recordDivergence(divergenceData) {
+    this.insert('divergences', divergenceData);
+  }
 
-    for (const trade of this.trades) {
-      buyVolume += trade.buyVol;
-      sellVolume += trade.sellVol;
+  insert(table, data) {
+    const row = {};
+    for (const [column, extract] of Object.entries(JOURNAL_TABLES[table])) {
+      row[column] = extract(data) ?? null;
     }
+    this.insertStatements[table].run(row);
+  }
 
-    const totalVolume = buyVolume + sellVolume;
-    if (totalVolume === 0) return null;
+  // filters: { symbol, decision, direction, from, to (ms), limit }; table: 'alerts' | 'divergences' (без decision)
+  query(filters = {}, table = 'alerts') {
+    const where = [];
+    const params = {};
 
-    const buyDominance = (buyVolume / totalVolume) * 100;
-    const sellDominance = (sellVolume / totalVolume) * 100;
-    
-    const dominantSide = buyVolume > sellVolume ? 'buy' : 'sell';
-    const dominance = Math.max(buyDominance, sellDominance);
+    if (filters.symbol) {
+      where.push('symbol = @symbol');
+      params.symbol = filters.symbol.toUpperCase();
+    }
+    if (filters.decision) {
+      where.push('decision = @decision');
+      params.decision = filters.decision;
+    }
+    if (filters.direction) {
+      where.push('direction = @direction');
+      params.direction = filters.direction.toUpperCase();
+    }
+    if (Number.isFinite(filters.from)) {
+      where.push('sent_at >= @from');
+      params.from = filters.from;
+    }
+    if (Number.isFinite(filters.to)) {
+      where.push('sent_at < @to');
+      params.to = filters.to;
+    }
 
-    const priceChange = this.firstPrice 
-      ? ((this.lastPrice - this.firstPrice) / this.firstPrice) * 100
-      : 0;
+    const sql = `SELECT * FROM ${table}${where.length > 0 ? ' WHERE ' + where.join(' AND ') : ''} ` +
+      `ORDER BY sent_at${filters.limit ? ' LIMIT ' + parseInt(filters.limit) : ''}`;
 
-    const duration = (this.trades[this.trades.length - 1].timestamp - this.trades[0].timestamp) / 1000;
+    return this.db.prepare(sql).all(params);
+  }
 
-    return {
-      buyVolume,
-      sellVolume,
-      totalVolume,
-      dominantSide,
-      dominance,
-      priceChange,
-      duration,
-      tradeCount: this.trades.length,
-      lastPrice: this.lastPrice
-    };
+  getCount(table = 'alerts') {
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
   }
 
-  reset() {
-    this.trades = [];
-    this.firstPrice = null;
-    this.lastPrice = null;
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
   }
 }
 
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => escapeCsv(row[column])).join(',')));
+  return lines.join('\n') + '\n';
+}
+
 // ============================================================================
-// TRADE AGGREGATOR
+// STATE SNAPSHOT (OI історія, cooldown, pending алерти, вікна трейдів між рестартами)
 // ============================================================================
 
-class TradeAggregator {
-  constructor(windowSeconds) {
-    this.windowSeconds = windowSeconds;
-    this.states = new Map();
-  }
+const STATE_VERSION = 2; // v2: OI історія по біржах {okx: {...}, binance: {...}}
 
-  addTrade(symbol, timestamp, price, quantity, isBuyerMaker) {
-    if (!this.states.has(symbol)) {
-      this.states.set(symbol, new SymbolState(symbol, this.windowSeconds));
-    }
-    this.states.get(symbol).addTrade(timestamp, price, quantity, isBuyerMaker);
+class StateStore {
+  constructor(filePath, clock = systemClock) {
+    this.filePath = filePath;
+    this.clock = clock;
   }
 
-  getStats(symbol) {
-    const state = this.states.get(symbol);
-    return state ? state.getStats() : null;
-  }
+  // Повертає null, якщо знімка немає або він пошкоджений
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
 
-  resetSymbol(symbol) {
-    const state = this.states.get(symbol);
-    if (state) state.reset();
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (snapshot.version !== STATE_VERSION) {
+        console.warn(`[STATE] Невідома версія знімка ${snapshot.version}, ігнорую`);
+        return null;
+      }
+      return snapshot;
+    } catch (error) {
+      console.error(`[STATE] Не вдалося прочитати ${this.filePath}:`, error.message);
+      return null;
+    }
   }
 
-  getActiveCount() {
-    return this.states.size;
-  }
+  // Запис через тимчасовий файл, щоб падіння під час запису не зіпсувало знімок
+  save(parts) {
+    const snapshot = { version: STATE_VERSION, savedAt: this.clock.now(), ...parts };
+    const tmpPath = `${this.filePath}.tmp`;
 
-  getTotalTrades() {
-    let total = 0;
-    for (const state of this.states.values()) {
-      total += state.trades.length;
-    }
-    return total;
+    fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+    fs.renameSync(tmpPath, this.filePath);
   }
 }
 
 // ============================================================================
-// SIGNAL ENGINE (з OKX OI логікою)
+// CONFIG FILE LOADER (JSON/YAML + валідація + hot reload)
 // ============================================================================
 
-class SignalEngine {
-  constructor(oiTracker = null) {
-    this.oiTracker = oiTracker;
-  }
+// Схема полів: тип, межі, обов'язковість
+const SYMBOL_CONFIG_SCHEMA = {
+  minVolumeUSD: { type: 'number', min: 0, required: true },
+  minDominance: { type: 'number', min: 50, max: 100, required: true },
+  minPriceChange: { type: 'number', min: 0, required: true },
+  cooldownMinutes: { type: 'number', min: 0, required: true },
+  enabled: { type: 'boolean', required: false },
+  windowSeconds: { type: 'number', min: 1, required: false },
+  windows: { type: 'object', required: false }, // Лише з файлу конфігу (WINDOW_CONFIG_SCHEMA)
+  rules: { type: 'object', required: false }, // Лише з файлу конфігу (RULE_CONFIG_FIELDS)
+  oiMinDeltaPercent: { type: 'number', min: 0, required: false },
+  oiMinPriceChangePercent: { type: 'number', min: 0, required: false },
+  minLiquidationUSD: { type: 'number', min: 0, required: false },
+  minDepthImbalance: { type: 'number', min: 0, max: 100, required: false },
+  divergenceEnabled: { type: 'boolean', required: false },
+  divergenceMinPriceExtension: { type: 'number', min: 0, required: false },
+  divergenceMinCvdGapUSD: { type: 'number', min: 0, required: false },
+  divergenceCooldownMinutes: { type: 'number', min: 0, required: false },
+  minConfidence: { type: 'number', min: 0, max: 100, required: false },
+  adaptive: { type: 'boolean', required: false },
+  adaptiveMinVolumeZScore: { type: 'number', min: 0, required: false },
+  adaptiveMinAtrMultiple: { type: 'number', min: 0, required: false }
+};
 
-  shouldAlert(symbol, stats) {
-    if (!stats) return false;
-    
-    const config = CONFIG.getSymbolConfig(symbol);
-    if (!config || !config.enabled) return false;
-    
-    // Перевірка Trading Hours
-    if (!CONFIG.isWithinTradingHours()) {
-      return false;
-    }
-    
-    // Apply individual symbol filters
-    if (stats.totalVolume < config.minVolumeUSD) return false;
-    if (stats.dominance < config.minDominance) return false;
-    if (Math.abs(stats.priceChange) < config.minPriceChange) return false;
-    
-    // Direction alignment
-    if (stats.dominantSide === 'buy' && stats.priceChange < 0) return false;
-    if (stats.dominantSide === 'sell' && stats.priceChange > 0) return false;
+// Іменоване вікно символу: windows: { burst: { seconds: 30, minVolumeUSD: 500000 }, ... }
+const WINDOW_CONFIG_SCHEMA = {
+  seconds: { type: 'number', min: 1, required: true },
+  minVolumeUSD: { type: 'number', min: 0, required: false },
+  minDominance: { type: 'number', min: 50, max: 100, required: false },
+  minPriceChange: { type: 'number', min: 0, required: false }
+};
 
-    return true;
+// Правило рішення: rules: [{ name, priority, when, direction, decision, reason, enabled }]
+const RULE_CONFIG_FIELDS = ['name', 'priority', 'when', 'direction', 'decision', 'reason', 'enabled'];
+
+const CONFIG_FILE_SCHEMA = {
+  oi: {
+    minDeltaPercent: { type: 'number', min: 0, required: false },
+    minPriceChangePercent: { type: 'number', min: 0, required: false }
+  },
+  confidenceWeights: {
+    dominance: { type: 'number', min: 0, required: false },
+    volume: { type: 'number', min: 0, required: false },
+    price: { type: 'number', min: 0, required: false },
+    oi: { type: 'number', min: 0, required: false },
+    agreement: { type: 'number', min: 0, required: false }
+  },
+  tradingHours: {
+    enabled: { type: 'boolean', required: false },
+    startHourUTC: { type: 'number', min: 0, max: 23, required: false },
+    endHourUTC: { type: 'number', min: 0, max: 24, required: false }
   }
+};
 
-  interpretSignal(stats, oiStats = null) {
-    // Базовий напрямок на основі агресивних трейдів
-    let flowDirection, flowType, flowLabel, flowEmoji;
-    
-    if (stats.dominantSide === 'buy') {
-      flowDirection = 'LONG';
-      flowType = 'SHORT_SQUEEZE';
-      flowLabel = 'SHORT SQUEEZE';
-      flowEmoji = '🟢';
-    } else {
-      flowDirection = 'SHORT';
-      flowType = 'LONG_LIQUIDATION';
-      flowLabel = 'LONG LIQUIDATION';
-      flowEmoji = '🔴';
+function validateFields(value, schema, prefix, errors) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push(`${prefix}: очікується об'єкт`);
+    return;
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const fieldValue = value[field];
+    const name = `${prefix}.${field}`;
+
+    if (fieldValue === undefined) {
+      if (rule.required) errors.push(`${name}: обов'язкове поле`);
+      continue;
     }
 
-    // Якщо OI не доступний, повертаємо базовий напрямок
-    if (!CONFIG.OI_ENABLED || !this.oiTracker || !oiStats || !oiStats.hasWindowData) {
-      return {
-        type: flowType,
-        label: flowLabel,
-        emoji: flowEmoji,
-        direction: flowDirection,
-        flowDirection: flowDirection,
-        finalDirection: flowDirection,
-        oiOverride: false,
-        oiReason: null,
-        decision: 'NO_OI_DATA',
-        oiUsed: false,
-        oiDeltaPassed: false,
-        oiPricePassed: false,
-        oiMinDeltaPercent: CONFIG.OI_MIN_DELTA_PERCENT,
-        oiMinPriceChangePercent: CONFIG.OI_MIN_PRICE_CHANGE_PERCENT
-      };
+    if (typeof fieldValue !== rule.type || (rule.type === 'number' && !Number.isFinite(fieldValue))) {
+      errors.push(`${name}: очікується ${rule.type}`);
+      continue;
     }
 
-    // ========================================================================
-    // OI DECISION LOGIC (Найважливіша частина)
-    // ========================================================================
-    
-    let finalDirection = flowDirection;
-    let oiOverride = false;
-    let oiReason = null;
-    let decision = 'BOUNCE'; // або 'CONTINUATION'
-    let oiUsed = false; // Чи використовується OI в логіці
-    let oiDeltaPassed = false; // Чи пройдено поріг OI
-    let oiPricePassed = false; // Чи пройдено поріг ціни
+    if (rule.min !== undefined && fieldValue < rule.min) errors.push(`${name}: менше за ${rule.min}`);
+    if (rule.max !== undefined && fieldValue > rule.max) errors.push(`${name}: більше за ${rule.max}`);
+  }
 
-    const { oiDeltaPct, priceDeltaPct } = oiStats;
-    
-    // ========================================================================
-    // ПЕРЕВІРКА ПОРОГІВ OI (OI Threshold Filters)
-    // ========================================================================
-    // Якщо зміни OI або ціни менші за мінімальні пороги,
-    // OI НЕ використовується і алерт йде по базовій логіці
-    
-    const minOIDelta = CONFIG.OI_MIN_DELTA_PERCENT;
-    const minPriceChange = CONFIG.OI_MIN_PRICE_CHANGE_PERCENT;
-    
-    // Перевірка: чи достатня зміна OI?
-    oiDeltaPassed = Math.abs(oiDeltaPct) >= minOIDelta;
-    
-    // Перевірка: чи достатня зміна ціни?
-    oiPricePassed = Math.abs(priceDeltaPct) >= minPriceChange;
-    
-    // OI використовується тільки якщо обидва пороги пройдені
-    oiUsed = oiDeltaPassed && oiPricePassed;
-    
-    // Якщо пороги не пройдені - логування і повернення базової логіки
-    if (!oiUsed) {
-      const reasons = [];
-      if (!oiDeltaPassed) {
-        reasons.push(`OI Δ=${Math.abs(oiDeltaPct).toFixed(2)}% < ${minOIDelta}%`);
-      }
-      if (!oiPricePassed) {
-        reasons.push(`Price Δ=${Math.abs(priceDeltaPct).toFixed(2)}% < ${minPriceChange}%`);
-      }
-      
-      console.log(`[OI-FILTER] OI ignored for ${stats.dominantSide} flow: ${reasons.join(', ')}`);
-      
-      return {
-        type: flowType,
-        label: flowLabel,
-        emoji: flowEmoji,
-        direction: flowDirection,
-        flowDirection: flowDirection,
-        finalDirection: flowDirection,
-        oiOverride: false,
-        oiReason: `OI ignored (below threshold: ${reasons.join(', ')})`,
-        decision: 'BASE',
-        oiUsed: false,
-        oiDeltaPassed: oiDeltaPassed,
-        oiPricePassed: oiPricePassed,
-        oiMinDeltaPercent: minOIDelta,
-        oiMinPriceChangePercent: minPriceChange
-      };
+  for (const field of Object.keys(value)) {
+    if (!schema[field]) errors.push(`${prefix}.${field}: невідоме поле`);
+  }
+}
+
+// Тип windows перевіряє validateFields; тут - null/масив і кожне вікно
+function validateWindows(windows, prefix, errors) {
+  if (typeof windows !== 'object') return;
+  
+  if (windows === null || Array.isArray(windows)) {
+    errors.push(`${prefix}: очікується об'єкт`);
+    return;
+  }
+  if (Object.keys(windows).length === 0) {
+    errors.push(`${prefix}: потрібне хоча б одне вікно`);
+  }
+  
+  for (const [name, window] of Object.entries(windows)) {
+    if (!/^[a-z0-9_-]+$/i.test(name)) {
+      errors.push(`${prefix}.${name}: невірна назва вікна`);
     }
-    
-    // ========================================================================
-    // OI пороги пройдені - використовуємо OI логіку
-    // ========================================================================
-    
-    // Визначаємо порогові значення для визначення напрямку
-    const OI_THRESHOLD = 0.5; // 0.5% зміна OI вважається значною
-    const PRICE_THRESHOLD = 0.1; // 0.1% зміна ціни
-    
-    const priceRising = priceDeltaPct > PRICE_THRESHOLD;
-    const priceFalling = priceDeltaPct < -PRICE_THRESHOLD;
-    const oiRising = oiDeltaPct > OI_THRESHOLD;
-    const oiFalling = oiDeltaPct < -OI_THRESHOLD;
+    validateFields(window, WINDOW_CONFIG_SCHEMA, `${prefix}.${name}`, errors);
+  }
+}
 
-    // ========================================================================
-    // A) Ціна падає + OI росте → BREAKOUT вниз → SHORT continuation
-    // ========================================================================
-    if (priceFalling && oiRising) {
-      finalDirection = 'SHORT';
-      decision = 'CONTINUATION';
-      oiReason = `Ціна ↓${Math.abs(priceDeltaPct).toFixed(2)}% + OI ↑${oiDeltaPct.toFixed(2)}% → Breakout вниз`;
-      
-      // Якщо початковий flow був LONG, це override
-      if (flowDirection === 'LONG') {
-        oiOverride = true;
-      }
+// Правило з name вбудованого правила лише перевизначає його поля; нове - має бути повним
+// knownNames - правила нижчих шарів (вбудовані, глобальні rules файлу): для них дозволено часткове перевизначення
+function validateRules(rules, prefix, errors, knownNames = DEFAULT_DECISION_RULES.map(rule => rule.name)) {
+  if (!Array.isArray(rules)) {
+    errors.push(`${prefix}: очікується масив правил`);
+    return;
+  }
+  
+  rules.forEach((rule, index) => {
+    const name = `${prefix}[${index}]`;
+    if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+      errors.push(`${name}: очікується об'єкт`);
+      return;
+    }
+    if (typeof rule.name !== 'string' || !/^[a-z0-9_-]+$/i.test(rule.name)) {
+      errors.push(`${name}.name: обов'язкова назва правила`);
+    }
+    for (const field of Object.keys(rule)) {
+      if (!RULE_CONFIG_FIELDS.includes(field)) errors.push(`${name}.${field}: невідоме поле`);
+    }
+    if (rule.priority !== undefined && !Number.isFinite(rule.priority)) {
+      errors.push(`${name}.priority: очікується number`);
+    }
+    if (rule.direction !== undefined && !RULE_DIRECTIONS.includes(rule.direction)) {
+      errors.push(`${name}.direction: очікується ${RULE_DIRECTIONS.join('/')}`);
+    }
+    for (const field of ['decision', 'reason']) {
+      if (rule[field] !== undefined && typeof rule[field] !== 'string') errors.push(`${name}.${field}: очікується string`);
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      errors.push(`${name}.enabled: очікується boolean`);
     }
     
-    // ========================================================================
-    // B) Ціна падає + OI падає → Long liquidation → BOUNCE LONG
-    // ========================================================================
-    else if (priceFalling && oiFalling) {
-      finalDirection = 'LONG';
-      decision = 'BOUNCE';
-      oiReason = `Ціна ↓${Math.abs(priceDeltaPct).toFixed(2)}% + OI ↓${Math.abs(oiDeltaPct).toFixed(2)}% → Long liquidation, шанс на відскок`;
-      
-      // Якщо початковий flow був SHORT, це override
-      if (flowDirection === 'SHORT') {
-        oiOverride = true;
+    if (rule.when !== undefined) {
+      if (typeof rule.when !== 'object' || rule.when === null || Array.isArray(rule.when)) {
+        errors.push(`${name}.when: очікується об'єкт`);
+      } else {
+        for (const [path, conditions] of Object.entries(rule.when)) {
+          if (typeof conditions !== 'object' || conditions === null || Array.isArray(conditions)) {
+            errors.push(`${name}.when.${path}: очікується об'єкт умов`);
+            continue;
+          }
+          for (const operator of Object.keys(conditions)) {
+            if (!RULE_OPERATORS[operator]) errors.push(`${name}.when.${path}.${operator}: невідомий оператор`);
+          }
+        }
       }
     }
     
-    // ========================================================================
-    // C) Ціна росте + OI росте → BREAKOUT вверх → LONG continuation
-    // ========================================================================
-    else if (priceRising && oiRising) {
-      finalDirection = 'LONG';
-      decision = 'CONTINUATION';
-      oiReason = `Ціна ↑${priceDeltaPct.toFixed(2)}% + OI ↑${oiDeltaPct.toFixed(2)}% → Breakout вверх`;
-      
-      // Якщо початковий flow був SHORT, це override
-      if (flowDirection === 'SHORT') {
-        oiOverride = true;
+    if (!knownNames.includes(rule.name) && rule.enabled !== false) {
+      for (const field of ['when', 'direction', 'decision']) {
+        if (rule[field] === undefined) errors.push(`${name}.${field}: обов'язкове поле нового правила`);
       }
     }
-    
-    // ========================================================================
-    // D) Ціна росте + OI падає → Short squeeze → BOUNCE SHORT
-    // ========================================================================
-    else if (priceRising && oiFalling) {
-      finalDirection = 'SHORT';
-      decision = 'BOUNCE';
-      oiReason = `Ціна ↑${priceDeltaPct.toFixed(2)}% + OI ↓${Math.abs(oiDeltaPct).toFixed(2)}% → Short squeeze, шанс на відскік`;
-      
-      // Якщо початковий flow був LONG, це override
-      if (flowDirection === 'LONG') {
-        oiOverride = true;
+  });
+}
+
+function validateConfigFile(data) {
+  const errors = [];
+
+  if (typeof data !== 'object' || data === null) {
+    return ['Конфіг має бути об\'єктом'];
+  }
+
+  // Правила символу перевизначають за name і вбудовані, і глобальні rules файлу
+  const globalRuleNames = DEFAULT_DECISION_RULES.map(rule => rule.name);
+  if (Array.isArray(data.rules)) {
+    data.rules.forEach(rule => {
+      if (rule && typeof rule.name === 'string') globalRuleNames.push(rule.name);
+    });
+  }
+
+  if (!data.symbols || typeof data.symbols !== 'object' || Object.keys(data.symbols).length === 0) {
+    errors.push('symbols: потрібен хоча б один символ');
+  } else {
+    for (const [symbol, config] of Object.entries(data.symbols)) {
+      if (!/^[A-Z0-9]+USDT$/.test(symbol)) {
+        errors.push(`symbols.${symbol}: невірний символ (очікується XXXUSDT)`);
+      }
+      validateFields(config, SYMBOL_CONFIG_SCHEMA, `symbols.${symbol}`, errors);
+      if (config && config.windows !== undefined) {
+        validateWindows(config.windows, `symbols.${symbol}.windows`, errors);
+      }
+      if (config && config.rules !== undefined) {
+        validateRules(config.rules, `symbols.${symbol}.rules`, errors, globalRuleNames);
       }
     }
-    
-    // ========================================================================
-    // Якщо зміни OI/ціни незначні, залишаємо як є
-    // ========================================================================
-    else {
-      decision = 'INCONCLUSIVE';
-      oiReason = `OI: ${oiDeltaPct >= 0 ? '+' : ''}${oiDeltaPct.toFixed(2)}%, Ціна: ${priceDeltaPct >= 0 ? '+' : ''}${priceDeltaPct.toFixed(2)}% → Без чіткого сигналу`;
+  }
+
+  for (const [section, schema] of Object.entries(CONFIG_FILE_SCHEMA)) {
+    if (data[section] !== undefined) {
+      validateFields(data[section], schema, section, errors);
     }
+  }
 
-    return {
-      type: flowType,
-      label: flowLabel,
-      emoji: flowEmoji,
-      direction: finalDirection,
-      flowDirection: flowDirection,
-      finalDirection: finalDirection,
-      oiOverride: oiOverride,
-      oiReason: oiReason,
-      decision: decision,
-      oiUsed: oiUsed,
-      oiDeltaPassed: oiDeltaPassed,
-      oiPricePassed: oiPricePassed,
-      oiMinDeltaPercent: CONFIG.OI_MIN_DELTA_PERCENT,
-      oiMinPriceChangePercent: CONFIG.OI_MIN_PRICE_CHANGE_PERCENT
-    };
+  if (data.rules !== undefined) {
+    validateRules(data.rules, 'rules', errors);
+  }
+
+  for (const key of Object.keys(data)) {
+    if (key !== 'symbols' && key !== 'rules' && !CONFIG_FILE_SCHEMA[key]) errors.push(`${key}: невідома секція`);
   }
+
+  return errors;
 }
 
-// ============================================================================
-// COOLDOWN MANAGER
-// ============================================================================
+// Глобальні секції файлу -> ключі CONFIG. Значення з env/дефолтів знімаються один раз при старті:
+// apply щоразу будує секцію з них + файл, тож видалений з файлу ключ повертається до env/дефолту
+const CONFIG_FILE_SECTION_KEYS = {
+  oi: { minDeltaPercent: 'OI_MIN_DELTA_PERCENT', minPriceChangePercent: 'OI_MIN_PRICE_CHANGE_PERCENT' },
+  tradingHours: { enabled: 'TRADING_HOURS_ENABLED', startHourUTC: 'TRADING_START_HOUR_UTC', endHourUTC: 'TRADING_END_HOUR_UTC' }
+};
 
-class CooldownManager {
-  constructor() {
-    this.lastAlerts = new Map();
+const CONFIG_BASE_VALUES = {
+  ...Object.fromEntries(
+    Object.values(CONFIG_FILE_SECTION_KEYS).flatMap(keys => Object.values(keys)).map(key => [key, CONFIG[key]])
+  ),
+  CONFIDENCE_WEIGHTS: { ...CONFIG.CONFIDENCE_WEIGHTS }
+};
+
+// Env зі схемою секції файлу конфігу - та сама перевірка; кидає помилку при старті
+function validateEnvConfig() {
+  const errors = [];
+  validateFields(CONFIG.CONFIDENCE_WEIGHTS, CONFIG_FILE_SCHEMA.confidenceWeights, 'CONFIDENCE_WEIGHTS', errors);
+
+  if (errors.length > 0) {
+    throw new Error(`Невалідні змінні оточення:\n  - ${errors.join('\n  - ')}`);
   }
+}
 
-  canAlert(symbol, stats) {
-    const config = CONFIG.getSymbolConfig(symbol);
-    if (!config) return false;
+// Порівнює попередні SYMBOL_CONFIGS з поточними: які символи додано/видалено/змінено
+function diffSymbolConfigs(previousConfigs) {
+  const isEnabled = (configs, symbol) => Boolean(configs[symbol] && configs[symbol].enabled);
+  const previousSymbols = Object.keys(previousConfigs).filter(s => isEnabled(previousConfigs, s));
+  const currentSymbols = CONFIG.getEnabledSymbols();
 
-    const key = `${symbol}_${stats.dominantSide}`;
-    const lastTime = this.lastAlerts.get(key);
-    
-    if (!lastTime) return true;
+  return {
+    added: currentSymbols.filter(s => !previousSymbols.includes(s)),
+    removed: previousSymbols.filter(s => !currentSymbols.includes(s)),
+    changed: currentSymbols.filter(s =>
+      previousSymbols.includes(s) &&
+      JSON.stringify(previousConfigs[s]) !== JSON.stringify(CONFIG.SYMBOL_CONFIGS[s])
+    )
+  };
+}
 
-    const cooldownMs = config.cooldownMinutes * 60 * 1000;
-    const elapsed = Date.now() - lastTime;
-    
-    return elapsed >= cooldownMs;
+class ConfigLoader extends EventEmitter {
+  // mergeSymbols(configs) - доповнення символів з інших джерел (auto-discovery)
+  constructor(filePath, mergeSymbols = null) {
+    super();
+    this.filePath = filePath;
+    this.mergeSymbols = mergeSymbols;
+    this.watching = false;
   }
 
-  recordAlert(symbol, stats) {
-    const key = `${symbol}_${stats.dominantSide}`;
-    this.lastAlerts.set(key, Date.now());
+  parse(content) {
+    if (/\.ya?ml$/i.test(this.filePath)) {
+      return yaml.load(content);
+    }
+    return JSON.parse(content);
   }
 
-  getRemainingCooldown(symbol, side) {
-    const config = CONFIG.getSymbolConfig(symbol);
-    if (!config) return 0;
+  // Читає та валідує файл; кидає помилку, якщо конфіг невалідний
+  read() {
+    const data = this.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const errors = validateConfigFile(data);
 
-    const key = `${symbol}_${side}`;
-    const lastTime = this.lastAlerts.get(key);
-    
-    if (!lastTime) return 0;
+    if (errors.length > 0) {
+      throw new Error(`Невалідний конфіг ${this.filePath}:\n  - ${errors.join('\n  - ')}`);
+    }
 
-    const cooldownMs = config.cooldownMinutes * 60 * 1000;
-    const elapsed = Date.now() - lastTime;
-    const remaining = Math.max(0, cooldownMs - elapsed);
-    
-    return Math.ceil(remaining / 1000);
+    return data;
+  }
+
+  // Застосовує конфіг до CONFIG, повертає diff увімкнених символів
+  apply(data) {
+    const previousConfigs = CONFIG.SYMBOL_CONFIGS;
+
+    const symbolConfigs = {};
+    for (const [symbol, config] of Object.entries(data.symbols)) {
+      symbolConfigs[symbol] = { ...config, enabled: config.enabled !== false };
+    }
+    if (this.mergeSymbols) {
+      this.mergeSymbols(symbolConfigs);
+    }
+    CONFIG.SYMBOL_CONFIGS = symbolConfigs;
+
+    for (const [section, keys] of Object.entries(CONFIG_FILE_SECTION_KEYS)) {
+      for (const [fileKey, configKey] of Object.entries(keys)) {
+        CONFIG[configKey] = data[section]?.[fileKey] ?? CONFIG_BASE_VALUES[configKey];
+      }
+    }
+
+    CONFIG.DECISION_RULES = data.rules || [];
+    CONFIG.CONFIDENCE_WEIGHTS = { ...CONFIG_BASE_VALUES.CONFIDENCE_WEIGHTS, ...data.confidenceWeights };
+
+    return diffSymbolConfigs(previousConfigs);
+  }
+
+  load() {
+    const diff = this.apply(this.read());
+    console.log(`[CONFIG] Завантажено ${this.filePath}: ${CONFIG.getEnabledSymbols().length} символів`);
+    return diff;
+  }
+
+  reload() {
+    try {
+      const diff = this.load();
+      console.log(`[CONFIG] Оновлено: +${diff.added.length} -${diff.removed.length} ~${diff.changed.length}`);
+      this.emit('change', diff);
+    } catch (error) {
+      // Невалідний файл не ламає роботу - лишаємо попередній конфіг
+      console.error('[CONFIG] Помилка перезавантаження, залишаю попередній конфіг:', error.message);
+      this.emit('invalid', error);
+    }
+  }
+
+  watch() {
+    if (this.watching) return;
+
+    this.watching = true;
+    fs.watchFile(this.filePath, { interval: CONFIG.CONFIG_WATCH_INTERVAL_MS }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    });
+    console.log(`[CONFIG] Стежу за змінами ${this.filePath}`);
+  }
+
+  stop() {
+    if (this.watching) {
+      fs.unwatchFile(this.filePath);
+      this.watching = false;
+    }
   }
 }
 
 // ============================================================================
-// ALERT MANAGER (оновлений з OI та фінальною перевіркою)
+// INSTRUMENT REGISTRY (Binance <-> OKX mapping + contract metadata)
 // ============================================================================
 
-class AlertManager {
-  constructor(telegram, oiTracker = null) {
-    this.telegram = telegram;
-    this.oiTracker = oiTracker;
-    this.pendingAlerts = new Map();
-    this.alertCount = 0;
-    this.minuteCheckInterval = null;
-    this.finalCheckTimers = new Map(); // Таймери для фінальної перевірки OI
-    this.startMinuteChecker();
+// Префікси-множники Binance: 1000PEPE, 1000000MOG, 1MBABYDOGE
+const BINANCE_MULTIPLIER_PREFIXES = [
+  { prefix: '1000000', multiplier: 1_000_000 },
+  { prefix: '10000', multiplier: 10_000 },
+  { prefix: '1000', multiplier: 1_000 },
+  { prefix: '1M', multiplier: 1_000_000 }
+];
+
+class InstrumentRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.byBinance = new Map(); // Map<binanceSymbol, instrument>
+    this.byOKX = new Map(); // Map<okxInstId, instrument>
+    this.loaded = false;
+    this.refreshTimer = null;
+    this.retryTimer = null;
+    this.retryAttempts = 0;
   }
 
-  startMinuteChecker() {
-    this.minuteCheckInterval = setInterval(() => {
-      const now = new Date();
-      const seconds = now.getSeconds();
-      
-      // Відправляємо алерти на початку хвилини
-      if (seconds === 0 && this.pendingAlerts.size > 0) {
-        this.flushPendingAlerts();
+  // 1000PEPE -> {coin: 'PEPE', multiplier: 1000}
+  static parseBaseAsset(baseAsset) {
+    for (const { prefix, multiplier } of BINANCE_MULTIPLIER_PREFIXES) {
+      const rest = baseAsset.slice(prefix.length);
+      if (baseAsset.startsWith(prefix) && /^[A-Z]/.test(rest)) {
+        return { coin: rest, multiplier };
       }
-    }, 1000);
+    }
+    return { coin: baseAsset, multiplier: 1 };
   }
 
-  sendAlert(symbol, stats, interpretation, oiStats = null) {
-    const alertData = {
-      symbol,
-      stats,
-      interpretation,
-      oiStats,
-      timestamp: Date.now()
-    };
+  // Мапінг без метаданих: аліас або евристика за назвою
+  static guessOKX(binanceSymbol) {
+    if (CONFIG.INSTRUMENT_ALIASES[binanceSymbol]) {
+      return CONFIG.INSTRUMENT_ALIASES[binanceSymbol];
+    }
 
-    const key = `${symbol}_${stats.dominantSide}`;
-    
-    if (!this.pendingAlerts.has(key)) {
-      this.pendingAlerts.set(key, alertData);
-      console.log(`[ALERT] Заплановано для ${symbol} ${interpretation.finalDirection} (відправка на початку хвилини)`);
-      
-      // Запланувати фінальну перевірку OI за 2 секунди до кінця хвилини
-      this.scheduleFinalOICheck(key, alertData);
+    const base = binanceSymbol.endsWith('USDT') ? binanceSymbol.slice(0, -4) : binanceSymbol;
+    return `${InstrumentRegistry.parseBaseAsset(base).coin}-USDT-SWAP`;
+  }
+
+  // binanceSymbols: exchangeInfo.symbols, okxInstruments: /public/instruments?instType=SWAP
+  ingest(binanceSymbols, okxInstruments) {
+    const okxById = new Map(
+      okxInstruments
+        .filter(inst => inst.settleCcy === 'USDT' || inst.instId.endsWith('-USDT-SWAP'))
+        .map(inst => [inst.instId, inst])
+    );
+
+    const byBinance = new Map();
+    const byOKX = new Map();
+
+    for (const s of binanceSymbols) {
+      if (s.contractType !== 'PERPETUAL' || s.quoteAsset !== 'USDT') continue;
+
+      const { coin, multiplier } = InstrumentRegistry.parseBaseAsset(s.baseAsset);
+
+      // Пріоритет: аліас -> точний збіг базового активу -> без префікса-множника
+      const candidates = [
+        CONFIG.INSTRUMENT_ALIASES[s.symbol],
+        `${s.baseAsset}-USDT-SWAP`,
+        `${coin}-USDT-SWAP`
+      ].filter(Boolean);
+
+      const okxInst = candidates.map(id => okxById.get(id)).find(Boolean);
+      if (!okxInst) continue;
+
+      const exactMatch = okxInst.instId === `${s.baseAsset}-USDT-SWAP`;
+      const instrument = {
+        binanceSymbol: s.symbol,
+        okxInstId: okxInst.instId,
+        binanceMultiplier: exactMatch ? 1 : multiplier,
+        ctVal: parseFloat(okxInst.ctVal) || 1,
+        ctMult: parseFloat(okxInst.ctMult) || 1,
+        ctValCcy: okxInst.ctValCcy || coin,
+        okxState: okxInst.state
+      };
+
+      byBinance.set(s.symbol, instrument);
+      if (!byOKX.has(okxInst.instId)) {
+        byOKX.set(okxInst.instId, instrument);
+      }
     }
+
+    this.byBinance = byBinance;
+    this.byOKX = byOKX;
+    this.loaded = true;
+    console.log(`[INSTRUMENTS] Зіставлено ${byBinance.size} інструментів Binance ↔ OKX`);
+    this.emit('load');
   }
 
-  scheduleFinalOICheck(key, alertData) {
-    // Скасувати попередній таймер якщо є
-    if (this.finalCheckTimers.has(key)) {
-      clearTimeout(this.finalCheckTimers.get(key));
+  async load(http = axios) {
+    const [exchangeInfo, okxInstruments] = await Promise.all([
+      http.get(`${CONFIG.BINANCE_REST}/fapi/v1/exchangeInfo`, { timeout: 15000 }),
+      http.get(`${CONFIG.OKX_REST}/api/v5/public/instruments`, { params: { instType: 'SWAP' }, timeout: 15000 })
+    ]);
+
+    this.ingest(exchangeInfo.data.symbols, okxInstruments.data.data || []);
+  }
+
+  // Поки метадані не завантажено - повтор з backoff, далі - раз на INSTRUMENTS_REFRESH_HOURS
+  startRefresh(http = axios) {
+    if (!this.loaded) {
+      this.scheduleRetry(http);
     }
-    
-    const now = new Date();
-    const secondsUntilNextMinute = 60 - now.getSeconds();
-    const msUntilFinalCheck = (secondsUntilNextMinute * 1000) - CONFIG.OI_FINAL_CHECK_OFFSET_MS;
-    
-    if (msUntilFinalCheck > 0) {
-      const timer = setTimeout(() => {
-        this.performFinalOICheck(key, alertData);
-      }, msUntilFinalCheck);
-      
-      this.finalCheckTimers.set(key, timer);
+
+    this.refreshTimer = setInterval(() => {
+      this.load(http).catch(error => {
+        console.error('[INSTRUMENTS] Помилка оновлення метаданих:', error.message);
+      });
+    }, CONFIG.INSTRUMENTS_REFRESH_HOURS * 3600 * 1000);
+  }
+
+  scheduleRetry(http) {
+    const delay = backoffDelay(this.retryAttempts++);
+    console.log(`[INSTRUMENTS] Повторне завантаження метаданих через ${(delay / 1000).toFixed(1)}s (спроба ${this.retryAttempts})`);
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.load(http).catch(error => {
+        console.error('[INSTRUMENTS] Помилка завантаження метаданих:', error.message);
+        this.scheduleRetry(http);
+      });
+    }, delay);
+  }
+
+  stopRefresh() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
     }
   }
 
-  performFinalOICheck(key, alertData) {
-    if (!this.pendingAlerts.has(key)) {
-      return; // Алерт вже був видалений
+  toOKX(binanceSymbol) {
+    const instrument = this.byBinance.get(binanceSymbol);
+    return instrument ? instrument.okxInstId : InstrumentRegistry.guessOKX(binanceSymbol);
+  }
+
+  toBinance(okxInstId) {
+    const instrument = this.byOKX.get(okxInstId);
+    return instrument ? instrument.binanceSymbol : okxInstId.replace('-USDT-SWAP', 'USDT');
+  }
+
+  hasOKX(binanceSymbol) {
+    const instrument = this.byBinance.get(binanceSymbol);
+    return Boolean(instrument && instrument.okxState === 'live');
+  }
+
+  getInstrument(binanceSymbol) {
+    return this.byBinance.get(binanceSymbol) || null;
+  }
+
+  // Контракти OKX -> кількість монет (без метаданих повертає як є)
+  contractsToCoins(okxInstId, contracts) {
+    const instrument = this.byOKX.get(okxInstId);
+    return instrument ? contracts * instrument.ctVal * instrument.ctMult : contracts;
+  }
+}
+
+const instrumentRegistry = new InstrumentRegistry();
+
+// ============================================================================
+// SYMBOL DISCOVERY (Binance exchangeInfo + 24h ticker ∩ OKX SWAP)
+// ============================================================================
+
+// Округлення до 2 значущих цифр: 1_234_567 -> 1_200_000
+function roundSignificant(value, digits = 2) {
+  if (value <= 0) return 0;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)) - digits + 1);
+  return Math.round(value / magnitude) * magnitude;
+}
+
+class SymbolDiscovery {
+  constructor(http = axios) {
+    this.http = http;
+    this.discovered = new Map(); // Map<symbol, config>
+    this.refreshTimer = null;
+  }
+
+  async fetchUniverse() {
+    const [exchangeInfo, tickers, okxInstruments] = await Promise.all([
+      this.http.get(`${CONFIG.BINANCE_REST}/fapi/v1/exchangeInfo`, { timeout: 15000 }),
+      this.http.get(`${CONFIG.BINANCE_REST}/fapi/v1/ticker/24hr`, { timeout: 15000 }),
+      this.http.get(`${CONFIG.OKX_REST}/api/v5/public/instruments`, { params: { instType: 'SWAP' }, timeout: 15000 })
+    ]);
+
+    // Ті самі дані оновлюють мапінг інструментів
+    instrumentRegistry.ingest(exchangeInfo.data.symbols, okxInstruments.data.data || []);
+
+    const volumes = new Map(tickers.data.map(t => [t.symbol, parseFloat(t.quoteVolume)]));
+
+    return exchangeInfo.data.symbols
+      .filter(s =>
+        s.contractType === 'PERPETUAL' &&
+        s.quoteAsset === 'USDT' &&
+        s.status === 'TRADING' &&
+        !CONFIG.DISCOVERY_EXCLUDE.includes(s.symbol) &&
+        instrumentRegistry.hasOKX(s.symbol)
+      )
+      .map(s => ({ symbol: s.symbol, quoteVolume: volumes.get(s.symbol) || 0 }))
+      .filter(s => s.quoteVolume >= CONFIG.DISCOVERY_MIN_24H_VOLUME_USD)
+      .sort((a, b) => b.quoteVolume - a.quoteVolume)
+      .slice(0, CONFIG.DISCOVERY_MAX_SYMBOLS);
+  }
+
+  // Стандартні пороги, minVolumeUSD масштабується від типового об'єму символу
+  buildConfig(quoteVolume) {
+    const windowsPerDay = 86400 / CONFIG.WINDOW_SECONDS;
+    const averageWindowVolume = quoteVolume / windowsPerDay;
+
+    return {
+      ...CONFIG.DEFAULT_SYMBOL_CONFIG,
+      minVolumeUSD: Math.max(
+        CONFIG.DISCOVERY_MIN_WINDOW_VOLUME_USD,
+        roundSignificant(averageWindowVolume * CONFIG.DISCOVERY_VOLUME_MULTIPLIER)
+      ),
+      enabled: true
+    };
+  }
+
+  // Вручну налаштовані символи мають пріоритет над знайденими.
+  // Символ вважається "знайденим", поки його config - той самий об'єкт
+  mergeInto(configs, previousDiscovered = new Map()) {
+    for (const [symbol, config] of previousDiscovered) {
+      if (!this.discovered.has(symbol) && configs[symbol] === config) {
+        delete configs[symbol];
+      }
     }
-    
-    // Отримуємо свіжі дані OI
-    const freshOIStats = this.oiTracker ? this.oiTracker.getOIStats(alertData.symbol) : null;
-    
-    if (freshOIStats && freshOIStats.hasWindowData) {
-      // Перераховуємо interpretation з новими даними OI
-      const signalEngine = new SignalEngine(this.oiTracker);
-      const updatedInterpretation = signalEngine.interpretSignal(alertData.stats, freshOIStats);
-      
-      // Логування фінальної перевірки
-      console.log(`[FINAL-CHECK] ${alertData.symbol}:`, {
-        oiNow: freshOIStats.oiNow.toFixed(0),
-        oi5mAgo: freshOIStats.oi5mAgo?.toFixed(0),
-        oiDeltaPct: freshOIStats.oiDeltaPct?.toFixed(2),
-        priceDeltaPct: freshOIStats.priceDeltaPct?.toFixed(2),
-        oiUsed: updatedInterpretation.oiUsed,
-        oiDeltaPassed: updatedInterpretation.oiDeltaPassed,
-        oiPricePassed: updatedInterpretation.oiPricePassed,
-        decision: updatedInterpretation.decision,
-        finalDirection: updatedInterpretation.finalDirection
-      });
-      
-      // Оновлюємо алерт з фінальними даними
-      alertData.interpretation = updatedInterpretation;
-      alertData.oiStats = freshOIStats;
-      this.pendingAlerts.set(key, alertData);
+
+    for (const [symbol, config] of this.discovered) {
+      if (!configs[symbol] || configs[symbol] === previousDiscovered.get(symbol)) {
+        configs[symbol] = config;
+      }
     }
-    
-    this.finalCheckTimers.delete(key);
   }
 
-  async flushPendingAlerts() {
-    console.log(`[ALERT] Відправка ${this.pendingAlerts.size} alert(s)...`);
-    
-    for (const [key, alertData] of this.pendingAlerts.entries()) {
+  async refresh() {
+    const universe = await this.fetchUniverse();
+    const previousDiscovered = this.discovered;
+    const previousConfigs = CONFIG.SYMBOL_CONFIGS;
+
+    this.discovered = new Map(universe.map(({ symbol, quoteVolume }) => {
+      const previous = previousDiscovered.get(symbol);
+      const config = this.buildConfig(quoteVolume);
+
+      // Той самий об'єкт, якщо пороги не змінились (щоб diff не бачив змін)
+      return [symbol, previous && JSON.stringify(previous) === JSON.stringify(config) ? previous : config];
+    }));
+
+    CONFIG.SYMBOL_CONFIGS = { ...previousConfigs };
+    this.mergeInto(CONFIG.SYMBOL_CONFIGS, previousDiscovered);
+
+    const diff = diffSymbolConfigs(previousConfigs);
+    console.log(`[DISCOVERY] Знайдено ${universe.length} символів: +${diff.added.length} -${diff.removed.length} ~${diff.changed.length}`);
+    return diff;
+  }
+
+  start(onChange) {
+    this.refreshTimer = setInterval(async () => {
       try {
-        await this.sendTelegramMessage(alertData);
-        this.alertCount++;
-        
-        // Видаляємо таймер фінальної перевірки якщо є
-        if (this.finalCheckTimers.has(key)) {
-          clearTimeout(this.finalCheckTimers.get(key));
-          this.finalCheckTimers.delete(key);
-        }
+        onChange(await this.refresh());
       } catch (error) {
-        console.error(`[ALERT] Помилка відправки ${alertData.symbol}:`, error.message);
+        console.error('[DISCOVERY] Помилка оновлення, залишаю попередній список:', error.message);
       }
+    }, CONFIG.DISCOVERY_REFRESH_MINUTES * 60 * 1000);
+  }
+
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
     }
-    
-    this.pendingAlerts.clear();
   }
+}
 
-  async sendTelegramMessage(alertData) {
-    const { symbol, stats, interpretation, oiStats } = alertData;
-    
-    let message;
-    if (CONFIG.ALERT_FORMAT === 'structured') {
-      message = this.formatStructuredMessage(symbol, stats, interpretation, oiStats);
-    } else {
-      message = this.formatHumanMessage(symbol, stats, interpretation, oiStats);
+// ============================================================================
+// OI HISTORY (бакети фіксованої тривалості з OHLC, інтерполяція на довільний lookback)
+// ============================================================================
+
+// Бакет: { ts (початок), lastTs (останній семпл), oi: {open, high, low, close}, price: {open, high, low, close} }
+// Значення бакета на момент lastTs - його close
+class OIHistory {
+  constructor(bucketMs, historyMs) {
+    this.bucketMs = bucketMs;
+    this.historyMs = historyMs;
+    this.buckets = [];
+  }
+
+  get length() {
+    return this.buckets.length;
+  }
+
+  add(timestamp, oi, price) {
+    const start = Math.floor(timestamp / this.bucketMs) * this.bucketMs;
+    const last = this.buckets[this.buckets.length - 1];
+
+    if (!last || start > last.ts) {
+      this.buckets.push({ ts: start, lastTs: timestamp, oi: newOHLC(oi), price: newOHLC(price) });
+      return;
     }
 
-    await this.telegram.sendMessage(
-      CONFIG.TELEGRAM_CHAT_ID,
-      message,
-      { parse_mode: 'HTML' }
-    );
+    // Запізнілий семпл (OI і mark price приходять окремими повідомленнями) - лише high/low свого бакета
+    const bucket = start === last.ts ? last : this.buckets.find(b => b.ts === start);
+    if (!bucket) return;
+
+    updateOHLC(bucket.oi, oi, timestamp >= bucket.lastTs);
+    updateOHLC(bucket.price, price, timestamp >= bucket.lastTs);
+    bucket.lastTs = Math.max(bucket.lastTs, timestamp);
   }
 
-  // Функція для екранування HTML символів
-  escapeHtml(text) {
-    if (typeof text !== 'string') {
-      text = String(text);
+  trim(now) {
+    const cutoff = now - this.historyMs;
+    while (this.buckets.length > 0 && this.buckets[0].lastTs < cutoff) {
+      this.buckets.shift();
     }
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#039;');
   }
 
-  formatStructuredMessage(symbol, stats, interpretation, oiStats) {
-    const lines = [];
-    
-    // Header
-    lines.push(`${interpretation.emoji} <b>${this.escapeHtml(interpretation.label)}</b>`);
-    lines.push(`<code>───────────────────</code>`);
-    
-    const cleanSymbol = symbol.replace('USDT', '');
-    lines.push(`🎯 <b>${this.escapeHtml(symbol)}</b> #${this.escapeHtml(cleanSymbol)}`);
-    
-    const priceSign = stats.priceChange >= 0 ? '+' : '';
-    lines.push(`📈 Ціна: ${priceSign}${stats.priceChange.toFixed(2)}% | $${stats.lastPrice.toFixed(4)}`);
-    lines.push(`💰 Об'єм: $${this.fmt(stats.totalVolume)} за ${stats.duration.toFixed(0)}с`);
-    lines.push(`📊 Домінація: ${stats.dominance.toFixed(1)}% ${stats.dominantSide === 'buy' ? '🟢 BUY' : '🔴 SELL'}`);
-    
-    // OI Info з детальними метриками
-    if (oiStats && oiStats.hasWindowData) {
-      lines.push(`<code>───────────────────</code>`);
-      lines.push(`📊 <b>OPEN INTEREST (OKX 5min)</b>`);
-      lines.push(`OI зараз: ${this.fmtOI(oiStats.oiNow)}`);
-      lines.push(`OI -5хв: ${this.fmtOI(oiStats.oi5mAgo)}`);
-      
-      const oiSign = oiStats.oiDeltaPct >= 0 ? '+' : '';
-      const oiEmoji = oiStats.oiDeltaPct > 0 ? '📈' : oiStats.oiDeltaPct < 0 ? '📉' : '➡️';
-      lines.push(`Δ OI: ${oiEmoji} ${oiSign}${oiStats.oiDeltaPct.toFixed(2)}%`);
-      
-      const priceSign5m = oiStats.priceDeltaPct >= 0 ? '+' : '';
-      const priceEmoji5m = oiStats.priceDeltaPct > 0 ? '📈' : oiStats.priceDeltaPct < 0 ? '📉' : '➡️';
-      lines.push(`Δ Ціна (5хв): ${priceEmoji5m} ${priceSign5m}${oiStats.priceDeltaPct.toFixed(2)}%`);
-      
-      // Відображення порогів OI
-      lines.push(`<code>───────────────────</code>`);
-      lines.push(`⚙️ <b>OI Filters</b>`);
-      lines.push(`Min OI Δ: ${interpretation.oiMinDeltaPercent}% ${interpretation.oiDeltaPassed ? '✅' : '❌'}`);
-      lines.push(`Min Price Δ: ${interpretation.oiMinPriceChangePercent}% ${interpretation.oiPricePassed ? '✅' : '❌'}`);
-      lines.push(`OI Used: ${interpretation.oiUsed ? '✅ YES' : '❌ NO'}`);
-      
-      lines.push(`🧠 Decision: <b>${this.escapeHtml(interpretation.decision)}</b>`);
-      
-      if (interpretation.oiReason) {
-        lines.push(`💡 ${this.escapeHtml(interpretation.oiReason)}`);
+  // Значення на момент time: лінійна інтерполяція між close сусідніх бакетів; через розрив
+  // довший за OI_MAX_INTERPOLATION_GAP_SECONDS - close найближчого старішого бакета
+  valueAt(time) {
+    let lo = 0;
+    let hi = this.buckets.length - 1;
+    let index = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.buckets[mid].lastTs <= time) {
+        index = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
       }
-    } else if (CONFIG.OI_ENABLED) {
-      lines.push(`<code>───────────────────</code>`);
-      lines.push(`⚠️ OI дані недоступні (${oiStats ? oiStats.historyCount : 0} записів)`);
     }
-    
-    // Direction
-    lines.push(`<code>───────────────────</code>`);
-    
-    if (interpretation.flowDirection !== interpretation.finalDirection) {
-      lines.push(`🔄 Flow: ${this.escapeHtml(interpretation.flowDirection)} → Final: <b>${this.escapeHtml(interpretation.finalDirection)}</b>`);
-    } else {
-      lines.push(`🎯 Напрямок: <b>${this.escapeHtml(interpretation.finalDirection)}</b>`);
+    if (index === -1) return null;
+
+    const before = this.buckets[index];
+    const after = this.buckets[index + 1];
+    if (!after || time === before.lastTs || after.lastTs - before.lastTs > CONFIG.OI_MAX_INTERPOLATION_GAP_SECONDS * 1000) {
+      return { ts: before.lastTs, oi: before.oi.close, price: before.price.close, interpolated: false };
     }
-    
-    lines.push(`<code>───────────────────</code>`);
-    
-    // Machine-readable JSON
-    const data = {
-      symbol,
-      direction: interpretation.finalDirection,
-      flowDirection: interpretation.flowDirection,
-      finalDirection: interpretation.finalDirection,
-      type: interpretation.type,
-      decision: interpretation.decision,
-      price: stats.lastPrice,
-      priceChange: parseFloat(stats.priceChange.toFixed(4)),
-      volume: parseFloat(stats.totalVolume.toFixed(2)),
-      dominance: parseFloat(stats.dominance.toFixed(2)),
-      dominantSide: stats.dominantSide,
-      duration: parseFloat(stats.duration.toFixed(1)),
-      timestamp: Date.now(),
-      oiEnabled: CONFIG.OI_ENABLED,
-      oiNow: oiStats?.oiNow || null,
-      oi5mAgo: oiStats?.oi5mAgo || null,
-      oiDeltaPct: oiStats?.oiDeltaPct ? parseFloat(oiStats.oiDeltaPct.toFixed(4)) : null,
-      priceDeltaPct: oiStats?.priceDeltaPct ? parseFloat(oiStats.priceDeltaPct.toFixed(4)) : null,
-      oiOverride: interpretation.oiOverride || false,
-      oiReason: interpretation.oiReason || null,
-      // Нові поля для OI фільтрів
-      oiUsed: interpretation.oiUsed || false,
-      oiDeltaPassed: interpretation.oiDeltaPassed || false,
-      oiPricePassed: interpretation.oiPricePassed || false,
-      oiMinDeltaPercent: interpretation.oiMinDeltaPercent || CONFIG.OI_MIN_DELTA_PERCENT,
-      oiMinPriceChangePercent: interpretation.oiMinPriceChangePercent || CONFIG.OI_MIN_PRICE_CHANGE_PERCENT
+
+    const ratio = (time - before.lastTs) / (after.lastTs - before.lastTs);
+    return {
+      ts: time,
+      oi: before.oi.close + (after.oi.close - before.oi.close) * ratio,
+      price: before.price.close + (after.price.close - before.price.close) * ratio,
+      interpolated: true
     };
+  }
+
+  // Останній семпл проти значення lookbackMs тому. actualLookbackSeconds - реальна відстань між
+  // точками (довша за lookback після розриву в даних), staleSeconds - вік останнього семпла
+  getStats(now, lookbackMs) {
+    if (this.buckets.length === 0) return null;
+
+    const latest = this.buckets[this.buckets.length - 1];
+    const oiNow = latest.oi.close;
+    const priceNow = latest.price.close;
+    const oiNowUSD = oiNow * priceNow;
+    const staleSeconds = Math.max(0, (now - latest.lastTs) / 1000);
+    const stale = staleSeconds > CONFIG.OI_STALE_SECONDS;
     
-    // Екрануємо JSON для безпечного використання в HTML
-    const jsonString = JSON.stringify(data);
-    lines.push(`<code>${this.escapeHtml(jsonString)}</code>`);
-    
-    return lines.join('\n');
+    // Застарілі дані не дають Δ - рішення по OI на них не приймається
+    const reference = stale ? null : this.valueAt(now - lookbackMs);
+    const base = {
+      oiNow,
+      oiNowUSD,
+      priceNow,
+      lookbackSeconds: lookbackMs / 1000,
+      staleSeconds,
+      stale,
+      historyCount: this.buckets.length
+    };
+
+    if (!reference || reference.ts >= latest.lastTs) {
+      return {
+        ...base,
+        oi5mAgo: null,
+        oiDeltaPct: null,
+        oiDelta: null,
+        oi5mAgoUSD: null,
+        oiDeltaUSD: null,
+        price5mAgo: null,
+        priceDeltaPct: null,
+        actualLookbackSeconds: null,
+        interpolated: false,
+        hasWindowData: false
+      };
+    }
+
+    // Δ% рахуємо в монетах (зміна позицій), USD - для порівняння між символами
+    const oi5mAgo = reference.oi;
+    const price5mAgo = reference.price;
+    const oiDelta = oiNow - oi5mAgo;
+    const oi5mAgoUSD = oi5mAgo * price5mAgo;
+
+    return {
+      ...base,
+      oi5mAgo,
+      oiDeltaPct: (oiDelta / oi5mAgo) * 100,
+      oiDelta,
+      oi5mAgoUSD,
+      oiDeltaUSD: oiNowUSD - oi5mAgoUSD,
+      price5mAgo,
+      priceDeltaPct: ((priceNow - price5mAgo) / price5mAgo) * 100,
+      actualLookbackSeconds: (latest.lastTs - reference.ts) / 1000,
+      interpolated: reference.interpolated,
+      hasWindowData: true
+    };
   }
 
-  formatHumanMessage(symbol, stats, interpretation, oiStats) {
-    const lines = [];
+  export() {
+    return this.buckets;
+  }
+
+  // Бакети, що вже надійшли після старту, мають пріоритет; приймає і старий формат [{ts, oi, price}]
+  restore(saved, now) {
+    const cutoff = now - this.historyMs;
+    const firstLive = this.buckets.length > 0 ? this.buckets[0].ts : Infinity;
+    const restored = new OIHistory(this.bucketMs, this.historyMs);
+
+    for (const item of saved) {
+      if (item.oi !== null && typeof item.oi === 'object') {
+        restored.buckets.push(item);
+      } else if (item.oi !== null && item.price !== null) {
+        restored.add(item.ts, item.oi, item.price);
+      }
+    }
+
+    const buckets = restored.buckets.filter(bucket => bucket.lastTs >= cutoff && bucket.ts < firstLive);
+    this.buckets = buckets.concat(this.buckets);
+    return buckets.length;
+  }
+}
+
+function newOHLC(value) {
+  return { open: value, high: value, low: value, close: value };
+}
+
+function updateOHLC(ohlc, value, isLatest) {
+  ohlc.high = Math.max(ohlc.high, value);
+  ohlc.low = Math.min(ohlc.low, value);
+  if (isLatest) ohlc.close = value;
+}
+
+// Мітка lookback: 60 -> '1m', 30 -> '30s'
+function formatLookbackLabel(seconds) {
+  return seconds % 60 === 0 ? `${seconds / 60}m` : `${seconds}s`;
+}
+
+// ============================================================================
+// OKX OPEN INTEREST TRACKER (WebSocket with local cache)
+// ============================================================================
+
+// Історія OI по символу - OIHistory (бакети OI_BUCKET_SECONDS)
+class OKXOpenInterestTracker {
+  constructor(symbols, windowSeconds, historyMinutes, clock = systemClock, recorder = null) {
+    this.venue = 'okx';
+    this.binanceSymbols = symbols; // BTCUSDT, ETHUSDT...
+    this.windowMs = windowSeconds * 1000;
+    this.historyMs = historyMinutes * 60 * 1000;
+    this.clock = clock;
+    this.recorder = recorder;
     
-    lines.push(`${interpretation.emoji} ${this.escapeHtml(interpretation.label)}`);
-    lines.push(`💰 Об'єм: $${this.fmt(stats.totalVolume)} за ${stats.duration.toFixed(0)}с`);
-    lines.push(`📊 Домінація: ${stats.dominance.toFixed(1)}% ${this.escapeHtml(interpretation.finalDirection)}`);
-    lines.push('━━━━━━━━━━━━━━━━━');
+    // Локальний кеш: Map<OKX_SYMBOL, {lastOI, lastPrice, history: OIHistory}>
+    this.oiCache = new Map();
     
-    const cleanSymbol = symbol.replace('USDT', '');
-    lines.push(`🎯 ${this.escapeHtml(symbol)} #${this.escapeHtml(cleanSymbol)}`);
+    // Ініціалізація кешу
+    this.binanceSymbols.forEach(binanceSymbol => {
+      this.oiCache.set(CONFIG.binanceToOKX(binanceSymbol), this.createCacheEntry());
+    });
     
-    const priceSign = stats.priceChange >= 0 ? '+' : '';
-    lines.push(`📈 Δ Ціни: ${priceSign}${stats.priceChange.toFixed(2)}%`);
-    lines.push(`💵 Ціна: $${stats.lastPrice.toFixed(4)}`);
+    this.ws = null;
+    this.reconnectCount = 0;
+    this.reconnectTimer = null;
+    this.heartbeatInterval = null;
+    this.isRunning = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('[OKX-OI] Вже запущено');
+      return;
+    }
+
+    this.isRunning = true;
+    console.log(`[OKX-OI] Запуск WebSocket трекінгу для ${this.binanceSymbols.length} символів`);
+    this.connect();
+  }
+
+  connect() {
+    try {
+      this.ws = new WebSocket(CONFIG.OKX_WS_PUBLIC);
+
+      this.ws.on('open', () => {
+        console.log('[OKX-OI] WebSocket підключено');
+        this.reconnectCount = 0;
+        this.subscribeToChannels();
+        this.startHeartbeat();
+      });
+
+      this.ws.on('message', (data) => {
+        this.handleMessage(data);
+      });
+
+      this.ws.on('error', (error) => {
+        console.error('[OKX-OI] WebSocket помилка:', error.message);
+      });
+
+      this.ws.on('close', () => {
+        console.log('[OKX-OI] WebSocket закрито');
+        this.stopHeartbeat();
+        this.scheduleReconnect();
+      });
+
+    } catch (error) {
+      console.error('[OKX-OI] Помилка створення WebSocket:', error.message);
+      this.scheduleReconnect();
+    }
+  }
+
+  buildChannelArgs(binanceSymbols) {
+    const args = [];
     
-    if (oiStats && oiStats.hasWindowData) {
-      lines.push('━━━━━━━━━━━━━━━━━');
-      const oiSign = oiStats.oiDeltaPct >= 0 ? '+' : '';
-      lines.push(`📊 OI (5хв): ${oiSign}${oiStats.oiDeltaPct.toFixed(2)}%`);
+    binanceSymbols.forEach(binanceSymbol => {
+      const okxSymbol = CONFIG.binanceToOKX(binanceSymbol);
       
-      const priceSign5m = oiStats.priceDeltaPct >= 0 ? '+' : '';
-      lines.push(`📈 Ціна (5хв): ${priceSign5m}${oiStats.priceDeltaPct.toFixed(2)}%`);
+      // Open Interest channel
+      args.push({
+        channel: 'open-interest',
+        instId: okxSymbol
+      });
       
-      // OI фільтри
-      lines.push(`⚙️ OI Used: ${interpretation.oiUsed ? 'YES ✅' : 'NO ❌'}`);
-      if (!interpretation.oiUsed) {
-        lines.push(`   (OI: ${interpretation.oiDeltaPassed ? '✅' : '❌'} | Price: ${interpretation.oiPricePassed ? '✅' : '❌'})`);
+      // Mark Price channel (або можна використати tickers для last price)
+      args.push({
+        channel: 'mark-price',
+        instId: okxSymbol
+      });
+    });
+    
+    return args;
+  }
+
+  subscribeToChannels() {
+    // Підписуємось на open-interest та mark-price для всіх символів
+    const args = this.buildChannelArgs(this.binanceSymbols);
+
+    const subscribeMessage = {
+      op: 'subscribe',
+      args: args
+    };
+
+    this.ws.send(JSON.stringify(subscribeMessage));
+    console.log(`[OKX-OI] Підписка на ${args.length} каналів (${this.binanceSymbols.length} символів)`);
+  }
+
+  handleMessage(data) {
+    try {
+      const message = JSON.parse(data);
+      
+      // Ping-pong
+      if (message.event === 'ping') {
+        this.ws.send(JSON.stringify({ op: 'pong' }));
+        return;
       }
       
-      lines.push(`🧠 ${this.escapeHtml(interpretation.decision)}`);
+      // Subscription confirmation
+      if (message.event === 'subscribe') {
+        // console.log('[OKX-OI] Підписка підтверджена:', message.arg);
+        return;
+      }
       
-      if (interpretation.oiReason) {
-        lines.push(`💡 ${this.escapeHtml(interpretation.oiReason)}`);
+      // Data updates
+      if (message.data && Array.isArray(message.data) && message.arg) {
+        const channel = message.arg.channel;
+        const instId = message.arg.instId; // OKX symbol (BTC-USDT-SWAP)
+        
+        if (this.recorder && (channel === 'open-interest' || channel === 'mark-price')) {
+          this.recorder.record('okx', CONFIG.okxToBinance(instId), message);
+        }
+        
+        if (channel === 'open-interest') {
+          this.handleOpenInterest(instId, message.data);
+        } else if (channel === 'mark-price') {
+          this.handleMarkPrice(instId, message.data);
+        }
       }
+      
+    } catch (error) {
+      console.error('[OKX-OI] Помилка обробки повідомлення:', error.message);
     }
-    
-    lines.push('━━━━━━━━━━━━━━━━━');
-    lines.push(`🟢 Агресивний Buy: $${this.fmt(stats.buyVolume)}`);
-    lines.push(`🔴 Агресивний Sell: $${this.fmt(stats.sellVolume)}`);
-    
-    return lines.join('\n');
   }
 
-  fmt(num) {
-    if (num >= 1_000_000) return (num / 1_000_000).toFixed(2) + 'M';
-    if (num >= 1_000) return (num / 1_000).toFixed(0) + 'K';
-    return num.toFixed(0);
+  handleOpenInterest(okxSymbol, dataArray) {
+    if (!dataArray || dataArray.length === 0) return;
+    
+    const data = dataArray[0];
+    const oi = this.normalizeOI(okxSymbol, data);
+    const timestamp = parseInt(data.ts);
+    
+    if (isNaN(oi) || isNaN(timestamp)) return;
+    
+    const cache = this.oiCache.get(okxSymbol);
+    if (!cache) return;
+    
+    cache.lastOI = oi;
+    
+    // Додаємо в історію
+    this.addToHistory(okxSymbol, timestamp, oi, cache.lastPrice);
   }
 
-  fmtOI(num) {
-    if (!num) return 'N/A';
-    if (num >= 1_000_000) return (num / 1_000_000).toFixed(2) + 'M';
-    if (num >= 1_000) return (num / 1_000).toFixed(1) + 'K';
-    return num.toFixed(0);
+  // OI в монетах: oiCcy з повідомлення або контракти * ctVal * ctMult
+  normalizeOI(okxSymbol, data) {
+    const oiCcy = parseFloat(data.oiCcy);
+    if (!isNaN(oiCcy)) return oiCcy;
+    
+    return instrumentRegistry.contractsToCoins(okxSymbol, parseFloat(data.oi));
   }
 
-  getCount() {
-    return this.alertCount;
+  handleMarkPrice(okxSymbol, dataArray) {
+    if (!dataArray || dataArray.length === 0) return;
+    
+    const data = dataArray[0];
+    const markPrice = parseFloat(data.markPx);
+    const timestamp = parseInt(data.ts);
+    
+    if (isNaN(markPrice) || isNaN(timestamp)) return;
+    
+    const cache = this.oiCache.get(okxSymbol);
+    if (!cache) return;
+    
+    cache.lastPrice = markPrice;
+    
+    // Додаємо в історію
+    this.addToHistory(okxSymbol, timestamp, cache.lastOI, markPrice);
   }
 
-  getPendingCount() {
-    return this.pendingAlerts.size;
+  createCacheEntry() {
+    return {
+      lastOI: null,
+      lastPrice: null,
+      history: new OIHistory(CONFIG.OI_BUCKET_SECONDS * 1000, this.historyMs)
+    };
   }
 
-  stop() {
-    if (this.minuteCheckInterval) {
-      clearInterval(this.minuteCheckInterval);
+  addToHistory(okxSymbol, timestamp, oi, price) {
+    const cache = this.oiCache.get(okxSymbol);
+    if (!cache) return;
+    
+    // Якщо обидва значення доступні, додаємо
+    if (oi !== null && price !== null) {
+      cache.history.add(timestamp, oi, price);
+      cache.history.trim(this.clock.now());
     }
+  }
+
+  // lookbackSeconds = null - OI_WINDOW_SECONDS
+  getOIStats(binanceSymbol, lookbackSeconds = null) {
+    const okxSymbol = CONFIG.binanceToOKX(binanceSymbol);
+    const cache = this.oiCache.get(okxSymbol);
     
-    // Очистити всі таймери фінальної перевірки
-    for (const timer of this.finalCheckTimers.values()) {
-      clearTimeout(timer);
+    if (!cache || cache.history.length === 0) {
+      return null;
     }
-    this.finalCheckTimers.clear();
+
+    return cache.history.getStats(this.clock.now(), lookbackSeconds ? lookbackSeconds * 1000 : this.windowMs);
+  }
+
+  isConnected() {
+    return Boolean(this.ws && this.ws.readyState === WebSocket.OPEN);
+  }
+
+  // Після завантаження метаданих OKX instId символу може змінитись (аліаси, 1000x)
+  remapSymbols() {
+    const previousCache = this.oiCache;
+    this.oiCache = new Map();
+    
+    this.binanceSymbols.forEach(binanceSymbol => {
+      const okxSymbol = CONFIG.binanceToOKX(binanceSymbol);
+      this.oiCache.set(okxSymbol, previousCache.get(okxSymbol) || this.createCacheEntry());
+    });
+    
+    const removed = Array.from(previousCache.keys()).filter(id => !this.oiCache.has(id));
+    const added = Array.from(this.oiCache.keys()).filter(id => !previousCache.has(id));
+    
+    if ((removed.length > 0 || added.length > 0) && this.isConnected()) {
+      const toArgs = ids => ids.flatMap(instId => [
+        { channel: 'open-interest', instId },
+        { channel: 'mark-price', instId }
+      ]);
+      if (removed.length > 0) this.ws.send(JSON.stringify({ op: 'unsubscribe', args: toArgs(removed) }));
+      if (added.length > 0) this.ws.send(JSON.stringify({ op: 'subscribe', args: toArgs(added) }));
+    }
+  }
+
+  addSymbol(binanceSymbol) {
+    if (this.binanceSymbols.includes(binanceSymbol)) return;
+    
+    const okxSymbol = CONFIG.binanceToOKX(binanceSymbol);
+    this.binanceSymbols.push(binanceSymbol);
+    this.oiCache.set(okxSymbol, this.createCacheEntry());
+    
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ op: 'subscribe', args: this.buildChannelArgs([binanceSymbol]) }));
+    }
+    console.log(`[OKX-OI] Додано ${okxSymbol}`);
+  }
+
+  removeSymbol(binanceSymbol) {
+    if (!this.binanceSymbols.includes(binanceSymbol)) return;
+    
+    const okxSymbol = CONFIG.binanceToOKX(binanceSymbol);
+    this.binanceSymbols = this.binanceSymbols.filter(s => s !== binanceSymbol);
+    this.oiCache.delete(okxSymbol);
+    
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ op: 'unsubscribe', args: this.buildChannelArgs([binanceSymbol]) }));
+    }
+    console.log(`[OKX-OI] Видалено ${okxSymbol}`);
+  }
+
+  getHistoryCount(binanceSymbol) {
+    const okxSymbol = CONFIG.binanceToOKX(binanceSymbol);
+    const cache = this.oiCache.get(okxSymbol);
+    return cache ? cache.history.length : 0;
+  }
+
+  // Знімок історії для збереження між рестартами (ключ - Binance символ, бо мапінг OKX може змінитись)
+  exportState() {
+    const state = {};
+    this.binanceSymbols.forEach(binanceSymbol => {
+      const cache = this.oiCache.get(CONFIG.binanceToOKX(binanceSymbol));
+      if (cache && cache.history.length > 0) {
+        state[binanceSymbol] = cache.history.export();
+      }
+    });
+    return state;
+  }
+
+  // lastOI/lastPrice не відновлюємо - живі значення прийдуть за секунди, а старі спотворили б історію
+  restoreState(state) {
+    let restored = 0;
+    
+    for (const [binanceSymbol, history] of Object.entries(state || {})) {
+      const cache = this.oiCache.get(CONFIG.binanceToOKX(binanceSymbol));
+      if (!cache || !Array.isArray(history)) continue;
+      
+      if (cache.history.restore(history, this.clock.now()) > 0) restored++;
+    }
+    
+    return restored;
+  }
+
+  startHeartbeat() {
+    // OKX WebSocket heartbeat (ping every 20s)
+    this.heartbeatInterval = setInterval(() => {
+      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this.ws.send(JSON.stringify({ op: 'ping' }));
+      }
+    }, 20000);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+  }
+
+  scheduleReconnect() {
+    if (!this.isRunning) return;
+    
+    this.reconnectCount++;
+    const delay = Math.min(5000 * this.reconnectCount, 60000); // Max 60s
+    
+    console.log(`[OKX-OI] Переподключення через ${delay / 1000}s (спроба ${this.reconnectCount})`);
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.connect();
+    }, delay);
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.stopHeartbeat();
+    
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+    
+    console.log('[OKX-OI] Зупинено');
   }
 }
 
 // ============================================================================
-// MULTI-WEBSOCKET MANAGER (Binance aggTrade)
+// OPEN INTEREST PROVIDERS (Binance polling, Bybit tickers, агрегація по біржах)
 // ============================================================================
 
-class MultiWebSocketManager {
-  constructor(symbols, tradeAggregator, signalEngine, cooldownManager, alertManager, oiTracker = null) {
-    this.symbols = symbols;
-    this.tradeAggregator = tradeAggregator;
-    this.signalEngine = signalEngine;
-    this.cooldownManager = cooldownManager;
-    this.alertManager = alertManager;
-    this.oiTracker = oiTracker;
-    
-    this.connections = new Map();
-    this.tradeCount = 0;
-    this.lastStatsLog = Date.now();
-    this.reconnectAttempts = new Map();
+// Спільна історія OI по Binance символах; інтерфейс той самий, що в OKXOpenInterestTracker
+class OpenInterestHistoryProvider {
+  constructor(venue, symbols, windowSeconds, historyMinutes, clock = systemClock, recorder = null) {
+    this.venue = venue;
+    this.binanceSymbols = [...symbols];
+    this.windowMs = windowSeconds * 1000;
+    this.historyMs = historyMinutes * 60 * 1000;
+    this.clock = clock;
+    this.recorder = recorder;
+    this.histories = new Map(this.binanceSymbols.map(symbol => [symbol, this.createHistory()]));
+  }
+
+  createHistory() {
+    return new OIHistory(CONFIG.OI_BUCKET_SECONDS * 1000, this.historyMs);
+  }
+
+  // oi у монетах (або одиницях контракту Binance - Δ% від цього не залежить), price - mark price
+  addSample(symbol, timestamp, oi, price) {
+    const history = this.histories.get(symbol);
+    if (!history || isNaN(oi) || isNaN(price) || isNaN(timestamp)) return;
+
+    if (this.recorder && this.shouldRecord(symbol, timestamp, oi)) {
+      this.recorder.record('oi', symbol, { venue: this.venue, ts: timestamp, oi, price });
+    }
+
+    // Часті оновлення (Bybit ~100мс) згортаються в бакет
+    history.add(timestamp, oi, price);
+    history.trim(this.clock.now());
+  }
+
+  shouldRecord() {
+    return true;
+  }
+
+  // lookbackSeconds = null - OI_WINDOW_SECONDS
+  getOIStats(symbol, lookbackSeconds = null) {
+    const history = this.histories.get(symbol);
+    if (!history || history.length === 0) return null;
+    return history.getStats(this.clock.now(), lookbackSeconds ? lookbackSeconds * 1000 : this.windowMs);
+  }
+
+  getHistoryCount(symbol) {
+    const history = this.histories.get(symbol);
+    return history ? history.length : 0;
+  }
+
+  addSymbol(symbol) {
+    if (this.histories.has(symbol)) return false;
+    this.binanceSymbols.push(symbol);
+    this.histories.set(symbol, this.createHistory());
+    return true;
+  }
+
+  removeSymbol(symbol) {
+    if (!this.histories.delete(symbol)) return false;
+    this.binanceSymbols = this.binanceSymbols.filter(s => s !== symbol);
+    return true;
+  }
+
+  exportState() {
+    const state = {};
+    for (const [symbol, history] of this.histories) {
+      if (history.length > 0) state[symbol] = history.export();
+    }
+    return state;
+  }
+
+  restoreState(state) {
+    let restored = 0;
+
+    for (const [symbol, saved] of Object.entries(state || {})) {
+      const history = this.histories.get(symbol);
+      if (!history || !Array.isArray(saved)) continue;
+
+      if (history.restore(saved, this.clock.now()) > 0) restored++;
+    }
+
+    return restored;
+  }
+}
+
+// Binance не має публічного OI стріму - опитуємо REST
+class BinanceOpenInterestPoller extends OpenInterestHistoryProvider {
+  constructor(symbols, windowSeconds, historyMinutes, clock = systemClock, recorder = null, http = axios) {
+    super('binance', symbols, windowSeconds, historyMinutes, clock, recorder);
+    this.http = http;
+    this.pollTimer = null;
+    this.polling = false;
+    this.lastSuccess = 0;
+  }
+
+  start() {
+    console.log(`[BINANCE-OI] Опитування кожні ${CONFIG.BINANCE_OI_POLL_SECONDS}s для ${this.binanceSymbols.length} символів`);
+    this.poll();
+    this.pollTimer = setInterval(() => this.poll(), CONFIG.BINANCE_OI_POLL_SECONDS * 1000);
+  }
+
+  async poll() {
+    if (this.polling) return; // попереднє опитування ще триває
+    this.polling = true;
+
+    try {
+      // Mark price всіх символів одним запитом
+      const { data: premiumIndex } = await this.http.get(`${CONFIG.BINANCE_REST}/fapi/v1/premiumIndex`, { timeout: 10000 });
+      const markPrices = new Map(premiumIndex.map(item => [item.symbol, parseFloat(item.markPrice)]));
+
+      for (const symbol of [...this.binanceSymbols]) {
+        try {
+          const { data } = await this.http.get(`${CONFIG.BINANCE_REST}/fapi/v1/openInterest`, {
+            params: { symbol },
+            timeout: 10000
+          });
+          this.addSample(symbol, data.time, parseFloat(data.openInterest), markPrices.get(symbol));
+        } catch (error) {
+          console.error(`[BINANCE-OI] ${symbol}:`, error.message);
+        }
+      }
+
+      this.lastSuccess = this.clock.now();
+    } catch (error) {
+      console.error('[BINANCE-OI] Помилка опитування:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  isConnected() {
+    return this.clock.now() - this.lastSuccess < CONFIG.BINANCE_OI_POLL_SECONDS * 3000;
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+}
+
+// Bybit tickers: snapshot, далі delta лише зі зміненими полями
+class BybitOpenInterestTracker extends OpenInterestHistoryProvider {
+  constructor(symbols, windowSeconds, historyMinutes, clock = systemClock, recorder = null) {
+    super('bybit', symbols, windowSeconds, historyMinutes, clock, recorder);
+    this.tickers = new Map(); // Map<symbol, {openInterest, markPrice}>
+    this.recorded = new Map(); // Map<symbol, {timestamp, oi}> - останній семпл у записі сесії
+    this.ws = null;
+    this.isRunning = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatInterval = null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.connect();
+  }
+
+  connect() {
+    this.ws = new WebSocket(CONFIG.BYBIT_WS_LINEAR);
+
+    this.ws.on('open', () => {
+      console.log(`[BYBIT-OI] Підключено (${this.binanceSymbols.length} символів)`);
+      this.reconnectAttempts = 0;
+      this.send('subscribe', this.binanceSymbols);
+      this.heartbeatInterval = setInterval(() => {
+        if (this.isConnected()) this.ws.send(JSON.stringify({ op: 'ping' }));
+      }, 20000);
+    });
+
+    this.ws.on('message', (data) => this.handleMessage(data.toString()));
+
+    this.ws.on('error', (error) => {
+      console.error('[BYBIT-OI] Помилка:', error.message);
+    });
+
+    this.ws.on('close', () => {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+      if (!this.isRunning) return;
+
+      const delay = backoffDelay(this.reconnectAttempts++);
+      console.log(`[BYBIT-OI] Переподключення через ${(delay / 1000).toFixed(1)}s`);
+      this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    });
+  }
+
+  // Bybit приймає до 10 topics в одному запиті
+  send(op, symbols) {
+    if (!this.isConnected()) return;
+
+    for (let i = 0; i < symbols.length; i += 10) {
+      const args = symbols.slice(i, i + 10).map(symbol => `tickers.${CONFIG.binanceToBybit(symbol)}`);
+      this.ws.send(JSON.stringify({ op, args }));
+    }
+  }
+
+  handleMessage(raw) {
+    try {
+      const message = JSON.parse(raw);
+      if (!message.topic || !message.topic.startsWith('tickers.') || !message.data) return;
+
+      const symbol = CONFIG.bybitToBinance(message.data.symbol);
+      const ticker = this.tickers.get(symbol) || {};
+      if (message.data.openInterest !== undefined) ticker.openInterest = parseFloat(message.data.openInterest);
+      if (message.data.markPrice !== undefined) ticker.markPrice = parseFloat(message.data.markPrice);
+      this.tickers.set(symbol, ticker);
+
+      if (ticker.openInterest !== undefined && ticker.markPrice !== undefined) {
+        this.addSample(symbol, message.ts, ticker.openInterest, ticker.markPrice);
+      }
+    } catch (error) {
+      console.error('[BYBIT-OI] Помилка обробки повідомлення:', error.message);
+    }
+  }
+
+  // Delta з mark price приходить кожні ~100мс - у запис лише зміна OI або раз на OI_BUCKET_SECONDS
+  shouldRecord(symbol, timestamp, oi) {
+    const last = this.recorded.get(symbol);
+    const changed = !last || last.oi !== oi || timestamp - last.timestamp >= CONFIG.OI_BUCKET_SECONDS * 1000;
+
+    if (changed) {
+      this.recorded.set(symbol, { timestamp, oi });
+    }
+    return changed;
+  }
+
+  addSymbol(symbol) {
+    if (super.addSymbol(symbol)) this.send('subscribe', [symbol]);
+  }
+
+  removeSymbol(symbol) {
+    if (super.removeSymbol(symbol)) {
+      this.tickers.delete(symbol);
+      this.recorded.delete(symbol);
+      this.send('unsubscribe', [symbol]);
+    }
+  }
+
+  isConnected() {
+    return Boolean(this.ws && this.ws.readyState === WebSocket.OPEN);
+  }
+
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.heartbeatInterval);
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+  }
+}
+
+const OI_PROVIDER_TYPES = {
+  okx: OKXOpenInterestTracker,
+  binance: BinanceOpenInterestPoller,
+  bybit: BybitOpenInterestTracker
+};
+
+// Сумарний OI по біржах; той самий інтерфейс, що й окремий трекер (SignalEngine, AlertManager)
+class AggregateOpenInterest {
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  getProvider(venue) {
+    return this.providers.find(provider => provider.venue === venue) || null;
+  }
+
+  start() {
+    this.providers.forEach(provider => provider.start());
+  }
+
+  stop() {
+    this.providers.forEach(provider => provider.stop());
+  }
+
+  // Сирі повідомлення OKX (replay записів 'okx')
+  handleMessage(data) {
+    const okx = this.getProvider('okx');
+    if (okx) okx.handleMessage(data);
+  }
+
+  // Нормалізовані записи 'oi' (Binance/Bybit) з replay
+  handleSample(symbol, { venue, ts, oi, price }) {
+    const provider = this.getProvider(venue);
+    if (provider && provider.addSample) provider.addSample(symbol, ts, oi, price);
+  }
+
+  // Δ% OI - середнє змін по біржах, зважене на OI у USD вікно тому
+  // (еквівалентно Δ суми в монетах, але не залежить від одиниць контракту біржі)
+  // lookbackSeconds = null - OI_WINDOW_SECONDS плюс deltas по OI_LOOKBACKS_SECONDS
+  getOIStats(symbol, lookbackSeconds = null) {
+    const stats = this.aggregateStats(symbol, lookbackSeconds);
+    if (stats && lookbackSeconds === null) {
+      stats.deltas = this.getOIDeltas(symbol);
+    }
+    return stats;
+  }
+
+  // { '1m': { oiDeltaPct, priceDeltaPct, actualLookbackSeconds, interpolated } | null, '5m': ..., '15m': ... }
+  getOIDeltas(symbol) {
+    return Object.fromEntries(CONFIG.OI_LOOKBACKS_SECONDS.map(seconds => {
+      const stats = this.aggregateStats(symbol, seconds);
+      return [formatLookbackLabel(seconds), stats && stats.hasWindowData
+        ? {
+          oiDeltaPct: stats.oiDeltaPct,
+          priceDeltaPct: stats.priceDeltaPct,
+          actualLookbackSeconds: stats.actualLookbackSeconds,
+          interpolated: stats.interpolated
+        }
+        : null];
+    }));
+  }
+
+  aggregateStats(symbol, lookbackSeconds) {
+    const venues = {};
+    for (const provider of this.providers) {
+      const stats = provider.getOIStats(symbol, lookbackSeconds);
+      if (stats) venues[provider.venue] = stats;
+    }
+
+    const entries = Object.entries(venues);
+    if (entries.length === 0) return null;
+
+    const withWindow = entries.filter(([, stats]) => stats.hasWindowData);
+    const historyCount = entries.reduce((total, [, stats]) => total + stats.historyCount, 0);
+    const oiNowUSD = entries.reduce((total, [, stats]) => total + stats.oiNowUSD, 0);
+    // Ціна - з першої біржі в OI_VENUES, що має дані
+    const primary = (withWindow[0] || entries[0])[1];
+    const venueSummary = Object.fromEntries(entries.map(([venue, stats]) => [venue, {
+      oiNowUSD: stats.oiNowUSD,
+      oi5mAgoUSD: stats.oi5mAgoUSD,
+      oiDeltaPct: stats.oiDeltaPct,
+      actualLookbackSeconds: stats.actualLookbackSeconds,
+      staleSeconds: stats.staleSeconds,
+      hasWindowData: stats.hasWindowData
+    }]));
+
+    // oiNow - монетний еквівалент усіх бірж з даними за ціною основної; той самий набір бірж
+    // незалежно від того, чи є в біржі дані вікна, тож відставання однієї біржі не дає стрибка рівня
+    const oiNow = oiNowUSD / primary.priceNow;
+
+    if (withWindow.length === 0) {
+      return {
+        ...primary,
+        oiNow,
+        oiNowUSD,
+        historyCount,
+        venues: venueSummary
+      };
+    }
+
+    const oi5mAgoUSD = withWindow.reduce((total, [, stats]) => total + stats.oi5mAgoUSD, 0);
+    const windowNowUSD = withWindow.reduce((total, [, stats]) => total + stats.oiNowUSD, 0);
+    const oiDeltaPct = withWindow.reduce((total, [, stats]) => total + stats.oiDeltaPct * stats.oi5mAgoUSD, 0) / oi5mAgoUSD;
+
+    // oi5mAgo - той самий рівень, відмотаний на Δ% бірж з даними вікна
+    const oi5mAgo = oiNow / (1 + oiDeltaPct / 100);
+
+    return {
+      oiNow,
+      oi5mAgo,
+      oiDeltaPct,
+      oiDelta: oiNow - oi5mAgo,
+      oiNowUSD,
+      oi5mAgoUSD,
+      oiDeltaUSD: windowNowUSD - oi5mAgoUSD,
+      priceNow: primary.priceNow,
+      price5mAgo: primary.price5mAgo,
+      priceDeltaPct: primary.priceDeltaPct,
+      // Найгірші серед бірж з Δ: найдовший фактичний lookback, найстаріший семпл
+      lookbackSeconds: primary.lookbackSeconds,
+      actualLookbackSeconds: Math.max(...withWindow.map(([, stats]) => stats.actualLookbackSeconds)),
+      interpolated: withWindow.some(([, stats]) => stats.interpolated),
+      staleSeconds: Math.max(...withWindow.map(([, stats]) => stats.staleSeconds)),
+      stale: false,
+      hasWindowData: true,
+      historyCount,
+      venues: venueSummary
+    };
+  }
+
+  isConnected() {
+    return this.providers.some(provider => provider.isConnected());
+  }
+
+  // { okx: true, binance: false }
+  getVenueStatus() {
+    return Object.fromEntries(this.providers.map(provider => [provider.venue, provider.isConnected()]));
+  }
+
+  getHistoryCount(symbol) {
+    return this.providers.reduce((total, provider) => total + provider.getHistoryCount(symbol), 0);
+  }
+
+  remapSymbols() {
+    this.providers.forEach(provider => {
+      if (provider.remapSymbols) provider.remapSymbols();
+    });
+  }
+
+  addSymbol(symbol) {
+    this.providers.forEach(provider => provider.addSymbol(symbol));
+  }
+
+  removeSymbol(symbol) {
+    this.providers.forEach(provider => provider.removeSymbol(symbol));
+  }
+
+  exportState() {
+    return Object.fromEntries(this.providers.map(provider => [provider.venue, provider.exportState()]));
+  }
+
+  restoreState(state) {
+    return this.providers.reduce((total, provider) => total + provider.restoreState((state || {})[provider.venue]), 0);
+  }
+}
+
+// Трекер OI з бірж OI_VENUES (порядок задає біржу для ціни)
+function createOpenInterestTracker(symbols, clock = systemClock, recorder = null) {
+  const providers = CONFIG.OI_VENUES.map(venue => {
+    const ProviderType = OI_PROVIDER_TYPES[venue];
+    if (!ProviderType) {
+      throw new Error(`Невідоме джерело OI "${venue}" (${Object.keys(OI_PROVIDER_TYPES).join(', ')})`);
+    }
+    return new ProviderType(symbols, CONFIG.OI_WINDOW_SECONDS, CONFIG.OI_HISTORY_MINUTES, clock, recorder);
+  });
+
+  return new AggregateOpenInterest(providers);
+}
+
+// ============================================================================
+// CVD (cumulative volume delta по барах 1m/5m/15m/1h)
+// ============================================================================
+
+const CVD_TIMEFRAMES = { '1m': 60_000, '5m': 300_000, '15m': 900_000, '1h': 3_600_000 };
+
+// Бар: { start, open, high, low, close, delta, cvdHigh, cvdLow, cvdClose }; delta і CVD у USD (buy - sell)
+// Об'єм - з усіх бірж, ціна - лише з основної (як у SymbolState)
+class CvdSeries {
+  constructor() {
+    this.cvd = 0;
+    this.bars = Object.fromEntries(Object.keys(CVD_TIMEFRAMES).map(tf => [tf, []]));
+    this.restoredOpen = new Set(); // Таймфрейми, чий відкритий бар відновлено зі знімка
+  }
+
+  // price = null - трейд без ціни (інша біржа); повертає таймфрейми, чий бар закрився цим трейдом
+  addTrade(timestamp, price, delta) {
+    this.cvd += delta;
+    const closed = [];
+
+    for (const [tf, ms] of Object.entries(CVD_TIMEFRAMES)) {
+      const bars = this.bars[tf];
+      const start = Math.floor(timestamp / ms) * ms;
+      let bar = bars[bars.length - 1];
+
+      // Запізнілий трейд потрапляє в поточний бар
+      if (!bar || start > bar.start) {
+        // Бар зі знімка пропустив трейди за час простою - його закриття не перевіряємо
+        if (bar && !this.restoredOpen.delete(tf)) closed.push(tf);
+        bar = { start, open: null, high: null, low: null, close: null, delta: 0, cvdHigh: this.cvd, cvdLow: this.cvd, cvdClose: this.cvd };
+        bars.push(bar);
+        if (bars.length > CONFIG.CVD_MAX_BARS) bars.shift();
+      }
+
+      bar.delta += delta;
+      bar.cvdClose = this.cvd;
+      if (this.cvd > bar.cvdHigh) bar.cvdHigh = this.cvd;
+      if (this.cvd < bar.cvdLow) bar.cvdLow = this.cvd;
+
+      if (price !== null) {
+        if (bar.open === null) {
+          bar.open = bar.high = bar.low = price;
+        }
+        if (price > bar.high) bar.high = price;
+        if (price < bar.low) bar.low = price;
+        bar.close = price;
+      }
+    }
+
+    return closed;
+  }
+
+  // Останній закритий бар проти попередніх lookback барів:
+  // bearish - ціна оновила максимум, CVD - ні; bullish - ціна оновила мінімум, CVD - ні
+  detectDivergence(timeframe, lookback, minPriceExtensionPercent, minCvdGapUSD) {
+    const bars = this.bars[timeframe] || [];
+    // Останній бар (відкритий щойно) не враховуємо; закритий бар обираємо до фільтра -
+    // новий бар, відкритий трейдом без ціни (OKX/Bybit), інакше зсунув би вибір на бар назад
+    const closedBar = bars[bars.length - 2];
+    if (!closedBar || closedBar.open === null) return null;
+    const previous = bars.slice(0, -2).filter(bar => bar.open !== null).slice(-lookback);
+    if (previous.length < lookback) return null;
+
+    const prevHigh = Math.max(...previous.map(bar => bar.high));
+    const prevLow = Math.min(...previous.map(bar => bar.low));
+    const prevCvdHigh = Math.max(...previous.map(bar => bar.cvdHigh));
+    const prevCvdLow = Math.min(...previous.map(bar => bar.cvdLow));
+
+    const base = { timeframe, lookback, barStart: closedBar.start, price: closedBar.close };
+
+    if (closedBar.high >= prevHigh * (1 + minPriceExtensionPercent / 100) && closedBar.cvdHigh <= prevCvdHigh - minCvdGapUSD) {
+      return {
+        ...base,
+        type: 'bearish',
+        priceExtreme: closedBar.high,
+        priceExtremePrev: prevHigh,
+        priceExtensionPct: ((closedBar.high - prevHigh) / prevHigh) * 100,
+        cvdExtreme: closedBar.cvdHigh,
+        cvdExtremePrev: prevCvdHigh,
+        cvdGapUSD: prevCvdHigh - closedBar.cvdHigh
+      };
+    }
+
+    if (closedBar.low <= prevLow * (1 - minPriceExtensionPercent / 100) && closedBar.cvdLow >= prevCvdLow + minCvdGapUSD) {
+      return {
+        ...base,
+        type: 'bullish',
+        priceExtreme: closedBar.low,
+        priceExtremePrev: prevLow,
+        priceExtensionPct: ((closedBar.low - prevLow) / prevLow) * 100,
+        cvdExtreme: closedBar.cvdLow,
+        cvdExtremePrev: prevCvdLow,
+        cvdGapUSD: closedBar.cvdLow - prevCvdLow
+      };
+    }
+
+    return null;
+  }
+
+  // Δ CVD за поточний бар кожного таймфрейму
+  getSummary() {
+    return {
+      cvd: this.cvd,
+      timeframes: Object.fromEntries(Object.entries(this.bars).map(([tf, bars]) => [tf, bars.length > 0 ? bars[bars.length - 1].delta : 0]))
+    };
+  }
+
+  exportState() {
+    return { cvd: this.cvd, bars: this.bars };
+  }
+
+  // Бари старші за DIVERGENCE_LOOKBACK_BARS таймфреймів від now відкидаються
+  restoreState(state, now) {
+    if (!state || !state.bars) return;
+
+    this.cvd = state.cvd;
+    for (const [tf, ms] of Object.entries(CVD_TIMEFRAMES)) {
+      if (!Array.isArray(state.bars[tf])) continue;
+
+      const cutoff = now - CONFIG.DIVERGENCE_LOOKBACK_BARS * ms;
+      this.bars[tf] = state.bars[tf].filter(bar => bar.start >= cutoff);
+      if (this.bars[tf].length > 0) this.restoredOpen.add(tf);
+    }
+  }
+}
+
+// ============================================================================
+// ADAPTIVE BASELINE (об'єм вікон за добу + ATR для адаптивних порогів)
+// ============================================================================
+
+// Об'єм послідовних неперекривних періодів довжини вікна (вирівняні по epoch) за historyMs.
+// Закриті періоди агрегуються в кошики ADAPTIVE_BASELINE_BUCKET_MINUTES (count, sum, sumSquares):
+// mean/std - O(1) на трейд, витіснення - цілим кошиком, у знімок стану йдуть лише кошики
+class VolumeBaseline {
+  constructor(periodMs, historyMs) {
+    this.periodMs = periodMs;
+    // Кошик - ціле число періодів, щоб період не розривався між кошиками
+    this.bucketMs = Math.max(1, Math.round(CONFIG.ADAPTIVE_BASELINE_BUCKET_MINUTES * 60_000 / periodMs)) * periodMs;
+    this.capacity = Math.max(1, Math.round(historyMs / this.bucketMs)); // Кошиків разом з поточним
+    this.buckets = []; // Заповнені кошики { start, count, sum, sumSquares }, старші першими
+    this.bucket = null; // Кошик, що заповнюється
+    this.closed = { count: 0, sum: 0, sumSquares: 0 }; // Суми по this.buckets
+    this.periodStart = null;
+    this.current = 0;
+    this.partial = false;
+  }
+
+  // Запізнілий трейд потрапляє в поточний період; перший період після старту неповний і в базу не йде
+  add(timestamp, volume) {
+    const start = Math.floor(timestamp / this.periodMs) * this.periodMs;
+    
+    if (this.periodStart === null) {
+      this.periodStart = start;
+      this.partial = true;
+    } else if (start > this.periodStart) {
+      if (!this.partial) this.close(this.periodStart, this.current);
+      this.partial = false;
+      // Періоди без жодного трейду - нульовий об'єм (тихий ринок теж частина бази)
+      const empty = (start - this.periodStart) / this.periodMs - 1;
+      const firstEmpty = Math.max(1, empty - this.capacity * this.bucketMs / this.periodMs + 1);
+      for (let i = firstEmpty; i <= empty; i++) this.close(this.periodStart + i * this.periodMs, 0);
+      this.periodStart = start;
+      this.current = 0;
+    }
+    
+    this.current += volume;
+  }
+
+  close(periodStart, volume) {
+    const bucketStart = Math.floor(periodStart / this.bucketMs) * this.bucketMs;
+    
+    if (!this.bucket || bucketStart > this.bucket.start) {
+      if (this.bucket) this.buckets.push(this.bucket);
+      this.bucket = { start: bucketStart, count: 0, sum: 0, sumSquares: 0 };
+      this.evict();
+    }
+    
+    this.bucket.count++;
+    this.bucket.sum += volume;
+    this.bucket.sumSquares += volume * volume;
+  }
+
+  // Лишаємо capacity - 1 заповнених кошиків (плюс поточний); суми перераховуються з кошиків - без накопичення похибки
+  evict() {
+    const oldest = this.bucket.start - (this.capacity - 1) * this.bucketMs;
+    this.buckets = this.buckets.filter(bucket => bucket.start >= oldest);
+    
+    this.closed = { count: 0, sum: 0, sumSquares: 0 };
+    for (const bucket of this.buckets) {
+      this.closed.count += bucket.count;
+      this.closed.sum += bucket.sum;
+      this.closed.sumSquares += bucket.sumSquares;
+    }
+  }
+
+  getStats() {
+    const count = this.closed.count + (this.bucket ? this.bucket.count : 0);
+    if (count === 0) return { count, mean: 0, std: 0 };
+    
+    const sum = this.closed.sum + this.bucket.sum;
+    const sumSquares = this.closed.sumSquares + this.bucket.sumSquares;
+    const mean = sum / count;
+    return { count, mean, std: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)) };
+  }
+
+  export() {
+    return {
+      periodMs: this.periodMs,
+      bucketMs: this.bucketMs,
+      buckets: this.bucket ? [...this.buckets, this.bucket] : this.buckets
+    };
+  }
+
+  // Незавершені періоди до і після рестарту відкидаються, простій не рахується нульовим об'ємом;
+  // кошики старші за historyMs не відновлюються
+  restore(saved, now) {
+    if (!saved || saved.periodMs !== this.periodMs || saved.bucketMs !== this.bucketMs || !Array.isArray(saved.buckets)) return false;
+    
+    const oldest = Math.floor(now / this.bucketMs) * this.bucketMs - (this.capacity - 1) * this.bucketMs;
+    const buckets = saved.buckets
+      .filter(bucket => bucket.start >= oldest && bucket.count > 0)
+      .map(({ start, count, sum, sumSquares }) => ({ start, count, sum, sumSquares }));
+    if (buckets.length === 0) return false;
+    
+    this.bucket = buckets.pop();
+    this.buckets = buckets;
+    this.evict();
+    this.periodStart = null;
+    this.current = 0;
+    return true;
+  }
+}
+
+// ATR (згладжування Wilder) по закритих барах, у % від ціни закриття
+class AtrTracker {
+  constructor(period, barMs) {
+    this.period = period;
+    this.barMs = barMs;
+    this.atr = null;
+    this.samples = 0;
+    this.prevClose = null;
+    this.lastBarStart = null; // null - попередній бар не сусідній (старт або простій), prevClose у TR не йде
+  }
+
+  addBar(bar) {
+    if (bar.open === null) return;
+    
+    const trueRange = this.prevClose === null || this.lastBarStart === null
+      ? bar.high - bar.low
+      : Math.max(bar.high - bar.low, Math.abs(bar.high - this.prevClose), Math.abs(bar.low - this.prevClose));
+    
+    // Перші period барів - просте середнє, далі - Wilder
+    const divisor = Math.min(this.samples + 1, this.period);
+    this.atr = this.atr === null ? trueRange : this.atr + (trueRange - this.atr) / divisor;
+    this.samples++;
+    this.prevClose = bar.close;
+    this.lastBarStart = bar.start;
+  }
+
+  get atrPct() {
+    return this.atr !== null && this.prevClose ? (this.atr / this.prevClose) * 100 : null;
+  }
+
+  export() {
+    return { atr: this.atr, samples: this.samples, prevClose: this.prevClose, lastBarStart: this.lastBarStart };
+  }
+
+  // Знімок старший за бар (пропущено хоча б один бар) - ATR лишається, але розрив між prevClose
+  // і першим новим баром у true range не рахується
+  restore(saved, now) {
+    if (!saved || saved.atr === null || saved.atr === undefined) return false;
+    
+    this.atr = saved.atr;
+    this.samples = saved.samples;
+    this.prevClose = saved.prevClose;
+    this.lastBarStart = Number.isFinite(saved.lastBarStart) && now - (saved.lastBarStart + this.barMs) <= this.barMs
+      ? saved.lastBarStart
+      : null;
+    return true;
+  }
+}
+
+// База символу: об'єм на кожну довжину вікна + ATR бару ADAPTIVE_ATR_TIMEFRAME
+class AdaptiveBaseline {
+  constructor(windowSeconds) {
+    this.volumes = new Map();
+    this.atr = new AtrTracker(CONFIG.ADAPTIVE_ATR_PERIOD, CVD_TIMEFRAMES[CONFIG.ADAPTIVE_ATR_TIMEFRAME]);
+    this.setWindows(windowSeconds);
+  }
+
+  // Бази вікон, що лишились, зберігаються; нові починаються з нуля
+  setWindows(windowSeconds) {
+    const historyMs = CONFIG.ADAPTIVE_BASELINE_HOURS * 3_600_000;
+    const volumes = new Map();
+    for (const seconds of windowSeconds) {
+      volumes.set(seconds, this.volumes.get(seconds) || new VolumeBaseline(seconds * 1000, historyMs));
+    }
+    this.volumes = volumes;
+  }
+
+  addTrade(timestamp, volume) {
+    for (const baseline of this.volumes.values()) {
+      baseline.add(timestamp, volume);
+    }
+  }
+
+  addBar(bar) {
+    this.atr.addBar(bar);
+  }
+
+  // Об'єм вікна проти бази тієї ж довжини; ready - база достатня для порогів
+  getStats(windowSeconds, windowVolume) {
+    const baseline = this.volumes.get(windowSeconds);
+    const volume = baseline ? baseline.getStats() : { count: 0, mean: 0, std: 0 };
+    
+    return {
+      samples: volume.count,
+      volumeMean: volume.mean,
+      volumeStd: volume.std,
+      volumeZScore: volume.std > 0 ? (windowVolume - volume.mean) / volume.std : null,
+      volumeReady: volume.count >= CONFIG.ADAPTIVE_MIN_SAMPLES && volume.std > 0,
+      atrPct: this.atr.atrPct,
+      atrSamples: this.atr.samples,
+      atrReady: this.atr.samples >= this.atr.period
+    };
+  }
+
+  exportState() {
+    return {
+      volumes: Object.fromEntries(Array.from(this.volumes, ([seconds, baseline]) => [seconds, baseline.export()])),
+      atr: this.atr.export()
+    };
+  }
+
+  restoreState(state, now) {
+    if (!state) return false;
+    
+    let restored = this.atr.restore(state.atr, now);
+    for (const [seconds, saved] of Object.entries(state.volumes || {})) {
+      const baseline = this.volumes.get(Number(seconds));
+      if (baseline && baseline.restore(saved, now)) restored = true;
+    }
+    return restored;
+  }
+}
+
+// ============================================================================
+// SYMBOL STATE
+// ============================================================================
+
+// Біржа, ціна якої використовується для priceChange (інші дають лише об'єм)
+const PRIMARY_VENUE = 'binance';
+const VENUE_LABELS = { binance: 'Binance', okx: 'OKX', bybit: 'Bybit' };
+
+// Ліквідації символу за найдовше вікно; side - ліквідована позиція ('long' | 'short')
+class LiquidationWindow {
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.events = [];
+  }
+
+  add(timestamp, side, notional, venue) {
+    this.events.push({ timestamp, side, notional, venue });
+  }
+
+  cleanup(currentTime) {
+    const cutoff = currentTime - this.windowMs;
+    this.events = this.events.filter(e => e.timestamp >= cutoff);
+  }
+
+  // since - початок конкретного вікна (або момент його скидання)
+  getStats(since = -Infinity) {
+    let longUSD = 0;
+    let shortUSD = 0;
+    let count = 0;
+    const venues = {};
+
+    for (const event of this.events) {
+      if (event.timestamp < since) continue;
+      count++;
+      
+      if (!venues[event.venue]) {
+        venues[event.venue] = { longUSD: 0, shortUSD: 0 };
+      }
+      if (event.side === 'long') {
+        longUSD += event.notional;
+        venues[event.venue].longUSD += event.notional;
+      } else {
+        shortUSD += event.notional;
+        venues[event.venue].shortUSD += event.notional;
+      }
+    }
+
+    return {
+      longUSD,
+      shortUSD,
+      totalUSD: longUSD + shortUSD,
+      count,
+      venues
+    };
+  }
+}
+
+// Черга з абсолютними індексами (індекс елемента не змінюється після shift); push/shift/pop - amortized O(1)
+class IndexedDeque {
+  constructor() {
+    this.items = [];
+    this.offset = 0; // Абсолютний індекс items[0]
+    this.start = 0; // Абсолютний індекс першого елемента черги
+  }
+
+  get end() {
+    return this.offset + this.items.length;
+  }
+
+  get length() {
+    return this.end - this.start;
+  }
+
+  push(item) {
+    this.items.push(item);
+  }
+
+  get(index) {
+    return this.items[index - this.offset];
+  }
+
+  first() {
+    return this.items[this.start - this.offset];
+  }
+
+  last() {
+    return this.length > 0 ? this.items[this.items.length - 1] : undefined;
+  }
+
+  pop() {
+    if (this.length > 0) this.items.pop();
+  }
+
+  shift() {
+    this.dropUntil(this.start + 1);
+  }
+
+  // Мертву частину масиву відрізаємо, коли вона займає більше половини
+  dropUntil(index) {
+    this.start = Math.min(Math.max(this.start, index), this.end);
+    
+    const dead = this.start - this.offset;
+    if (dead >= 1024 && dead * 2 >= this.items.length) {
+      this.items = this.items.slice(dead);
+      this.offset = this.start;
+    }
+  }
+
+  toArray() {
+    return this.items.slice(this.start - this.offset);
+  }
+}
+
+// Іменоване вікно над спільним буфером трейдів символу. Суми buy/sell (загальні й по біржах)
+// оновлюються при додаванні та витісненні трейду; перша ціна - з черги індексів біржі,
+// high/low основної біржі - з monotonic deque. Усе amortized O(1) на трейд
+class RollingWindow {
+  constructor(name, windowMs, trades) {
+    this.name = name;
+    this.windowMs = windowMs;
+    this.trades = trades;
+    this.head = trades.end; // Абсолютний індекс першого трейду вікна
+    this.cutoff = -Infinity;
+    this.resetAt = -Infinity; // Час останнього трейду на момент скидання
+    this.clear();
+  }
+
+  clear() {
+    this.buyVolume = 0;
+    this.sellVolume = 0;
+    this.venues = new Map(); // venue -> { buyVolume, sellVolume, indices }
+    this.highs = new IndexedDeque(); // Індекси трейдів основної біржі, ціни спадають
+    this.lows = new IndexedDeque(); // Ціни зростають
+  }
+
+  get tradeCount() {
+    return this.trades.end - this.head;
+  }
+
+  add(index, trade) {
+    this.buyVolume += trade.buyVol;
+    this.sellVolume += trade.sellVol;
+    
+    let venue = this.venues.get(trade.venue);
+    if (!venue) {
+      venue = { buyVolume: 0, sellVolume: 0, indices: new IndexedDeque() };
+      this.venues.set(trade.venue, venue);
+    }
+    venue.buyVolume += trade.buyVol;
+    venue.sellVolume += trade.sellVol;
+    venue.indices.push(index);
+    
+    if (trade.venue === PRIMARY_VENUE) {
+      while (this.highs.length > 0 && this.trades.get(this.highs.last()).price <= trade.price) this.highs.pop();
+      this.highs.push(index);
+      while (this.lows.length > 0 && this.trades.get(this.lows.last()).price >= trade.price) this.lows.pop();
+      this.lows.push(index);
+    }
+  }
+
+  evictBefore(cutoff) {
+    this.cutoff = cutoff;
+    
+    while (this.head < this.trades.end) {
+      const trade = this.trades.get(this.head);
+      if (trade.timestamp >= cutoff) break;
+      
+      this.buyVolume -= trade.buyVol;
+      this.sellVolume -= trade.sellVol;
+      
+      const venue = this.venues.get(trade.venue);
+      venue.buyVolume -= trade.buyVol;
+      venue.sellVolume -= trade.sellVol;
+      venue.indices.shift();
+      if (venue.indices.length === 0) this.venues.delete(trade.venue);
+      
+      if (this.highs.length > 0 && this.highs.first() === this.head) this.highs.shift();
+      if (this.lows.length > 0 && this.lows.first() === this.head) this.lows.shift();
+      
+      this.head++;
+    }
+    
+    // Порожнє вікно - прибираємо накопичену похибку віднімання
+    if (this.head === this.trades.end) this.clear();
+  }
+
+  reset() {
+    const last = this.trades.last();
+    if (last) this.resetAt = last.timestamp;
+    this.head = this.trades.end;
+    this.clear();
+  }
+
+  getStats(lastPrice, liquidations) {
+    if (this.tradeCount === 0) return null;
+    
+    const buyVolume = this.buyVolume;
+    const sellVolume = this.sellVolume;
+    const totalVolume = buyVolume + sellVolume;
+    if (totalVolume <= 0) return null;
+
+    const buyDominance = (buyVolume / totalVolume) * 100;
+    const sellDominance = (sellVolume / totalVolume) * 100;
+    
+    const dominantSide = buyVolume > sellVolume ? 'buy' : 'sell';
+    const dominance = Math.max(buyDominance, sellDominance);
+
+    // Ціни різних бірж відрізняються на базис - беремо основну, якщо вона є
+    const primary = this.venues.get(PRIMARY_VENUE);
+    const firstTrade = this.trades.get(this.head);
+    const firstPrice = primary ? this.trades.get(primary.indices.first()).price : firstTrade.price;
+    const priceChange = ((lastPrice - firstPrice) / firstPrice) * 100;
+
+    const duration = (this.trades.last().timestamp - firstTrade.timestamp) / 1000;
+
+    // Частка кожної біржі в об'ємі домінуючої сторони
+    const dominantVolume = dominantSide === 'buy' ? buyVolume : sellVolume;
+    const venues = {};
+    for (const [venue, stats] of this.venues) {
+      const venueDominant = dominantSide === 'buy' ? stats.buyVolume : stats.sellVolume;
+      venues[venue] = {
+        buyVolume: stats.buyVolume,
+        sellVolume: stats.sellVolume,
+        totalVolume: stats.buyVolume + stats.sellVolume,
+        dominantShare: dominantVolume > 0 ? (venueDominant / dominantVolume) * 100 : 0
+      };
+    }
+
+    return {
+      window: this.name,
+      windowSeconds: this.windowMs / 1000,
+      buyVolume,
+      sellVolume,
+      totalVolume,
+      dominantSide,
+      dominance,
+      priceChange,
+      priceHigh: this.highs.length > 0 ? this.trades.get(this.highs.first()).price : null,
+      priceLow: this.lows.length > 0 ? this.trades.get(this.lows.first()).price : null,
+      duration,
+      tradeCount: this.tradeCount,
+      lastPrice,
+      venues,
+      liquidations: liquidations.getStats(Math.max(this.cutoff, this.resetAt + 1))
+    };
+  }
+
+  getVenueStats(venue) {
+    const stats = this.venues.get(venue);
+    if (!stats) return null;
+
+    const { buyVolume, sellVolume } = stats;
+    const totalVolume = buyVolume + sellVolume;
+    if (totalVolume <= 0) return null;
+
+    const first = this.trades.get(stats.indices.first());
+    const last = this.trades.get(stats.indices.last());
+
+    return {
+      venue,
+      window: this.name,
+      buyVolume,
+      sellVolume,
+      totalVolume,
+      dominantSide: buyVolume > sellVolume ? 'buy' : 'sell',
+      dominance: (Math.max(buyVolume, sellVolume) / totalVolume) * 100,
+      priceChange: ((last.price - first.price) / first.price) * 100,
+      duration: (last.timestamp - first.timestamp) / 1000,
+      tradeCount: stats.indices.length,
+      lastPrice: last.price
+    };
+  }
+}
+
+// Трейди символу в одному буфері за найдовше вікно; кожне іменоване вікно (CONFIG.getWindows)
+// тримає свій початок і суми. Перше вікно - основне (getStats без назви)
+class SymbolState {
+  constructor(symbol, windows) {
+    this.symbol = symbol;
+    this.trades = new IndexedDeque();
+    this.windows = [];
+    this.definitions = [];
+    this.lastPrice = null;
+    this.liquidations = new LiquidationWindow(0);
+    this.cvd = new CvdSeries(); // не скидається разом з вікнами
+    this.baseline = new AdaptiveBaseline(windows.map(w => w.seconds)); // теж не скидається
+    this.rebuild(windows, []);
+  }
+
+  get tradeCount() {
+    return this.trades.length;
+  }
+
+  addTrade(timestamp, price, quantity, isBuyerMaker, venue = PRIMARY_VENUE) {
+    const volume = price * quantity;
+    
+    const trade = {
+      timestamp,
+      price,
+      venue,
+      buyVol: isBuyerMaker ? 0 : volume,
+      sellVol: isBuyerMaker ? volume : 0
+    };
+    
+    if (venue === PRIMARY_VENUE || this.lastPrice === null) {
+      this.lastPrice = price;
+    }
+    
+    this.pushTrade(trade, timestamp);
+    this.baseline.addTrade(timestamp, volume);
+    
+    const closed = this.cvd.addTrade(timestamp, venue === PRIMARY_VENUE ? price : null, trade.buyVol - trade.sellVol);
+    if (closed.includes(CONFIG.ADAPTIVE_ATR_TIMEFRAME)) {
+      const bars = this.cvd.bars[CONFIG.ADAPTIVE_ATR_TIMEFRAME];
+      this.baseline.addBar(bars[bars.length - 2]);
+    }
+    return closed;
+  }
+
+  pushTrade(trade, currentTime) {
+    this.trades.push(trade);
+    const index = this.trades.end - 1;
+    
+    let head = this.trades.end;
+    for (const window of this.windows) {
+      window.add(index, trade);
+      window.evictBefore(currentTime - window.windowMs);
+      head = Math.min(head, window.head);
+    }
+    
+    this.trades.dropUntil(head);
+  }
+
+  addLiquidation(timestamp, side, price, quantity, venue = PRIMARY_VENUE) {
+    this.liquidations.add(timestamp, side, price * quantity, venue);
+    this.liquidations.cleanup(timestamp);
+  }
+
+  cleanup(currentTime) {
+    let head = this.trades.end;
+    for (const window of this.windows) {
+      window.evictBefore(currentTime - window.windowMs);
+      head = Math.min(head, window.head);
+    }
+    
+    this.trades.dropUntil(head);
+    this.liquidations.cleanup(currentTime);
+  }
+
+  getWindow(name = null) {
+    return name ? this.windows.find(w => w.name === name) : this.windows[0];
+  }
+
+  // venue = null - сумарно по всіх біржах (з розбивкою venues і базою для адаптивних порогів), інакше лише одна біржа
+  getStats(venue = null, windowName = null) {
+    const window = this.getWindow(windowName);
+    if (!window) return null;
+    if (venue) return window.getVenueStats(venue);
+    
+    const stats = window.getStats(this.lastPrice, this.liquidations);
+    if (stats) {
+      stats.baseline = this.baseline.getStats(window.windowMs / 1000, stats.totalVolume);
+    }
+    return stats;
+  }
+
+  // Нові вікна (зміна конфігу): перебудова з буфера, трейди старші за попереднє найдовше вікно вже втрачені
+  setWindows(windows) {
+    const unchanged = windows.length === this.definitions.length &&
+      windows.every((w, i) => w.name === this.definitions[i].name && w.seconds === this.definitions[i].seconds);
+    if (unchanged) return;
+    
+    const last = this.trades.last();
+    this.baseline.setWindows(windows.map(w => w.seconds));
+    this.rebuild(windows, this.trades.toArray(), last ? last.timestamp : null);
+  }
+
+  // O(n) - лише при зміні вікон і відновленні стану
+  rebuild(windows, trades, now = null) {
+    const resets = new Map(this.windows.map(w => [w.name, w.resetAt]));
+    
+    this.definitions = windows;
+    this.trades = new IndexedDeque();
+    this.windows = windows.map(({ name, seconds }) => new RollingWindow(name, seconds * 1000, this.trades));
+    this.liquidations.windowMs = Math.max(...this.windows.map(w => w.windowMs));
+    
+    for (const trade of trades) {
+      this.pushTrade(trade, trade.timestamp);
+    }
+    
+    // Скинуте вікно не повертає трейди до моменту скидання
+    for (const window of this.windows) {
+      const resetAt = resets.get(window.name);
+      if (resetAt === undefined || resetAt === -Infinity) continue;
+      window.resetAt = resetAt;
+      window.evictBefore(resetAt + 1);
+    }
+    
+    if (now !== null) this.cleanup(now);
+  }
+
+  // Відновлення вікон після рестарту; трейди, що вже надійшли, залишаються
+  restoreTrades(trades, now) {
+    const live = this.trades.toArray();
+    const firstLive = live.length > 0 ? live[0].timestamp : Infinity;
+    const restored = trades
+      .filter(t => t.timestamp < firstLive)
+      .map(t => ({ venue: PRIMARY_VENUE, ...t }));
+    
+    if (this.lastPrice === null && restored.length > 0) {
+      this.lastPrice = restored[restored.length - 1].price;
+    }
+    this.rebuild(this.definitions, restored.concat(live), now);
+  }
+
+  exportTrades() {
+    return this.trades.toArray();
+  }
+
+  // windowNames = null - всі вікна
+  reset(windowNames = null) {
+    let head = this.trades.end;
+    for (const window of this.windows) {
+      if (!windowNames || windowNames.includes(window.name)) window.reset();
+      head = Math.min(head, window.head);
+    }
+    
+    this.trades.dropUntil(head);
+  }
+}
+
+// ============================================================================
+// TRADE AGGREGATOR
+// ============================================================================
+
+class TradeAggregator {
+  constructor(windowSeconds) {
+    this.windowSeconds = windowSeconds;
+    this.states = new Map();
+  }
+
+  // Вікна символу з порогами; windowSeconds агрегатора - для символів без windows/windowSeconds
+  getWindows(symbol) {
+    return CONFIG.getWindows(symbol, this.windowSeconds);
+  }
+
+  getOrCreateState(symbol) {
+    if (!this.states.has(symbol)) {
+      this.states.set(symbol, new SymbolState(symbol, this.getWindows(symbol)));
+    }
+    return this.states.get(symbol);
+  }
+
+  // Повертає таймфрейми CVD, чий бар закрився цим трейдом
+  addTrade(symbol, timestamp, price, quantity, isBuyerMaker, venue = PRIMARY_VENUE) {
+    return this.getOrCreateState(symbol).addTrade(timestamp, price, quantity, isBuyerMaker, venue);
+  }
+
+  getCvdSeries(symbol) {
+    const state = this.states.get(symbol);
+    return state ? state.cvd : null;
+  }
+
+  addLiquidation(symbol, timestamp, side, price, quantity, venue = PRIMARY_VENUE) {
+    this.getOrCreateState(symbol).addLiquidation(timestamp, side, price, quantity, venue);
+  }
+
+  // windowName = null - основне (перше) вікно
+  getStats(symbol, venue = null, windowName = null) {
+    const state = this.states.get(symbol);
+    return state ? state.getStats(venue, windowName) : null;
+  }
+
+  // { назва вікна: stats | null }
+  getWindowStats(symbol) {
+    const state = this.states.get(symbol);
+    if (!state) return null;
+    
+    return Object.fromEntries(state.windows.map(window => [window.name, state.getStats(null, window.name)]));
+  }
+
+  resetSymbol(symbol, windowNames = null) {
+    const state = this.states.get(symbol);
+    if (state) state.reset(windowNames);
+  }
+
+  removeSymbol(symbol) {
+    this.states.delete(symbol);
+  }
+
+  // Застосувати нові вікна (windows / windowSeconds) без втрати накопичених трейдів
+  updateWindows(symbol) {
+    const state = this.states.get(symbol);
+    if (!state) return;
+    
+    state.setWindows(this.getWindows(symbol));
+  }
+
+  getActiveCount() {
+    return this.states.size;
+  }
+
+  getTotalTrades() {
+    let total = 0;
+    for (const state of this.states.values()) {
+      total += state.tradeCount;
+    }
+    return total;
+  }
+
+  exportState() {
+    const state = {};
+    for (const [symbol, symbolState] of this.states) {
+      if (symbolState.tradeCount > 0) {
+        state[symbol] = symbolState.exportTrades();
+      }
+    }
+    return state;
+  }
+
+  exportCvdState() {
+    const state = {};
+    for (const [symbol, symbolState] of this.states) {
+      state[symbol] = symbolState.cvd.exportState();
+    }
+    return state;
+  }
+
+  restoreCvdState(state, now) {
+    let restored = 0;
+    
+    for (const [symbol, cvdState] of Object.entries(state || {})) {
+      if (!CONFIG.getSymbolConfig(symbol)) continue;
+      this.getOrCreateState(symbol).cvd.restoreState(cvdState, now);
+      restored++;
+    }
+    
+    return restored;
+  }
+
+  exportBaselineState() {
+    const state = {};
+    for (const [symbol, symbolState] of this.states) {
+      state[symbol] = symbolState.baseline.exportState();
+    }
+    return state;
+  }
+
+  restoreBaselineState(state, now) {
+    let restored = 0;
+    
+    for (const [symbol, baselineState] of Object.entries(state || {})) {
+      if (!CONFIG.getSymbolConfig(symbol)) continue;
+      if (this.getOrCreateState(symbol).baseline.restoreState(baselineState, now)) restored++;
+    }
+    
+    return restored;
+  }
+
+  // Трейди старші за найдовше вікно символу відкидаються
+  restoreState(state, now) {
+    let restored = 0;
+    
+    for (const [symbol, trades] of Object.entries(state || {})) {
+      if (!CONFIG.getSymbolConfig(symbol) || !Array.isArray(trades)) continue;
+      
+      const symbolState = this.getOrCreateState(symbol);
+      symbolState.restoreTrades(trades, now);
+      
+      if (symbolState.tradeCount === 0) {
+        this.states.delete(symbol);
+        continue;
+      }
+      restored += symbolState.tradeCount;
+    }
+    
+    return restored;
+  }
+}
+
+// ============================================================================
+// ORDER BOOK DEPTH (локальні книги з Binance diff-depth + snapshot resync)
+// ============================================================================
+
+// Локальна книга: REST snapshot + diff події (U/u/pu), кількості абсолютні, 0 - рівень видалено
+class OrderBook {
+  constructor(symbol) {
+    this.symbol = symbol;
+    this.bids = new Map(); // Map<price, quantity>
+    this.asks = new Map();
+    this.lastUpdateId = null; // snapshot
+    this.prevFinalId = null; // u останньої застосованої події
+    this.synced = false;
+    this.buffer = []; // події до snapshot
+  }
+
+  // false - буферизовані події не стикуються зі snapshot, потрібен новий
+  applySnapshot(snapshot) {
+    this.bids = new Map(snapshot.bids.map(([price, quantity]) => [parseFloat(price), parseFloat(quantity)]));
+    this.asks = new Map(snapshot.asks.map(([price, quantity]) => [parseFloat(price), parseFloat(quantity)]));
+    this.lastUpdateId = snapshot.lastUpdateId;
+    this.prevFinalId = null;
+    this.synced = false;
+
+    const buffered = this.buffer;
+    this.buffer = [];
+    for (const event of buffered) {
+      if (!this.applyDiff(event)) {
+        this.reset();
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // false - розрив послідовності
+  applyDiff(event) {
+    if (this.lastUpdateId === null) {
+      if (this.buffer.length < CONFIG.DEPTH_MAX_BUFFERED_EVENTS) this.buffer.push(event);
+      return true;
+    }
+
+    // Подія, вже врахована в snapshot
+    if (event.u < this.lastUpdateId) return true;
+
+    if (this.prevFinalId === null) {
+      // Перша подія має перекривати lastUpdateId snapshot
+      if (event.U > this.lastUpdateId) return false;
+    } else if (event.pu !== this.prevFinalId) {
+      return false;
+    }
+
+    this.applyLevels(this.bids, event.b);
+    this.applyLevels(this.asks, event.a);
+    this.prevFinalId = event.u;
+    this.synced = true;
+    return true;
+  }
+
+  applyLevels(side, levels) {
+    for (const [rawPrice, rawQuantity] of levels) {
+      const price = parseFloat(rawPrice);
+      const quantity = parseFloat(rawQuantity);
+      if (quantity === 0) {
+        side.delete(price);
+      } else {
+        side.set(price, quantity);
+      }
+    }
+  }
+
+  reset() {
+    this.bids.clear();
+    this.asks.clear();
+    this.lastUpdateId = null;
+    this.prevFinalId = null;
+    this.synced = false;
+    this.buffer = [];
+  }
+
+  // imbalance = (bid - ask) / (bid + ask) * 100 у смузі ±band% від mid; >0 - перевага bid
+  // Стіна - найбільший рівень у найширшій смузі, що в wallMultiplier разів більший за середній рівень своєї сторони
+  getDepthStats(bandsPercent, wallMultiplier) {
+    let bestBid = -Infinity;
+    let bestAsk = Infinity;
+    for (const price of this.bids.keys()) if (price > bestBid) bestBid = price;
+    for (const price of this.asks.keys()) if (price < bestAsk) bestAsk = price;
+    if (!isFinite(bestBid) || !isFinite(bestAsk)) return null;
+
+    const mid = (bestBid + bestAsk) / 2;
+    const bands = bandsPercent.map(band => {
+      const bidUSD = this.sumNotional(this.bids, price => price >= mid * (1 - band / 100));
+      const askUSD = this.sumNotional(this.asks, price => price <= mid * (1 + band / 100));
+      const total = bidUSD + askUSD;
+      return {
+        band,
+        bidUSD,
+        askUSD,
+        imbalance: total > 0 ? ((bidUSD - askUSD) / total) * 100 : 0
+      };
+    });
+
+    const widest = Math.max(...bandsPercent);
+    return {
+      mid,
+      spreadPct: ((bestAsk - bestBid) / mid) * 100,
+      bands,
+      bidWall: this.findWall(this.bids, mid, price => price >= mid * (1 - widest / 100), wallMultiplier),
+      askWall: this.findWall(this.asks, mid, price => price <= mid * (1 + widest / 100), wallMultiplier)
+    };
+  }
+
+  sumNotional(side, inBand) {
+    let total = 0;
+    for (const [price, quantity] of side) {
+      if (inBand(price)) total += price * quantity;
+    }
+    return total;
+  }
+
+  findWall(side, mid, inBand, wallMultiplier) {
+    let total = 0;
+    let count = 0;
+    let largest = null;
+
+    for (const [price, quantity] of side) {
+      if (!inBand(price)) continue;
+      const notional = price * quantity;
+      total += notional;
+      count++;
+      if (!largest || notional > largest.notionalUSD) {
+        largest = { price, notionalUSD: notional };
+      }
+    }
+
+    if (!largest || count < 2 || largest.notionalUSD < (total / count) * wallMultiplier) return null;
+    return { ...largest, distancePct: ((largest.price - mid) / mid) * 100 };
+  }
+}
+
+// Книги для всіх символів; snapshot-и запитуються по черзі (REST weight depth limit=1000 - 20)
+class OrderBookManager {
+  constructor(symbols, http = axios, clock = systemClock) {
+    this.books = new Map(symbols.map(symbol => [symbol, new OrderBook(symbol)]));
+    this.http = http;
+    this.clock = clock;
+    this.snapshotQueue = Promise.resolve();
+    this.pendingSnapshots = new Set();
+    this.failures = new Map(); // Map<symbol, {attempts, retryAt}>
+    this.resyncCount = 0;
+  }
+
+  // depthUpdate з combined stream
+  handleDepthUpdate(event) {
+    const book = this.books.get(event.s);
+    if (!book) return;
+
+    if (!book.applyDiff(event)) {
+      console.warn(`[DEPTH] ${event.s} розрив послідовності (pu=${event.pu}, очікувався ${book.prevFinalId ?? book.lastUpdateId}) - resync`);
+      this.resyncCount++;
+      book.reset();
+      book.applyDiff(event); // у буфер до нового snapshot
+    }
+
+    if (book.lastUpdateId === null) {
+      this.requestSnapshot(event.s);
+    }
+  }
+
+  requestSnapshot(symbol) {
+    if (this.pendingSnapshots.has(symbol)) return;
+
+    const failure = this.failures.get(symbol);
+    if (failure && this.clock.now() < failure.retryAt) return;
+
+    this.pendingSnapshots.add(symbol);
+    this.snapshotQueue = this.snapshotQueue.then(() => this.loadSnapshot(symbol));
+  }
+
+  async loadSnapshot(symbol) {
+    try {
+      const book = this.books.get(symbol);
+      if (!book) return;
+
+      const { data } = await this.http.get(`${CONFIG.BINANCE_REST}/fapi/v1/depth`, {
+        params: { symbol, limit: CONFIG.DEPTH_SNAPSHOT_LIMIT },
+        timeout: 10000
+      });
+
+      this.failures.delete(symbol);
+      if (!book.applySnapshot(data)) {
+        console.warn(`[DEPTH] ${symbol} snapshot не стикується з подіями - повтор`);
+      }
+    } catch (error) {
+      const attempts = (this.failures.get(symbol)?.attempts || 0) + 1;
+      const delay = backoffDelay(attempts - 1);
+      this.failures.set(symbol, { attempts, retryAt: this.clock.now() + delay });
+      console.error(`[DEPTH] ${symbol} помилка snapshot (повтор через ${(delay / 1000).toFixed(1)}s):`, error.message);
+    } finally {
+      this.pendingSnapshots.delete(symbol);
+    }
+  }
+
+  // null - книга ще не синхронізована
+  getDepthStats(symbol) {
+    const book = this.books.get(symbol);
+    if (!book || !book.synced) return null;
+    return book.getDepthStats(CONFIG.DEPTH_BANDS_PERCENT, CONFIG.DEPTH_WALL_MULTIPLIER);
+  }
+
+  getSyncedCount() {
+    let synced = 0;
+    for (const book of this.books.values()) {
+      if (book.synced) synced++;
+    }
+    return synced;
+  }
+
+  addSymbol(symbol) {
+    if (!this.books.has(symbol)) {
+      this.books.set(symbol, new OrderBook(symbol));
+    }
+  }
+
+  removeSymbol(symbol) {
+    this.books.delete(symbol);
+    this.failures.delete(symbol);
+  }
+}
+
+// ============================================================================
+// FUNDING & BASIS (Binance markPrice@1s, OKX funding-rate)
+// ============================================================================
+
+// Оновлення біржі: { timestamp, fundingRate, predictedFundingRate, nextFundingTime, markPrice, indexPrice }
+// Ставки - частки за період (0.0001 = 0.01%); поля, яких біржа не дає, відсутні
+class FundingTracker {
+  constructor(clock = systemClock) {
+    this.clock = clock;
+    this.symbols = new Map(); // Map<symbol, Map<venue, update>>
+  }
+
+  update(symbol, venue, update) {
+    if (!this.symbols.has(symbol)) {
+      this.symbols.set(symbol, new Map());
+    }
+    const venues = this.symbols.get(symbol);
+    venues.set(venue, { ...venues.get(venue), ...update });
+  }
+
+  // Ставка - з першої біржі FUNDING_VENUES зі свіжими даними; basis - з біржі, що дає mark та index
+  getFundingStats(symbol) {
+    const venues = this.symbols.get(symbol);
+    if (!venues) return null;
+
+    const cutoff = this.clock.now() - CONFIG.FUNDING_STALE_SECONDS * 1000;
+    const fresh = CONFIG.FUNDING_VENUES
+      .map(venue => [venue, venues.get(venue)])
+      .filter(([, update]) => update && update.timestamp >= cutoff && !isNaN(update.fundingRate));
+    if (fresh.length === 0) return null;
+
+    const toPct = (rate) => (rate === null || rate === undefined || isNaN(rate) ? null : rate * 100);
+    const [venue, primary] = fresh[0];
+    const withBasis = fresh.find(([, update]) => update.markPrice && update.indexPrice);
+
+    return {
+      venue,
+      fundingRatePct: toPct(primary.fundingRate),
+      predictedFundingRatePct: toPct(primary.predictedFundingRate),
+      nextFundingTime: primary.nextFundingTime ?? null,
+      basisPct: withBasis ? ((withBasis[1].markPrice - withBasis[1].indexPrice) / withBasis[1].indexPrice) * 100 : null,
+      venues: Object.fromEntries(fresh.map(([v, update]) => [v, {
+        fundingRatePct: toPct(update.fundingRate),
+        predictedFundingRatePct: toPct(update.predictedFundingRate)
+      }]))
+    };
+  }
+
+  removeSymbol(symbol) {
+    this.symbols.delete(symbol);
+  }
+}
+
+// ============================================================================
+// DECISION RULES (декларативні правила рішення замість зашитих OI квадрантів)
+// ============================================================================
+
+// Правило: { name, priority, when, direction, decision, reason, enabled }
+//   when: { 'oi.priceDeltaPct': { lt: -0.1 }, 'funding.crowded': { eq: 'LONGS' } } - всі умови мають виконатись
+//   direction: LONG | SHORT | FLOW (як потік) | REVERSE (проти потоку)
+//   reason: шаблон з {шлях}, {abs:шлях}, {signed:шлях} (числа - 2 знаки після коми)
+// Аргумент умови '$шлях' - значення з контексту ('$thresholds.minDeltaPercent')
+// Контекст - buildRuleContext; без збігу рішення NO_OI_DATA / BASE / INCONCLUSIVE (SignalEngine)
+const DEFAULT_DECISION_RULES = [
+  {
+    name: 'breakout-down',
+    priority: 40,
+    when: { 'oi.priceDeltaPct': { lt: -0.1 }, 'oi.oiDeltaPct': { gt: 0.5 } },
+    direction: 'SHORT',
+    decision: 'CONTINUATION',
+    reason: 'Ціна ↓{abs:oi.priceDeltaPct}% + OI ↑{oi.oiDeltaPct}% → Breakout вниз'
+  },
+  {
+    name: 'long-liquidation-bounce',
+    priority: 30,
+    when: { 'oi.priceDeltaPct': { lt: -0.1 }, 'oi.oiDeltaPct': { lt: -0.5 } },
+    direction: 'LONG',
+    decision: 'BOUNCE',
+    reason: 'Ціна ↓{abs:oi.priceDeltaPct}% + OI ↓{abs:oi.oiDeltaPct}% → Long liquidation, шанс на відскок'
+  },
+  {
+    name: 'breakout-up',
+    priority: 20,
+    when: { 'oi.priceDeltaPct': { gt: 0.1 }, 'oi.oiDeltaPct': { gt: 0.5 } },
+    direction: 'LONG',
+    decision: 'CONTINUATION',
+    reason: 'Ціна ↑{oi.priceDeltaPct}% + OI ↑{oi.oiDeltaPct}% → Breakout вверх'
+  },
+  {
+    name: 'short-squeeze-bounce',
+    priority: 10,
+    when: { 'oi.priceDeltaPct': { gt: 0.1 }, 'oi.oiDeltaPct': { lt: -0.5 } },
+    direction: 'SHORT',
+    decision: 'BOUNCE',
+    reason: 'Ціна ↑{oi.priceDeltaPct}% + OI ↓{abs:oi.oiDeltaPct}% → Short squeeze, шанс на відскік'
+  }
+];
+
+const RULE_OPERATORS = {
+  gt: (value, arg) => typeof value === 'number' && value > arg,
+  gte: (value, arg) => typeof value === 'number' && value >= arg,
+  lt: (value, arg) => typeof value === 'number' && value < arg,
+  lte: (value, arg) => typeof value === 'number' && value <= arg,
+  absGt: (value, arg) => typeof value === 'number' && Math.abs(value) > arg,
+  absLt: (value, arg) => typeof value === 'number' && Math.abs(value) < arg,
+  eq: (value, arg) => value === arg,
+  ne: (value, arg) => value !== arg,
+  in: (value, arg) => Array.isArray(arg) && arg.includes(value),
+  exists: (value, arg) => (value !== null && value !== undefined) === arg
+};
+
+const RULE_DIRECTIONS = ['LONG', 'SHORT', 'FLOW', 'REVERSE'];
+
+// Контекст правил: oi - лише коли OI пройшов пороги символу (інакше null, умови по oi.* не виконуються)
+function buildRuleContext({ symbol, stats, flowDirection, oiStats, funding, oiThresholds }) {
+  return {
+    symbol,
+    flow: {
+      side: stats.dominantSide,
+      direction: flowDirection,
+      volume: stats.totalVolume,
+      dominance: stats.dominance,
+      priceChange: stats.priceChange,
+      duration: stats.duration,
+      window: stats.window ?? null
+    },
+    stats,
+    oi: oiStats,
+    funding,
+    liquidations: stats.liquidations || null,
+    thresholds: oiThresholds
+  };
+}
+
+function getContextPath(context, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+function matchesDecisionRule(rule, context) {
+  return Object.entries(rule.when || {}).every(([path, conditions]) => {
+    const value = getContextPath(context, path);
+    return Object.entries(conditions).every(([operator, arg]) => {
+      const resolved = typeof arg === 'string' && arg.startsWith('$') ? getContextPath(context, arg.slice(1)) : arg;
+      return RULE_OPERATORS[operator](value, resolved);
+    });
+  });
+}
+
+function renderRuleReason(template, context) {
+  if (!template) return null;
+  
+  return template.replace(/\{(?:(abs|signed):)?([\w.]+)\}/g, (match, format, path) => {
+    const value = getContextPath(context, path);
+    if (typeof value !== 'number') return value === null || value === undefined ? 'N/A' : String(value);
+    if (format === 'abs') return Math.abs(value).toFixed(2);
+    if (format === 'signed') return `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+    return value.toFixed(2);
+  });
+}
+
+// Перше правило за пріоритетом, що спрацювало: { rule, direction, decision, reason } або null
+function evaluateDecisionRules(rules, context) {
+  const rule = rules.find(candidate => matchesDecisionRule(candidate, context));
+  if (!rule) return null;
+  
+  const flowDirection = context.flow.direction;
+  const reversed = flowDirection === 'LONG' ? 'SHORT' : 'LONG';
+  const direction = rule.direction === 'FLOW' ? flowDirection : rule.direction === 'REVERSE' ? reversed : rule.direction;
+  
+  return {
+    rule: rule.name,
+    direction,
+    decision: rule.decision,
+    reason: renderRuleReason(rule.reason, context)
+  };
+}
+
+// Шари з заміною за name (поля зливаються, enabled: false вимикає), за спаданням priority;
+// однаковий priority - порядок оголошення
+function mergeDecisionRules(layers) {
+  const merged = new Map();
+  layers.forEach(rules => (rules || []).forEach(rule => {
+    merged.set(rule.name, { ...merged.get(rule.name), ...rule });
+  }));
+  
+  return Array.from(merged.values())
+    .filter(rule => rule.enabled !== false)
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+    .map(({ rule }) => rule);
+}
+
+// ============================================================================
+// SIGNAL ENGINE (з OKX OI логікою)
+// ============================================================================
+
+class SignalEngine {
+  constructor(oiTracker = null, clock = systemClock, orderBooks = null, fundingTracker = null) {
+    this.oiTracker = oiTracker;
+    this.clock = clock;
+    this.orderBooks = orderBooks;
+    this.fundingTracker = fundingTracker;
+    this.paused = false;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  // window - пороги іменованого вікна (CONFIG.getWindows), без нього - пороги символу
+  shouldAlert(symbol, stats, window = null) {
+    if (!stats) return false;
+    if (this.paused) return false;
+    
+    const config = CONFIG.getSymbolConfig(symbol);
+    if (!config || !config.enabled) return false;
+    
+    // Перевірка Trading Hours
+    if (!CONFIG.isWithinTradingHours(this.clock.now())) {
+      return false;
+    }
+    
+    // Apply individual symbol filters
+    const thresholds = this.getThresholds(symbol, stats, window);
+    if (stats.totalVolume < thresholds.minVolumeUSD) return false;
+    if (stats.dominance < thresholds.minDominance) return false;
+    if (Math.abs(stats.priceChange) < thresholds.minPriceChange) return false;
+    
+    // Direction alignment
+    if (stats.dominantSide === 'buy' && stats.priceChange < 0) return false;
+    if (stats.dominantSide === 'sell' && stats.priceChange > 0) return false;
+    
+    // Ліквідації на стороні, яку тисне потік: buy -> шорти, sell -> лонги
+    if (config.minLiquidationUSD) {
+      const liquidations = stats.liquidations;
+      const squeezedUSD = !liquidations ? 0 : (stats.dominantSide === 'buy' ? liquidations.shortUSD : liquidations.longUSD);
+      if (squeezedUSD < config.minLiquidationUSD) return false;
+    }
+    
+    // Стакан рахуємо лише коли дешевші фільтри пройдені; stats.depth потрапляє в алерт
+    if (this.orderBooks) {
+      stats.depth = this.orderBooks.getDepthStats(symbol);
+      if (!this.passesDepthFilter(config, stats)) return false;
+    }
+
+    return true;
+  }
+
+  // Пороги вікна (або символу); в адаптивному режимі minVolumeUSD / minPriceChange - з бази символу,
+  // кожен лише коли його база набрана. Розрахунок - у stats.adaptive (алерт і payload)
+  getThresholds(symbol, stats, window = null) {
+    const fixed = window || CONFIG.getSymbolConfig(symbol) || CONFIG.DEFAULT_SYMBOL_CONFIG;
+    const settings = CONFIG.getAdaptiveSettings(symbol);
+    const baseline = stats.baseline;
+    if (!settings.enabled || !baseline || (!baseline.volumeReady && !baseline.atrReady)) return fixed;
+    
+    const minVolumeUSD = baseline.volumeReady
+      ? baseline.volumeMean + settings.minVolumeZScore * baseline.volumeStd
+      : fixed.minVolumeUSD;
+    const minPriceChange = baseline.atrReady ? settings.minAtrMultiple * baseline.atrPct : fixed.minPriceChange;
+    
+    stats.adaptive = {
+      volumeZScore: baseline.volumeReady ? baseline.volumeZScore : null,
+      minVolumeZScore: baseline.volumeReady ? settings.minVolumeZScore : null,
+      volumeMean: baseline.volumeMean,
+      volumeStd: baseline.volumeStd,
+      samples: baseline.samples,
+      atrPct: baseline.atrReady ? baseline.atrPct : null,
+      atrMultiple: baseline.atrReady && baseline.atrPct > 0 ? Math.abs(stats.priceChange) / baseline.atrPct : null,
+      minAtrMultiple: baseline.atrReady ? settings.minAtrMultiple : null,
+      atrTimeframe: CONFIG.ADAPTIVE_ATR_TIMEFRAME,
+      minVolumeUSD,
+      minPriceChange
+    };
+    
+    return { ...fixed, minVolumeUSD, minPriceChange };
+  }
+
+  detectDivergence(symbol, cvdSeries) {
+    if (!cvdSeries || this.paused) return null;
+    
+    const config = CONFIG.getSymbolConfig(symbol);
+    const settings = CONFIG.getDivergenceSettings(symbol);
+    if (!config || !config.enabled || !settings.enabled) return null;
+    
+    return cvdSeries.detectDivergence(
+      CONFIG.DIVERGENCE_TIMEFRAME,
+      CONFIG.DIVERGENCE_LOOKBACK_BARS,
+      settings.minPriceExtensionPercent,
+      settings.minCvdGapUSD
+    );
+  }
+
+  // minDepthImbalance: buy потік - перевага bid, sell - перевага ask; без синхронізованої книги не блокує
+  passesDepthFilter(config, stats) {
+    if (!config.minDepthImbalance || !stats.depth) return true;
+    
+    const band = stats.depth.bands.find(b => b.band === CONFIG.DEPTH_FILTER_BAND_PERCENT);
+    if (!band) return true;
+    
+    const supporting = stats.dominantSide === 'buy' ? band.imbalance : -band.imbalance;
+    return supporting >= config.minDepthImbalance;
+  }
+
+  // Рішення по потоку та OI + funding/basis контекст
+  interpretSignal(stats, oiStats = null, symbol = null) {
+    const funding = this.getFundingContext(symbol, oiStats);
+    const interpretation = this.interpretFlow(stats, oiStats, symbol, funding);
+    
+    interpretation.funding = funding;
+    // Фінальний напрямок - у бік перевантаженої сторони (вхід разом з натовпом)
+    interpretation.fundingWithCrowd = Boolean(
+      funding && funding.crowded && funding.crowded === (interpretation.finalDirection === 'LONG' ? 'LONGS' : 'SHORTS')
+    );
+    interpretation.confidence = this.scoreConfidence(symbol, stats, interpretation, oiStats);
+    return interpretation;
+  }
+
+  // Фактори 0..1 від порогів вікна алерту (або символу): dominance - частка запасу до 100%,
+  // volume/price/oi - від 1x до CONFIDENCE_SATURATION_MULTIPLE x порогу; agreement - OI підтверджує потік
+  scoreConfidence(symbol, stats, interpretation, oiStats) {
+    const config = CONFIG.getSymbolConfig(symbol);
+    const thresholds = this.getThresholds(symbol, stats, config && CONFIG.getWindows(symbol).find(w => w.name === stats.window));
+    const saturation = CONFIG.CONFIDENCE_SATURATION_MULTIPLE;
+    
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+    // Поріг 100% домінації / насичення 1x - фактор 0 або 1 замість ділення на нуль (NaN відкидав би кожен сигнал)
+    const overThreshold = (value, threshold) => {
+      if (!(threshold > 0)) return 1;
+      if (saturation <= 1) return value >= threshold ? 1 : 0;
+      return clamp((value / threshold - 1) / (saturation - 1));
+    };
+    const dominanceRoom = 100 - thresholds.minDominance;
+    const hasOI = interpretation.decision !== 'NO_OI_DATA' && Boolean(oiStats && oiStats.hasWindowData);
+    
+    let agreement = null;
+    if (hasOI) {
+      // OI нижче порогів - нейтрально: не підтверджує, але й не суперечить потоку
+      agreement = !interpretation.oiUsed ? 0.5 : interpretation.oiOverride ? 0 : interpretation.rule ? 1 : 0.5;
+    }
+    
+    const factors = {
+      dominance: dominanceRoom > 0
+        ? clamp((stats.dominance - thresholds.minDominance) / dominanceRoom)
+        : (stats.dominance >= thresholds.minDominance ? 1 : 0),
+      volume: overThreshold(stats.totalVolume, thresholds.minVolumeUSD),
+      price: overThreshold(Math.abs(stats.priceChange), thresholds.minPriceChange),
+      oi: hasOI ? overThreshold(Math.abs(oiStats.oiDeltaPct), interpretation.oiMinDeltaPercent) : null,
+      agreement
+    };
+    
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [name, factor] of Object.entries(factors)) {
+      const weight = CONFIG.CONFIDENCE_WEIGHTS[name] || 0;
+      if (factor === null || weight <= 0) continue;
+      weighted += factor * weight;
+      totalWeight += weight;
+    }
+    
+    return {
+      score: totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : 0,
+      factors: Object.fromEntries(
+        Object.entries(factors).map(([name, factor]) => [name, factor === null ? null : parseFloat(factor.toFixed(2))])
+      )
+    };
+  }
+
+  // Per-symbol minConfidence (або глобальний MIN_CONFIDENCE)
+  getMinConfidence(symbol) {
+    const config = CONFIG.getSymbolConfig(symbol) || {};
+    return config.minConfidence ?? CONFIG.MIN_CONFIDENCE;
+  }
+
+  passesConfidenceFilter(symbol, interpretation) {
+    return !interpretation.confidence || interpretation.confidence.score >= this.getMinConfidence(symbol);
+  }
+
+  // Висока ставка + OI росте = нові позиції на стороні, що вже платить (перевантажена)
+  getFundingContext(symbol, oiStats) {
+    if (!this.fundingTracker || !symbol) return null;
+    
+    const funding = this.fundingTracker.getFundingStats(symbol);
+    if (!funding) return null;
+    
+    const rate = funding.fundingRatePct;
+    const extreme = CONFIG.FUNDING_EXTREME_PERCENT;
+    const bias = rate >= extreme ? 'LONGS_PAY' : rate <= -extreme ? 'SHORTS_PAY' : 'NEUTRAL';
+    const oiRising = Boolean(oiStats && oiStats.hasWindowData && oiStats.oiDeltaPct > 0);
+    const rateText = `${rate >= 0 ? '+' : ''}${rate.toFixed(4)}%`;
+    
+    let crowded = null;
+    let reason = null;
+    if (bias === 'LONGS_PAY' && oiRising) {
+      crowded = 'LONGS';
+      reason = `Лонги перевантажені: funding ${rateText} + OI ↑${oiStats.oiDeltaPct.toFixed(2)}% → ризик long liquidation`;
+    } else if (bias === 'SHORTS_PAY' && oiRising) {
+      crowded = 'SHORTS';
+      reason = `Шорти перевантажені: funding ${rateText} + OI ↑${oiStats.oiDeltaPct.toFixed(2)}% → ризик short squeeze`;
+    } else if (bias !== 'NEUTRAL') {
+      reason = `Funding ${rateText} - платять ${bias === 'LONGS_PAY' ? 'лонги' : 'шорти'}`;
+    }
+    
+    return {
+      ...funding,
+      bias,
+      crowded,
+      basisExtreme: funding.basisPct !== null && Math.abs(funding.basisPct) >= CONFIG.BASIS_EXTREME_PERCENT,
+      reason
+    };
+  }
+
+  // Напрямок і рішення - перше правило CONFIG.getDecisionRules, що спрацювало; без збігу
+  // напрямок потоку з рішенням NO_OI_DATA / BASE (OI нижче порогів) / INCONCLUSIVE
+  interpretFlow(stats, oiStats = null, symbol = null, funding = null) {
+    const oiThresholds = CONFIG.getOIThresholds(symbol);
+    
+    // Базовий напрямок на основі агресивних трейдів
+    const flow = stats.dominantSide === 'buy'
+      ? { type: 'SHORT_SQUEEZE', label: 'SHORT SQUEEZE', emoji: '🟢', direction: 'LONG' }
+      : { type: 'LONG_LIQUIDATION', label: 'LONG LIQUIDATION', emoji: '🔴', direction: 'SHORT' };
+    
+    const oiCheck = this.checkOIThresholds(stats, oiStats, oiThresholds);
+    const context = buildRuleContext({
+      symbol,
+      stats,
+      flowDirection: flow.direction,
+      oiStats: oiCheck.oiUsed ? oiStats : null,
+      funding,
+      oiThresholds
+    });
+    
+    const outcome = evaluateDecisionRules(CONFIG.getDecisionRules(symbol), context) || {
+      rule: null,
+      direction: flow.direction,
+      decision: oiCheck.decision,
+      reason: oiCheck.reason
+    };
+
+    return {
+      type: flow.type,
+      label: flow.label,
+      emoji: flow.emoji,
+      direction: outcome.direction,
+      flowDirection: flow.direction,
+      finalDirection: outcome.direction,
+      oiOverride: outcome.direction !== flow.direction,
+      oiReason: outcome.reason,
+      decision: outcome.decision,
+      rule: outcome.rule,
+      oiUsed: oiCheck.oiUsed,
+      oiDeltaPassed: oiCheck.oiDeltaPassed,
+      oiPricePassed: oiCheck.oiPricePassed,
+      oiVenuesAgree: oiCheck.oiVenuesAgree,
+      oiMinDeltaPercent: oiThresholds.minDeltaPercent,
+      oiMinPriceChangePercent: oiThresholds.minPriceChangePercent
+    };
+  }
+
+  // ========================================================================
+  // ПЕРЕВІРКА ПОРОГІВ OI (OI Threshold Filters)
+  // ========================================================================
+  // Якщо зміни OI або ціни менші за мінімальні пороги, OI НЕ використовується
+  // в правилах (context.oi = null); decision/reason - рішення, якщо жодне правило не спрацює
+  checkOIThresholds(stats, oiStats, oiThresholds) {
+    if (!CONFIG.OI_ENABLED || !this.oiTracker || !oiStats || !oiStats.hasWindowData) {
+      return { oiUsed: false, oiDeltaPassed: false, oiPricePassed: false, oiVenuesAgree: null, decision: 'NO_OI_DATA', reason: null };
+    }
+    
+    const { oiDeltaPct, priceDeltaPct } = oiStats;
+    const minOIDelta = oiThresholds.minDeltaPercent;
+    const minPriceChange = oiThresholds.minPriceChangePercent;
+    
+    // Режим agree: сумарного Δ недостатньо, кожна біржа має підтвердити напрямок
+    const venuesCheck = this.checkVenuesAgree(oiStats, minOIDelta);
+    const oiDeltaPassed = venuesCheck.agree && Math.abs(oiDeltaPct) >= minOIDelta;
+    const oiPricePassed = Math.abs(priceDeltaPct) >= minPriceChange;
+    const oiUsed = oiDeltaPassed && oiPricePassed;
+    
+    if (oiUsed) {
+      return {
+        oiUsed,
+        oiDeltaPassed,
+        oiPricePassed,
+        oiVenuesAgree: venuesCheck.agree,
+        decision: 'INCONCLUSIVE',
+        reason: `OI: ${oiDeltaPct >= 0 ? '+' : ''}${oiDeltaPct.toFixed(2)}%, Ціна: ${priceDeltaPct >= 0 ? '+' : ''}${priceDeltaPct.toFixed(2)}% → Без чіткого сигналу`
+      };
+    }
+    
+    const reasons = [];
+    if (!venuesCheck.agree) {
+      reasons.push(venuesCheck.reason);
+    } else if (!oiDeltaPassed) {
+      reasons.push(`OI Δ=${Math.abs(oiDeltaPct).toFixed(2)}% < ${minOIDelta}%`);
+    }
+    if (!oiPricePassed) {
+      reasons.push(`Price Δ=${Math.abs(priceDeltaPct).toFixed(2)}% < ${minPriceChange}%`);
+    }
+    
+    console.log(`[OI-FILTER] OI ignored for ${stats.dominantSide} flow: ${reasons.join(', ')}`);
+    
+    return {
+      oiUsed,
+      oiDeltaPassed,
+      oiPricePassed,
+      oiVenuesAgree: venuesCheck.agree,
+      decision: 'BASE',
+      reason: `OI ignored (below threshold: ${reasons.join(', ')})`
+    };
+  }
+
+  // OI_MODE=agree: усі біржі з даними за вікно - в один бік і кожна проходить поріг
+  checkVenuesAgree(oiStats, minOIDelta) {
+    if (CONFIG.OI_MODE !== 'agree' || !oiStats.venues) {
+      return { agree: true, reason: null };
+    }
+
+    const deltas = Object.entries(oiStats.venues).filter(([, venue]) => venue.hasWindowData);
+    if (deltas.length < 2) {
+      return { agree: true, reason: null };
+    }
+
+    const sign = Math.sign(oiStats.oiDeltaPct);
+    const dissenting = deltas.filter(([, venue]) =>
+      Math.sign(venue.oiDeltaPct) !== sign || Math.abs(venue.oiDeltaPct) < minOIDelta
+    );
+
+    if (dissenting.length === 0) {
+      return { agree: true, reason: null };
+    }
+
+    const details = dissenting
+      .map(([venue, stats]) => `${VENUE_LABELS[venue] || venue} ${stats.oiDeltaPct >= 0 ? '+' : ''}${stats.oiDeltaPct.toFixed(2)}%`)
+      .join(', ');
+    return { agree: false, reason: `біржі не згодні: ${details}` };
+  }
+}
+
+// ============================================================================
+// COOLDOWN MANAGER
+// ============================================================================
+
+class CooldownManager {
+  constructor(clock = systemClock) {
+    this.lastAlerts = new Map();
+    this.clock = clock;
+  }
+
+  canAlert(symbol, stats) {
+    const config = CONFIG.getSymbolConfig(symbol);
+    if (!config) return false;
+
+    const key = `${symbol}_${stats.dominantSide}`;
+    const lastTime = this.lastAlerts.get(key);
+    
+    if (!lastTime) return true;
+
+    const cooldownMs = config.cooldownMinutes * 60 * 1000;
+    const elapsed = this.clock.now() - lastTime;
+    
+    return elapsed >= cooldownMs;
+  }
+
+  recordAlert(symbol, stats) {
+    const key = `${symbol}_${stats.dominantSide}`;
+    this.lastAlerts.set(key, this.clock.now());
+  }
+
+  // Дивергенції CVD мають окремий cooldown (ключ: SYMBOL_divergence-bearish)
+  canAlertDivergence(symbol, type) {
+    const lastTime = this.lastAlerts.get(`${symbol}_divergence-${type}`);
+    if (!lastTime) return true;
+    
+    return this.clock.now() - lastTime >= CONFIG.getDivergenceSettings(symbol).cooldownMinutes * 60 * 1000;
+  }
+
+  recordDivergence(symbol, type) {
+    this.lastAlerts.set(`${symbol}_divergence-${type}`, this.clock.now());
+  }
+
+  // side: 'buy' | 'sell' | 'divergence-bearish' | 'divergence-bullish'
+  getRemainingCooldown(symbol, side) {
+    const config = CONFIG.getSymbolConfig(symbol);
+    if (!config) return 0;
+
+    const key = `${symbol}_${side}`;
+    const lastTime = this.lastAlerts.get(key);
+    
+    if (!lastTime) return 0;
+
+    const cooldownMs = this.getCooldownMs(symbol, side);
+    const elapsed = this.clock.now() - lastTime;
+    const remaining = Math.max(0, cooldownMs - elapsed);
+    
+    return Math.ceil(remaining / 1000);
+  }
+
+  getCooldownMs(symbol, side) {
+    const minutes = side.startsWith('divergence-')
+      ? CONFIG.getDivergenceSettings(symbol).cooldownMinutes
+      : CONFIG.getSymbolConfig(symbol).cooldownMinutes;
+    return minutes * 60 * 1000;
+  }
+
+  exportState() {
+    return Object.fromEntries(this.lastAlerts);
+  }
+
+  // Відновлюємо лише ще активні cooldown (ключ: SYMBOL_side)
+  restoreState(state) {
+    const now = this.clock.now();
+    let restored = 0;
+    
+    for (const [key, lastTime] of Object.entries(state || {})) {
+      const symbol = key.slice(0, key.lastIndexOf('_'));
+      const side = key.slice(key.lastIndexOf('_') + 1);
+      if (!CONFIG.getSymbolConfig(symbol) || now - lastTime >= this.getCooldownMs(symbol, side)) continue;
+      
+      if (!this.lastAlerts.has(key) || this.lastAlerts.get(key) < lastTime) {
+        this.lastAlerts.set(key, lastTime);
+        restored++;
+      }
+    }
+    
+    return restored;
+  }
+}
+
+// ============================================================================
+// ALERT LIFECYCLE (ескалації під час cooldown і завершення потоку)
+// ============================================================================
+
+// Після відправки алерту потік тієї ж сторони відстежується до кінця cooldown:
+//   escalation - об'єм з початку вікна алерту, рух ціни від його початку (кратні значень алерту)
+//                або |Δ OI| від моменту алерту (кратні порогу OI) перетнули наступний з ALERT_ESCALATION_TIERS
+//   closed     - сторона алерту втратила домінацію за ALERT_EXHAUSTION_SECONDS, ціна відкотилась на
+//                ALERT_EXHAUSTION_RETRACE_PERCENT % від піку руху (exhausted) або минув cooldown (cooldown)
+class AlertLifecycle extends EventEmitter {
+  constructor(clock = systemClock, oiTracker = null) {
+    super();
+    this.clock = clock;
+    this.oiTracker = oiTracker;
+    this.active = new Map(); // symbol -> Map<side, entry>
+  }
+
+  // Новий алерт тієї ж сторони замінює попередній цикл без повідомлення;
+  // завершення за cooldown - таймером, навіть якщо трейдів по символу більше немає
+  open(alertData, text) {
+    const { symbol, stats, interpretation, oiStats } = alertData;
+    const config = CONFIG.getSymbolConfig(symbol);
+    if (!config || !alertData.messageId) return null;
+    
+    const openedAt = this.clock.now();
+    const sideVolume = stats.dominantSide === 'buy' ? stats.buyVolume : stats.sellVolume;
+    const entry = {
+      id: alertData.id,
+      symbol,
+      side: stats.dominantSide,
+      direction: interpretation.finalDirection,
+      messageId: alertData.messageId,
+      text,
+      openedAt,
+      expiresAt: alertData.timestamp + config.cooldownMinutes * 60_000,
+      basePrice: stats.lastPrice / (1 + stats.priceChange / 100),
+      // Об'єм лише сторони алерту: зустрічний потік не ескалює алерт (він - ознака вичерпання)
+      initialVolume: sideVolume,
+      initialMove: Math.abs(stats.priceChange),
+      volume: sideVolume,
+      move: Math.abs(stats.priceChange),
+      peakMove: Math.abs(stats.priceChange),
+      oiStart: oiStats && oiStats.hasWindowData ? oiStats.oiNow : null,
+      oiChangePct: null,
+      oiStep: CONFIG.getOIThresholds(symbol).minDeltaPercent,
+      nextOICheck: openedAt,
+      tiers: { volume: 0, price: 0, oi: 0 },
+      level: 0,
+      buckets: [],
+      timer: null
+    };
+    
+    if (!this.active.has(symbol)) this.active.set(symbol, new Map());
+    const entries = this.active.get(symbol);
+    const replaced = entries.get(entry.side);
+    if (replaced) this.clock.clearTimeout(replaced.timer);
+    entries.set(entry.side, entry);
+    entry.timer = this.clock.setTimeout(() => this.close(entry, 'cooldown', null), Math.max(0, entry.expiresAt - openedAt));
+    return entry;
+  }
+
+  // Об'єм - з усіх бірж, ціна - лише з основної (як у SymbolState); для вичерпання - частка сторони в усьому об'ємі
+  onTrade(symbol, price, quantity, isBuyerMaker, venue = PRIMARY_VENUE) {
+    const entries = this.active.get(symbol);
+    if (!entries) return;
+    
+    const now = this.clock.now();
+    const volume = price * quantity;
+    const side = isBuyerMaker ? 'sell' : 'buy';
+    
+    for (const entry of entries.values()) {
+      if (now >= entry.expiresAt) {
+        this.close(entry, 'cooldown', null);
+        continue;
+      }
+      
+      if (side === entry.side) entry.volume += volume;
+      if (venue === PRIMARY_VENUE) {
+        const move = ((price - entry.basePrice) / entry.basePrice) * 100;
+        entry.move = entry.side === 'buy' ? move : -move;
+        entry.peakMove = Math.max(entry.peakMove, entry.move);
+      }
+      this.updateOI(entry, now);
+      
+      if (this.addToBucket(entry, now, volume, side === entry.side)) {
+        const reason = this.getExhaustionReason(entry, now);
+        if (reason) {
+          this.close(entry, 'exhausted', reason);
+          continue;
+        }
+      }
+      
+      this.checkEscalation(entry);
+    }
+  }
+
+  updateOI(entry, now) {
+    if (!this.oiTracker || now < entry.nextOICheck) return;
+    entry.nextOICheck = now + CONFIG.ALERT_LIFECYCLE_OI_CHECK_SECONDS * 1000;
+    
+    const oiStats = this.oiTracker.getOIStats(entry.symbol);
+    if (!oiStats || !oiStats.oiNow) return;
+    if (entry.oiStart === null) entry.oiStart = oiStats.oiNow;
+    entry.oiChangePct = ((oiStats.oiNow - entry.oiStart) / entry.oiStart) * 100;
+  }
+
+  // Бакети по 5с за останні ALERT_EXHAUSTION_SECONDS; true - попередній бакет закрився
+  addToBucket(entry, now, volume, isAlertSide) {
+    const start = Math.floor(now / 5000) * 5000;
+    const last = entry.buckets[entry.buckets.length - 1];
+    const rolled = Boolean(last && start > last.start);
+    
+    if (!last || rolled) {
+      entry.buckets.push({ start, volume: 0, sideVolume: 0 });
+      const cutoff = now - CONFIG.ALERT_EXHAUSTION_SECONDS * 1000;
+      while (entry.buckets.length > 1 && entry.buckets[0].start + 5000 <= cutoff) entry.buckets.shift();
+    }
+    
+    const bucket = entry.buckets[entry.buckets.length - 1];
+    bucket.volume += volume;
+    if (isAlertSide) bucket.sideVolume += volume;
+    return rolled;
+  }
+
+  getExhaustionReason(entry, now) {
+    if (now - entry.openedAt < CONFIG.ALERT_EXHAUSTION_SECONDS * 1000) return null;
+    
+    const volume = entry.buckets.reduce((total, bucket) => total + bucket.volume, 0);
+    const sideVolume = entry.buckets.reduce((total, bucket) => total + bucket.sideVolume, 0);
+    const share = volume > 0 ? (sideVolume / volume) * 100 : 0;
+    if (share < 50) {
+      return `домінація ${entry.side === 'buy' ? 'BUY' : 'SELL'} ${share.toFixed(0)}% за ${CONFIG.ALERT_EXHAUSTION_SECONDS}с`;
+    }
+    
+    const retrace = entry.peakMove > 0 ? ((entry.peakMove - entry.move) / entry.peakMove) * 100 : 0;
+    if (retrace >= CONFIG.ALERT_EXHAUSTION_RETRACE_PERCENT) {
+      return `відкат ${retrace.toFixed(0)}% від піку руху`;
+    }
+    
+    return null;
+  }
+
+  // Рівень метрики - скільки значень ALERT_ESCALATION_TIERS досягнуто
+  checkEscalation(entry) {
+    const tierOf = (ratio) => CONFIG.ALERT_ESCALATION_TIERS.filter(tier => ratio >= tier).length;
+    const tiers = {
+      volume: tierOf(entry.volume / entry.initialVolume),
+      price: entry.initialMove > 0 ? tierOf(entry.move / entry.initialMove) : 0,
+      oi: entry.oiChangePct !== null && entry.oiStep > 0 ? tierOf(Math.abs(entry.oiChangePct) / entry.oiStep) : 0
+    };
+    const level = Math.max(tiers.volume, tiers.price, tiers.oi);
+    
+    if (level > entry.level) {
+      const raised = Object.keys(tiers).filter(metric => tiers[metric] > entry.tiers[metric]);
+      entry.tiers = tiers;
+      entry.level = level;
+      this.emit('escalation', entry, raised);
+    } else {
+      entry.tiers = tiers;
+    }
+  }
+
+  close(entry, reason, details) {
+    const entries = this.active.get(entry.symbol);
+    if (!entries || entries.get(entry.side) !== entry) return;
+    
+    this.clock.clearTimeout(entry.timer);
+    entries.delete(entry.side);
+    if (entries.size === 0) this.active.delete(entry.symbol);
+    this.emit('closed', entry, reason, details);
+  }
+
+  getActiveCount() {
+    let count = 0;
+    for (const entries of this.active.values()) count += entries.size;
+    return count;
+  }
+
+  // Без повідомлень про завершення (зупинка бота, кінець replay)
+  stop() {
+    for (const entries of this.active.values()) {
+      for (const entry of entries.values()) this.clock.clearTimeout(entry.timer);
+    }
+    this.active.clear();
+  }
+}
+
+// ============================================================================
+// ALERT MANAGER (оновлений з OI та фінальною перевіркою)
+// ============================================================================
+
+// Машиночитний payload сигналу: JSON у structured-повідомленні та тіло webhook
+function buildSignalPayload(symbol, stats, interpretation, oiStats, timestamp) {
+  return {
+    symbol,
+    direction: interpretation.finalDirection,
+    flowDirection: interpretation.flowDirection,
+    finalDirection: interpretation.finalDirection,
+    type: interpretation.type,
+    decision: interpretation.decision,
+    rule: interpretation.rule ?? null,
+    confidence: interpretation.confidence ? interpretation.confidence.score : null,
+    confidenceFactors: interpretation.confidence ? interpretation.confidence.factors : null,
+    price: stats.lastPrice,
+    priceChange: parseFloat(stats.priceChange.toFixed(4)),
+    volume: parseFloat(stats.totalVolume.toFixed(2)),
+    dominance: parseFloat(stats.dominance.toFixed(2)),
+    dominantSide: stats.dominantSide,
+    duration: parseFloat(stats.duration.toFixed(1)),
+    // Вікно алерту і всі вікна того ж напрямку, що спрацювали
+    window: stats.window ?? null,
+    windows: stats.firedWindows ? stats.firedWindows.map(w => w.name) : null,
+    priceHigh: stats.priceHigh ?? null,
+    priceLow: stats.priceLow ?? null,
+    // Адаптивні пороги (z-score об'єму, кратне ATR), якщо діяли для цього алерту
+    adaptive: stats.adaptive
+      ? Object.fromEntries(Object.entries(stats.adaptive).map(([key, value]) => [key, typeof value === 'number' ? parseFloat(value.toFixed(4)) : value]))
+      : null,
+    timestamp,
+    oiEnabled: CONFIG.OI_ENABLED,
+    oiNow: oiStats?.oiNow || null,
+    oi5mAgo: oiStats?.oi5mAgo || null,
+    oiNowUSD: oiStats?.oiNowUSD ? parseFloat(oiStats.oiNowUSD.toFixed(2)) : null,
+    oi5mAgoUSD: oiStats?.oi5mAgoUSD ? parseFloat(oiStats.oi5mAgoUSD.toFixed(2)) : null,
+    oiDeltaPct: oiStats?.oiDeltaPct ? parseFloat(oiStats.oiDeltaPct.toFixed(4)) : null,
+    priceDeltaPct: oiStats?.priceDeltaPct ? parseFloat(oiStats.priceDeltaPct.toFixed(4)) : null,
+    oiOverride: interpretation.oiOverride || false,
+    oiReason: interpretation.oiReason || null,
+    // Нові поля для OI фільтрів
+    oiUsed: interpretation.oiUsed || false,
+    oiDeltaPassed: interpretation.oiDeltaPassed || false,
+    oiPricePassed: interpretation.oiPricePassed || false,
+    oiMinDeltaPercent: interpretation.oiMinDeltaPercent || CONFIG.OI_MIN_DELTA_PERCENT,
+    oiMinPriceChangePercent: interpretation.oiMinPriceChangePercent || CONFIG.OI_MIN_PRICE_CHANGE_PERCENT,
+    // OI по біржах (Δ% за вікно) і режим агрегації
+    oiMode: CONFIG.OI_MODE,
+    // Фактична відстань між точками Δ (інтерполяція по бакетах), вік останнього семпла, Δ% на інших lookback
+    oiLookbackSeconds: oiStats?.lookbackSeconds ?? null,
+    oiActualLookbackSeconds: oiStats?.actualLookbackSeconds != null ? parseFloat(oiStats.actualLookbackSeconds.toFixed(1)) : null,
+    oiInterpolated: oiStats?.interpolated ?? null,
+    oiStaleSeconds: oiStats?.staleSeconds != null ? parseFloat(oiStats.staleSeconds.toFixed(1)) : null,
+    oiDeltas: oiStats?.deltas
+      ? Object.fromEntries(Object.entries(oiStats.deltas).map(([label, delta]) => [label, delta ? parseFloat(delta.oiDeltaPct.toFixed(4)) : null]))
+      : null,
+    oiVenuesAgree: interpretation.oiVenuesAgree ?? null,
+    oiVenues: oiStats?.venues
+      ? Object.fromEntries(Object.entries(oiStats.venues).map(([venue, v]) => [venue, {
+        oiNowUSD: parseFloat(v.oiNowUSD.toFixed(2)),
+        oiDeltaPct: v.hasWindowData ? parseFloat(v.oiDeltaPct.toFixed(4)) : null
+      }]))
+      : null,
+    // Ліквідований notional за вікно (USD) по стороні позиції
+    liquidations: stats.liquidations
+      ? {
+        longUSD: parseFloat(stats.liquidations.longUSD.toFixed(2)),
+        shortUSD: parseFloat(stats.liquidations.shortUSD.toFixed(2)),
+        count: stats.liquidations.count
+      }
+      : null,
+    // Funding/basis (%, ставка за період) і перевантажена сторона
+    fundingRatePct: interpretation.funding ? parseFloat(interpretation.funding.fundingRatePct.toFixed(6)) : null,
+    predictedFundingRatePct: interpretation.funding?.predictedFundingRatePct != null
+      ? parseFloat(interpretation.funding.predictedFundingRatePct.toFixed(6))
+      : null,
+    nextFundingTime: interpretation.funding?.nextFundingTime ?? null,
+    basisPct: interpretation.funding?.basisPct != null ? parseFloat(interpretation.funding.basisPct.toFixed(4)) : null,
+    fundingBias: interpretation.funding?.bias ?? null,
+    fundingCrowded: interpretation.funding?.crowded ?? null,
+    fundingWithCrowd: interpretation.fundingWithCrowd || false,
+    // Стакан (DEPTH_ENABLED): imbalance по смугах, %, і стіни
+    depth: stats.depth
+      ? {
+        imbalance: Object.fromEntries(stats.depth.bands.map(({ band, imbalance }) => [band, parseFloat(imbalance.toFixed(2))])),
+        bidWall: stats.depth.bidWall,
+        askWall: stats.depth.askWall
+      }
+      : null,
+    // Частка бірж в об'ємі домінуючої сторони, %
+    venueShare: stats.venues
+      ? Object.fromEntries(Object.entries(stats.venues).map(([venue, v]) => [venue, parseFloat(v.dominantShare.toFixed(2))]))
+      : null
+  };
+}
+
+// Payload відправленого алерту (webhook, signal feed): id + поля structured JSON
+function buildAlertPayload(alertData) {
+  const { symbol, stats, interpretation, oiStats, sentAt } = alertData;
+  return {
+    id: alertData.id,
+    event: 'signal',
+    ...buildSignalPayload(symbol, stats, interpretation, oiStats, sentAt)
+  };
+}
+
+// Payload дивергенції CVD: bearish - ціна оновила максимум без CVD (ризик розвороту вниз)
+function buildDivergencePayload(symbol, divergence, timestamp) {
+  return {
+    event: 'divergence',
+    symbol,
+    type: divergence.type,
+    direction: divergence.type === 'bearish' ? 'SHORT' : 'LONG',
+    timeframe: divergence.timeframe,
+    lookbackBars: divergence.lookback,
+    price: divergence.price,
+    priceExtreme: divergence.priceExtreme,
+    priceExtremePrev: divergence.priceExtremePrev,
+    priceExtensionPct: parseFloat(divergence.priceExtensionPct.toFixed(4)),
+    cvdExtreme: parseFloat(divergence.cvdExtreme.toFixed(2)),
+    cvdExtremePrev: parseFloat(divergence.cvdExtremePrev.toFixed(2)),
+    cvdGapUSD: parseFloat(divergence.cvdGapUSD.toFixed(2)),
+    barStart: divergence.barStart,
+    timestamp
+  };
+}
+
+// Payload відправленої дивергенції (webhook, signal feed): id + поля structured JSON
+function buildDivergenceEventPayload(divergenceData) {
+  return {
+    id: divergenceData.id,
+    ...divergenceData.payload
+  };
+}
+
+class AlertManager extends EventEmitter {
+  constructor(telegram, oiTracker = null, clock = systemClock, signalEngine = null) {
+    super();
+    this.telegram = telegram;
+    this.oiTracker = oiTracker;
+    this.clock = clock;
+    this.signalEngine = signalEngine; // для фінальної перевірки (той самий контекст: funding, стакан)
+    this.pendingAlerts = new Map();
+    this.alertCount = 0;
+    this.divergenceCount = 0;
+    this.minuteCheckInterval = null;
+    this.finalCheckTimers = new Map(); // Таймери для фінальної перевірки OI
+    this.escalationCount = 0;
+    this.lifecycle = CONFIG.ALERT_LIFECYCLE_ENABLED ? new AlertLifecycle(clock, oiTracker) : null;
+    if (this.lifecycle) {
+      this.lifecycle.on('escalation', (entry, raised) => {
+        this.escalationCount++;
+        console.log(`[LIFECYCLE] ${entry.symbol} ${entry.side} ескалація ×${CONFIG.ALERT_ESCALATION_TIERS[entry.level - 1]} (${raised.join(', ')})`);
+        this.sendLifecycleUpdate(entry, this.formatEscalation(entry, raised));
+      });
+      this.lifecycle.on('closed', (entry, reason, details) => {
+        console.log(`[LIFECYCLE] ${entry.symbol} ${entry.side} завершено: ${details || reason}`);
+        this.sendLifecycleUpdate(entry, this.formatLifecycleClose(entry, reason, details));
+      });
+    }
+    this.startMinuteChecker();
+  }
+
+  startMinuteChecker() {
+    this.minuteCheckInterval = this.clock.setInterval(() => {
+      const now = new Date(this.clock.now());
+      const seconds = now.getSeconds();
+      
+      // Відправляємо алерти на початку хвилини
+      if (seconds === 0 && this.pendingAlerts.size > 0) {
+        this.flushPendingAlerts();
+      }
+    }, 1000);
+  }
+
+  sendAlert(symbol, stats, interpretation, oiStats = null) {
+    const alertData = {
+      symbol,
+      stats,
+      interpretation,
+      oiStats,
+      timestamp: this.clock.now()
+    };
+
+    const key = `${symbol}_${stats.dominantSide}`;
+    
+    if (!this.pendingAlerts.has(key)) {
+      this.pendingAlerts.set(key, alertData);
+      console.log(`[ALERT] Заплановано для ${symbol} ${interpretation.finalDirection} (відправка на початку хвилини)`);
+      
+      // Запланувати фінальну перевірку OI за 2 секунди до кінця хвилини
+      this.scheduleFinalOICheck(key, alertData);
+    }
+  }
+
+  scheduleFinalOICheck(key, alertData) {
+    // Скасувати попередній таймер якщо є
+    if (this.finalCheckTimers.has(key)) {
+      this.clock.clearTimeout(this.finalCheckTimers.get(key));
+    }
+    
+    const now = new Date(this.clock.now());
+    const secondsUntilNextMinute = 60 - now.getSeconds();
+    const msUntilFinalCheck = (secondsUntilNextMinute * 1000) - CONFIG.OI_FINAL_CHECK_OFFSET_MS;
+    
+    if (msUntilFinalCheck > 0) {
+      const timer = this.clock.setTimeout(() => {
+        this.performFinalOICheck(key, alertData);
+      }, msUntilFinalCheck);
+      
+      this.finalCheckTimers.set(key, timer);
+    }
+  }
+
+  performFinalOICheck(key, alertData) {
+    if (!this.pendingAlerts.has(key)) {
+      return; // Алерт вже був видалений
+    }
+    
+    // Отримуємо свіжі дані OI
+    const freshOIStats = this.oiTracker ? this.oiTracker.getOIStats(alertData.symbol) : null;
+    
+    if (freshOIStats && freshOIStats.hasWindowData) {
+      // Перераховуємо interpretation з новими даними OI
+      const signalEngine = this.signalEngine || new SignalEngine(this.oiTracker, this.clock);
+      const updatedInterpretation = signalEngine.interpretSignal(alertData.stats, freshOIStats, alertData.symbol);
+      
+      // Логування фінальної перевірки
+      console.log(`[FINAL-CHECK] ${alertData.symbol}:`, {
+        oiNow: freshOIStats.oiNow.toFixed(0),
+        oi5mAgo: freshOIStats.oi5mAgo?.toFixed(0),
+        oiDeltaPct: freshOIStats.oiDeltaPct?.toFixed(2),
+        priceDeltaPct: freshOIStats.priceDeltaPct?.toFixed(2),
+        oiUsed: updatedInterpretation.oiUsed,
+        oiDeltaPassed: updatedInterpretation.oiDeltaPassed,
+        oiPricePassed: updatedInterpretation.oiPricePassed,
+        decision: updatedInterpretation.decision,
+        finalDirection: updatedInterpretation.finalDirection
+      });
+      
+      // Фіксуємо, що змінила фінальна перевірка (для журналу)
+      const tracked = ['decision', 'rule', 'finalDirection', 'type', 'oiUsed', 'oiDeltaPassed', 'oiPricePassed'];
+      const previous = alertData.interpretation;
+      alertData.finalCheck = {
+        checkedAt: this.clock.now(),
+        oiDeltaPctBefore: alertData.oiStats?.oiDeltaPct ?? null,
+        oiDeltaPctAfter: freshOIStats.oiDeltaPct ?? null,
+        confidenceBefore: previous.confidence?.score ?? null,
+        confidenceAfter: updatedInterpretation.confidence?.score ?? null,
+        changes: tracked
+          .filter(field => previous[field] !== updatedInterpretation[field])
+          .map(field => ({ field, from: previous[field] ?? null, to: updatedInterpretation[field] ?? null }))
+      };
+      
+      // Свіжий OI може опустити score нижче minConfidence - такий алерт не відправляємо
+      // (cooldown, записаний при постановці в чергу, лишається: той самий потік не переоцінюється)
+      if (!signalEngine.passesConfidenceFilter(alertData.symbol, updatedInterpretation)) {
+        console.log(`[CONFIDENCE] ${alertData.symbol} ${updatedInterpretation.finalDirection} відкинуто після фінальної перевірки: ${previous.confidence?.score} → ${updatedInterpretation.confidence.score} < ${signalEngine.getMinConfidence(alertData.symbol)}`);
+        this.pendingAlerts.delete(key);
+        this.finalCheckTimers.delete(key);
+        return;
+      }
+      
+      // Оновлюємо алерт з фінальними даними
+      alertData.interpretation = updatedInterpretation;
+      alertData.oiStats = freshOIStats;
+      this.pendingAlerts.set(key, alertData);
+    }
+    
+    this.finalCheckTimers.delete(key);
+  }
+
+  async flushPendingAlerts() {
+    console.log(`[ALERT] Відправка ${this.pendingAlerts.size} alert(s)...`);
+    
+    // Забираємо чергу одразу, щоб алерти, додані під час відправки, не загубились
+    const batch = Array.from(this.pendingAlerts.entries());
+    this.pendingAlerts.clear();
+    
+    for (const [key, alertData] of batch) {
+      // Видаляємо таймер фінальної перевірки якщо є
+      if (this.finalCheckTimers.has(key)) {
+        this.clock.clearTimeout(this.finalCheckTimers.get(key));
+        this.finalCheckTimers.delete(key);
+      }
+      
+      // Фіксуємо час відправки до await (важливо для детермінованого replay)
+      alertData.sentAt = this.clock.now();
+      alertData.id = `${alertData.symbol}_${alertData.stats.dominantSide}_${alertData.sentAt}`;
+      
+      // Сигнал для webhook не залежить від успіху відправки в Telegram
+      this.emit('signal', alertData);
+      
+      try {
+        const message = this.formatAlertMessage(alertData);
+        const sent = await this.sendTelegramMessage(alertData, message);
+        alertData.messageId = sent?.message_id ?? null;
+        this.alertCount++;
+        if (this.lifecycle) this.lifecycle.open(alertData, message);
+        this.emit('alert', alertData);
+      } catch (error) {
+        console.error(`[ALERT] Помилка відправки ${alertData.symbol}:`, error.message);
+        this.emit('failed', alertData, error);
+      }
+    }
+  }
+
+  formatAlertMessage(alertData) {
+    const { symbol, stats, interpretation, oiStats } = alertData;
+    
+    if (CONFIG.ALERT_FORMAT === 'structured') {
+      return this.formatStructuredMessage(symbol, stats, interpretation, oiStats);
+    }
+    return this.formatHumanMessage(symbol, stats, interpretation, oiStats);
+  }
+
+  async sendTelegramMessage(alertData, message = this.formatAlertMessage(alertData)) {
+    return this.telegram.sendMessage(
+      CONFIG.TELEGRAM_CHAT_ID,
+      message,
+      { parse_mode: 'HTML' }
+    );
+  }
+
+  // Трейди для життєвого циклу відправлених алертів
+  onTrade(symbol, price, quantity, isBuyerMaker, venue = PRIMARY_VENUE) {
+    if (this.lifecycle) this.lifecycle.onTrade(symbol, price, quantity, isBuyerMaker, venue);
+  }
+
+  // reply - відповідь на алерт; edit - рядок дописується в текст алерту
+  async sendLifecycleUpdate(entry, text) {
+    try {
+      if (CONFIG.ALERT_LIFECYCLE_MODE === 'edit') {
+        entry.text = `${entry.text}\n${text}`;
+        await this.telegram.editMessageText(entry.text, {
+          chat_id: CONFIG.TELEGRAM_CHAT_ID,
+          message_id: entry.messageId,
+          parse_mode: 'HTML'
+        });
+      } else {
+        await this.telegram.sendMessage(CONFIG.TELEGRAM_CHAT_ID, text, {
+          parse_mode: 'HTML',
+          reply_to_message_id: entry.messageId,
+          allow_sending_without_reply: true
+        });
+      }
+    } catch (error) {
+      console.error(`[LIFECYCLE] Помилка оновлення ${entry.symbol}:`, error.message);
+    }
+  }
+
+  // "🔺 ADAUSDT BUY ×3 через 4хв: 💰 BUY $3.10M (×3.1) | 📈 +2.40% (×2.2) | 📊 OI +1.30%"
+  formatEscalation(entry, raised) {
+    const minutes = ((this.clock.now() - entry.openedAt) / 60_000).toFixed(0);
+    const mark = (metric) => (raised.includes(metric) ? ' ⬆️' : '');
+    const side = entry.side === 'buy' ? 'BUY' : 'SELL';
+    const parts = [
+      `💰 ${side} $${this.fmt(entry.volume)} (×${(entry.volume / entry.initialVolume).toFixed(1)})${mark('volume')}`,
+      `📈 ${this.formatSignedPct(entry.move)}${entry.initialMove > 0 ? ` (×${(entry.move / entry.initialMove).toFixed(1)})` : ''}${mark('price')}`
+    ];
+    if (entry.oiChangePct !== null) {
+      parts.push(`📊 OI ${this.formatSignedPct(entry.oiChangePct)}${mark('oi')}`);
+    }
+    
+    return `🔺 <b>${this.escapeHtml(entry.symbol)} ${entry.side === 'buy' ? 'BUY' : 'SELL'}</b> ескалація ×${CONFIG.ALERT_ESCALATION_TIERS[entry.level - 1]} через ${minutes}хв: ${parts.join(' | ')}`;
+  }
+
+  formatLifecycleClose(entry, reason, details) {
+    const minutes = ((this.clock.now() - entry.openedAt) / 60_000).toFixed(0);
+    const title = reason === 'exhausted'
+      ? `🏁 <b>${this.escapeHtml(entry.symbol)} ${entry.side === 'buy' ? 'BUY' : 'SELL'}</b> потік вичерпано (${this.escapeHtml(details)})`
+      : `⏹️ <b>${this.escapeHtml(entry.symbol)} ${entry.side === 'buy' ? 'BUY' : 'SELL'}</b> cooldown минув, потік не вичерпано`;
+    const level = entry.level > 0 ? ` | рівень ×${CONFIG.ALERT_ESCALATION_TIERS[entry.level - 1]}` : '';
+    
+    return `${title}\nЗа ${minutes}хв: 💰 ${entry.side === 'buy' ? 'BUY' : 'SELL'} $${this.fmt(entry.volume)} | 📈 ${this.formatSignedPct(entry.move)} (пік ${this.formatSignedPct(entry.peakMove)})${level}`;
+  }
+
+  // Дивергенції йдуть одразу: бар уже закритий, фінальна перевірка OI не потрібна
+  // 'divergence' емітиться і при невдалій відправці (messageId відсутній) - webhook/feed/журнал не залежать від Telegram
+  async sendDivergenceAlert(symbol, divergence) {
+    const sentAt = this.clock.now();
+    const divergenceData = {
+      id: `${symbol}_divergence-${divergence.type}_${sentAt}`,
+      symbol,
+      divergence,
+      sentAt,
+      payload: buildDivergencePayload(symbol, divergence, sentAt)
+    };
+    
+    try {
+      const sent = await this.telegram.sendMessage(
+        CONFIG.TELEGRAM_CHAT_ID,
+        this.formatDivergenceMessage(symbol, divergence, divergenceData.payload),
+        { parse_mode: 'HTML' }
+      );
+      divergenceData.messageId = sent?.message_id ?? null;
+      this.divergenceCount++;
+    } catch (error) {
+      console.error(`[ALERT] Помилка відправки дивергенції ${symbol}:`, error.message);
+    }
+    
+    this.emit('divergence', divergenceData);
+  }
+
+  formatDivergenceMessage(symbol, divergence, payload) {
+    const bearish = divergence.type === 'bearish';
+    const lines = [];
+    
+    lines.push(`${bearish ? '🔻' : '🔺'} <b>CVD DIVERGENCE ${bearish ? 'BEARISH' : 'BULLISH'}</b> (${divergence.timeframe})`);
+    lines.push(`🎯 ${this.escapeHtml(symbol)} #${this.escapeHtml(symbol.replace('USDT', ''))}`);
+    lines.push(`📈 Ціна: новий ${bearish ? 'максимум' : 'мінімум'} $${divergence.priceExtreme} (${this.formatSignedPct(divergence.priceExtensionPct)} до $${divergence.priceExtremePrev} за ${divergence.lookback} барів)`);
+    lines.push(`📊 CVD: ${this.fmtSignedUSD(divergence.cvdExtreme)} проти ${bearish ? 'піку' : 'дна'} ${this.fmtSignedUSD(divergence.cvdExtremePrev)} (розрив $${this.fmt(divergence.cvdGapUSD)})`);
+    lines.push(`💡 ${bearish ? 'Покупці не підтверджують новий максимум → ризик розвороту вниз' : 'Продавці не підтверджують новий мінімум → шанс на відскок'}`);
+    
+    if (CONFIG.ALERT_FORMAT === 'structured') {
+      lines.push(`<code>${this.escapeHtml(JSON.stringify(payload))}</code>`);
+    }
+    
+    return lines.join('\n');
+  }
+
+  // Функція для екранування HTML символів
+  escapeHtml(text) {
+    if (typeof text !== 'string') {
+      text = String(text);
+    }
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  formatStructuredMessage(symbol, stats, interpretation, oiStats) {
+    const lines = [];
+    
+    // Header
+    lines.push(`${interpretation.emoji} <b>${this.escapeHtml(interpretation.label)}</b>`);
+    lines.push(`<code>───────────────────</code>`);
+    
+    const cleanSymbol = symbol.replace('USDT', '');
+    lines.push(`🎯 <b>${this.escapeHtml(symbol)}</b> #${this.escapeHtml(cleanSymbol)}`);
+    
+    const priceSign = stats.priceChange >= 0 ? '+' : '';
+    lines.push(`📈 Ціна: ${priceSign}${stats.priceChange.toFixed(2)}% | $${stats.lastPrice.toFixed(4)}`);
+    lines.push(`💰 Об'єм: $${this.fmt(stats.totalVolume)} за ${stats.duration.toFixed(0)}с`);
+    lines.push(`📊 Домінація: ${stats.dominance.toFixed(1)}% ${stats.dominantSide === 'buy' ? '🟢 BUY' : '🔴 SELL'}`);
+    
+    const windows = this.formatWindows(stats);
+    if (windows) {
+      lines.push(`⏱️ Вікна: ${windows}`);
+    }
+    
+    if (stats.adaptive) {
+      lines.push(`📏 Адаптивні пороги: ${this.formatAdaptive(stats.adaptive, true)}`);
+    }
+    
+    const venueShare = this.formatVenueShare(stats);
+    if (venueShare) {
+      lines.push(`🏦 Біржі: ${venueShare}`);
+    }
+    
+    const liquidations = this.formatLiquidations(stats);
+    if (liquidations) {
+      lines.push(`💥 Ліквідації: ${liquidations}`);
+    }
+    
+    if (stats.depth) {
+      lines.push(`📚 Стакан: ${this.formatDepthImbalance(stats.depth)}`);
+      this.formatDepthWalls(stats.depth).forEach(wall => lines.push(`🧱 ${wall}`));
+    }
+    
+    const funding = interpretation.funding;
+    if (funding) {
+      lines.push(`💸 Funding: ${this.formatFunding(funding)}`);
+      if (funding.basisPct !== null) {
+        lines.push(`📐 Basis: ${this.formatSignedPct(funding.basisPct, 3)}${funding.basisExtreme ? ' ⚠️' : ''}`);
+      }
+      if (funding.reason) {
+        lines.push(`${funding.crowded ? '⚠️' : 'ℹ️'} ${this.escapeHtml(funding.reason)}${interpretation.fundingWithCrowd ? ' (сигнал у бік натовпу)' : ''}`);
+      }
+    }
+    
+    // OI Info з детальними метриками
+    if (oiStats && oiStats.hasWindowData) {
+      lines.push(`<code>───────────────────</code>`);
+      lines.push(`📊 <b>OPEN INTEREST (${this.formatOISource(oiStats)} 5min)</b>`);
+      lines.push(`OI зараз: $${this.fmtOI(oiStats.oiNowUSD)}`);
+      lines.push(`OI -5хв: $${this.fmtOI(oiStats.oi5mAgoUSD)}${this.formatOILookback(oiStats)}`);
+      
+      const oiSign = oiStats.oiDeltaPct >= 0 ? '+' : '';
+      const oiEmoji = oiStats.oiDeltaPct > 0 ? '📈' : oiStats.oiDeltaPct < 0 ? '📉' : '➡️';
+      lines.push(`Δ OI: ${oiEmoji} ${oiSign}${oiStats.oiDeltaPct.toFixed(2)}%`);
+      
+      const oiDeltas = this.formatOIDeltas(oiStats);
+      if (oiDeltas) {
+        lines.push(`⏱️ ${oiDeltas}`);
+      }
+      
+      const oiVenues = this.formatOIVenues(oiStats);
+      if (oiVenues) {
+        lines.push(`🏦 ${oiVenues}`);
+      }
+      
+      const priceSign5m = oiStats.priceDeltaPct >= 0 ? '+' : '';
+      const priceEmoji5m = oiStats.priceDeltaPct > 0 ? '📈' : oiStats.priceDeltaPct < 0 ? '📉' : '➡️';
+      lines.push(`Δ Ціна (5хв): ${priceEmoji5m} ${priceSign5m}${oiStats.priceDeltaPct.toFixed(2)}%`);
+      
+      // Відображення порогів OI
+      lines.push(`<code>───────────────────</code>`);
+      lines.push(`⚙️ <b>OI Filters</b>`);
+      lines.push(`Min OI Δ: ${interpretation.oiMinDeltaPercent}% ${interpretation.oiDeltaPassed ? '✅' : '❌'}`);
+      if (interpretation.oiVenuesAgree !== null && CONFIG.OI_MODE === 'agree') {
+        lines.push(`Біржі згодні: ${interpretation.oiVenuesAgree ? '✅' : '❌'}`);
+      }
+      lines.push(`Min Price Δ: ${interpretation.oiMinPriceChangePercent}% ${interpretation.oiPricePassed ? '✅' : '❌'}`);
+      lines.push(`OI Used: ${interpretation.oiUsed ? '✅ YES' : '❌ NO'}`);
+      
+      lines.push(`🧠 Decision: <b>${this.escapeHtml(interpretation.decision)}</b>${interpretation.rule ? ` (${this.escapeHtml(interpretation.rule)})` : ''}`);
+      
+      if (interpretation.oiReason) {
+        lines.push(`💡 ${this.escapeHtml(interpretation.oiReason)}`);
+      }
+    } else if (CONFIG.OI_ENABLED) {
+      lines.push(`<code>───────────────────</code>`);
+      lines.push(`⚠️ OI дані недоступні (${oiStats ? oiStats.historyCount : 0} записів)`);
+    }
+    
+    // Direction
+    lines.push(`<code>───────────────────</code>`);
+    
+    if (interpretation.flowDirection !== interpretation.finalDirection) {
+      lines.push(`🔄 Flow: ${this.escapeHtml(interpretation.flowDirection)} → Final: <b>${this.escapeHtml(interpretation.finalDirection)}</b>`);
+    } else {
+      lines.push(`🎯 Напрямок: <b>${this.escapeHtml(interpretation.finalDirection)}</b>`);
+    }
+    
+    if (interpretation.confidence) {
+      lines.push(`💪 Confidence: <b>${interpretation.confidence.score}</b>/100 (${this.formatConfidenceFactors(interpretation.confidence.factors)})`);
+    }
+    
+    lines.push(`<code>───────────────────</code>`);
+    
+    // Machine-readable JSON (ті самі поля, що й у webhook)
+    const data = buildSignalPayload(symbol, stats, interpretation, oiStats, this.clock.now());
+    
+    // Екрануємо JSON для безпечного використання в HTML
+    const jsonString = JSON.stringify(data);
+    lines.push(`<code>${this.escapeHtml(jsonString)}</code>`);
+    
+    return lines.join('\n');
+  }
+
+  formatHumanMessage(symbol, stats, interpretation, oiStats) {
+    const lines = [];
+    
+    lines.push(`${interpretation.emoji} ${this.escapeHtml(interpretation.label)}`);
+    lines.push(`💰 Об'єм: $${this.fmt(stats.totalVolume)} за ${stats.duration.toFixed(0)}с`);
+    lines.push(`📊 Домінація: ${stats.dominance.toFixed(1)}% ${this.escapeHtml(interpretation.finalDirection)}`);
+    if (interpretation.confidence) {
+      lines.push(`💪 Confidence: ${interpretation.confidence.score}/100`);
+    }
+    
+    const windows = this.formatWindows(stats);
+    if (windows) {
+      lines.push(`⏱️ ${windows}`);
+    }
+    if (stats.adaptive) {
+      lines.push(`📏 ${this.formatAdaptive(stats.adaptive, false)}`);
+    }
+    lines.push('━━━━━━━━━━━━━━━━━');
+    
+    const cleanSymbol = symbol.replace('USDT', '');
+    lines.push(`🎯 ${this.escapeHtml(symbol)} #${this.escapeHtml(cleanSymbol)}`);
+    
+    const priceSign = stats.priceChange >= 0 ? '+' : '';
+    lines.push(`📈 Δ Ціни: ${priceSign}${stats.priceChange.toFixed(2)}%`);
+    lines.push(`💵 Ціна: $${stats.lastPrice.toFixed(4)}`);
+    
+    if (oiStats && oiStats.hasWindowData) {
+      lines.push('━━━━━━━━━━━━━━━━━');
+      const oiSign = oiStats.oiDeltaPct >= 0 ? '+' : '';
+      lines.push(`📊 OI (5хв): ${oiSign}${oiStats.oiDeltaPct.toFixed(2)}% ($${this.fmtOI(oiStats.oiNowUSD)})`);
+      
+      const oiVenues = this.formatOIVenues(oiStats);
+      if (oiVenues) {
+        lines.push(`   ${oiVenues}`);
+      }
+      
+      const priceSign5m = oiStats.priceDeltaPct >= 0 ? '+' : '';
+      lines.push(`📈 Ціна (5хв): ${priceSign5m}${oiStats.priceDeltaPct.toFixed(2)}%`);
+      
+      // OI фільтри
+      lines.push(`⚙️ OI Used: ${interpretation.oiUsed ? 'YES ✅' : 'NO ❌'}`);
+      if (!interpretation.oiUsed) {
+        lines.push(`   (OI: ${interpretation.oiDeltaPassed ? '✅' : '❌'} | Price: ${interpretation.oiPricePassed ? '✅' : '❌'})`);
+      }
+      
+      lines.push(`🧠 ${this.escapeHtml(interpretation.decision)}`);
+      
+      if (interpretation.oiReason) {
+        lines.push(`💡 ${this.escapeHtml(interpretation.oiReason)}`);
+      }
+    }
+    
+    lines.push('━━━━━━━━━━━━━━━━━');
+    lines.push(`🟢 Агресивний Buy: $${this.fmt(stats.buyVolume)}`);
+    lines.push(`🔴 Агресивний Sell: $${this.fmt(stats.sellVolume)}`);
+    
+    const venueShare = this.formatVenueShare(stats);
+    if (venueShare) {
+      lines.push(`🏦 ${venueShare}`);
+    }
+    
+    const liquidations = this.formatLiquidations(stats);
+    if (liquidations) {
+      lines.push(`💥 ${liquidations}`);
+    }
+    
+    if (stats.depth) {
+      lines.push(`📚 ${this.formatDepthImbalance(stats.depth)}`);
+    }
+    
+    const funding = interpretation.funding;
+    if (funding) {
+      const basis = funding.basisPct !== null ? ` | Basis ${this.formatSignedPct(funding.basisPct, 3)}` : '';
+      lines.push(`💸 FR ${this.formatSignedPct(funding.fundingRatePct, 4)}${basis}`);
+      if (funding.crowded) {
+        lines.push(`⚠️ CROWDED ${funding.crowded}${interpretation.fundingWithCrowd ? ' (з натовпом)' : ''}`);
+      }
+    }
+    
+    return lines.join('\n');
+  }
+
+  // "об'єм z=3.2σ (≥2.5σ, база $410K ± $120K, N=480) | ціна 1.8×ATR 5m (≥1.0×, ATR 0.32%)"; без деталей - лише z і ×ATR
+  formatAdaptive(adaptive, detailed) {
+    const parts = [];
+    if (adaptive.volumeZScore !== null) {
+      const base = detailed ? ` (≥${adaptive.minVolumeZScore}σ, база $${this.fmt(adaptive.volumeMean)} ± $${this.fmt(adaptive.volumeStd)}, N=${adaptive.samples})` : '';
+      parts.push(`об'єм z=${adaptive.volumeZScore.toFixed(1)}σ${base}`);
+    }
+    if (adaptive.atrMultiple !== null) {
+      const base = detailed ? ` (≥${adaptive.minAtrMultiple}×, ATR ${adaptive.atrPct.toFixed(2)}%)` : '';
+      parts.push(`ціна ${adaptive.atrMultiple.toFixed(1)}×ATR ${adaptive.atrTimeframe}${base}`);
+    }
+    return parts.join(' | ');
+  }
+
+  // "домінація 0.45 | об'єм 0.80 | ціна 0.30 | OI 0.20 | згода 1.00" (фактори без даних пропускаються)
+  formatConfidenceFactors(factors) {
+    const labels = { dominance: 'домінація', volume: "об'єм", price: 'ціна', oi: 'OI', agreement: 'згода' };
+    return Object.entries(factors)
+      .filter(([, factor]) => factor !== null)
+      .map(([name, factor]) => `${labels[name] || name} ${factor.toFixed(2)}`)
+      .join(' | ');
+  }
+
+  // Частка бірж в об'ємі домінуючої сторони: "Binance 62% | Bybit 25% | OKX 13%"
+  // Вікна, що спрацювали: "burst 30с ($1.20M, +0.85%) | grind 15хв ($6.40M, +2.10%)"; одне вікно 'main' не показуємо
+  formatWindows(stats) {
+    const windows = stats.firedWindows;
+    if (!windows || (windows.length === 1 && windows[0].name === CONFIG.DEFAULT_WINDOW_NAME)) return null;
+    
+    return windows
+      .map(w => `${this.escapeHtml(w.name)} ${w.seconds < 120 ? `${w.seconds}с` : `${(w.seconds / 60).toFixed(0)}хв`} ($${this.fmt(w.totalVolume)}, ${this.formatSignedPct(w.priceChange)})`)
+      .join(' | ');
+  }
+
+  formatVenueShare(stats) {
+    if (!stats.venues || Object.keys(stats.venues).length < 2) return null;
+    
+    return Object.entries(stats.venues)
+      .sort((a, b) => b[1].dominantShare - a[1].dominantShare)
+      .map(([venue, venueStats]) => `${VENUE_LABELS[venue] || venue} ${venueStats.dominantShare.toFixed(0)}%`)
+      .join(' | ');
+  }
+
+  // Ліквідований notional за вікно: "Long $1.20M | Short $85K"
+  formatLiquidations(stats) {
+    if (!stats.liquidations || stats.liquidations.count === 0) return null;
+    
+    const { longUSD, shortUSD } = stats.liquidations;
+    return `Long $${this.fmt(longUSD)} | Short $${this.fmt(shortUSD)}`;
+  }
+
+  formatSignedPct(value, digits = 2) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
+  }
+
+  // "+0.0100% (прогноз +0.0125%) | виплата через 2г 15хв"
+  formatFunding(funding) {
+    const parts = [this.formatSignedPct(funding.fundingRatePct, 4)];
+    if (funding.predictedFundingRatePct !== null) {
+      parts[0] += ` (прогноз ${this.formatSignedPct(funding.predictedFundingRatePct, 4)})`;
+    }
+    if (funding.nextFundingTime) {
+      const minutes = Math.max(0, Math.round((funding.nextFundingTime - this.clock.now()) / 60_000));
+      parts.push(`виплата через ${Math.floor(minutes / 60)}г ${minutes % 60}хв`);
+    }
+    return parts.join(' | ');
+  }
+
+  // Imbalance по смугах: "±0.5% +23% | ±1% +12%" (+ перевага bid, - перевага ask)
+  formatDepthImbalance(depth) {
+    return depth.bands
+      .map(({ band, imbalance }) => `±${band}% ${imbalance >= 0 ? '+' : ''}${imbalance.toFixed(0)}%`)
+      .join(' | ');
+  }
+
+  // "Ask wall $1.20M @ 0.5123 (+0.42%)"
+  formatDepthWalls(depth) {
+    return [['Bid', depth.bidWall], ['Ask', depth.askWall]]
+      .filter(([, wall]) => wall)
+      .map(([label, wall]) => `${label} wall $${this.fmt(wall.notionalUSD)} @ ${wall.price} (${wall.distancePct >= 0 ? '+' : ''}${wall.distancePct.toFixed(2)}%)`);
+  }
+
+  // Біржі, з яких зібрано OI: "OKX" або "OKX+Binance+Bybit"
+  formatOISource(oiStats) {
+    const venues = oiStats.venues ? Object.keys(oiStats.venues) : ['okx'];
+    return venues.map(venue => VENUE_LABELS[venue] || venue).join('+');
+  }
+
+  // Фактичний lookback, якщо після розриву в даних він довший за запитаний, і вік даних
+  formatOILookback(oiStats) {
+    const notes = [];
+    if (oiStats.actualLookbackSeconds && oiStats.actualLookbackSeconds > oiStats.lookbackSeconds * 1.1) {
+      notes.push(`фактично ${(oiStats.actualLookbackSeconds / 60).toFixed(1)}хв`);
+    }
+    if (oiStats.staleSeconds >= CONFIG.OI_STALE_SECONDS / 4) {
+      notes.push(`дані ${oiStats.staleSeconds.toFixed(0)}с тому`);
+    }
+    return notes.length > 0 ? ` (${notes.join(', ')})` : '';
+  }
+
+  // Δ OI на OI_LOOKBACKS_SECONDS: "1m +0.20% | 5m +1.10% | 15m N/A"
+  formatOIDeltas(oiStats) {
+    if (!oiStats.deltas) return null;
+    
+    return Object.entries(oiStats.deltas)
+      .map(([label, delta]) => `${label} ${delta ? this.formatSignedPct(delta.oiDeltaPct) : 'N/A'}`)
+      .join(' | ');
+  }
+
+  // Δ OI по біржах: "OKX +1.20% | Binance +0.85% | Bybit N/A"
+  formatOIVenues(oiStats) {
+    if (!oiStats.venues || Object.keys(oiStats.venues).length < 2) return null;
+    
+    return Object.entries(oiStats.venues)
+      .map(([venue, venueStats]) => {
+        const label = VENUE_LABELS[venue] || venue;
+        if (!venueStats.hasWindowData) return `${label} N/A`;
+        return `${label} ${venueStats.oiDeltaPct >= 0 ? '+' : ''}${venueStats.oiDeltaPct.toFixed(2)}%`;
+      })
+      .join(' | ');
+  }
+
+  fmt(num) {
+    if (num >= 1_000_000) return (num / 1_000_000).toFixed(2) + 'M';
+    if (num >= 1_000) return (num / 1_000).toFixed(0) + 'K';
+    return num.toFixed(0);
+  }
+
+  // CVD може бути від'ємним
+  fmtSignedUSD(num) {
+    return `${num < 0 ? '-' : ''}$${this.fmt(Math.abs(num))}`;
+  }
+
+  fmtOI(num) {
+    if (!num) return 'N/A';
+    if (num >= 1_000_000) return (num / 1_000_000).toFixed(2) + 'M';
+    if (num >= 1_000) return (num / 1_000).toFixed(1) + 'K';
+    return num.toFixed(0);
+  }
+
+  getCount() {
+    return this.alertCount;
+  }
+
+  getPendingCount() {
+    return this.pendingAlerts.size;
+  }
+
+  exportState() {
+    return Array.from(this.pendingAlerts.values());
+  }
+
+  // Алерт відправляється на початку наступної хвилини - якщо ця межа вже минула, він застарів
+  restoreState(alerts) {
+    const currentMinute = Math.floor(this.clock.now() / 60_000);
+    let restored = 0;
+    
+    for (const alertData of alerts || []) {
+      if (Math.floor(alertData.timestamp / 60_000) !== currentMinute) continue;
+      
+      const key = `${alertData.symbol}_${alertData.stats.dominantSide}`;
+      if (this.pendingAlerts.has(key)) continue;
+      
+      this.pendingAlerts.set(key, alertData);
+      this.scheduleFinalOICheck(key, alertData);
+      restored++;
+    }
+    
+    return restored;
+  }
+
+  stop() {
+    if (this.minuteCheckInterval) {
+      this.clock.clearInterval(this.minuteCheckInterval);
+    }
+    
+    // Очистити всі таймери фінальної перевірки
+    for (const timer of this.finalCheckTimers.values()) {
+      this.clock.clearTimeout(timer);
+    }
+    this.finalCheckTimers.clear();
+    
+    if (this.lifecycle) this.lifecycle.stop();
+  }
+}
+
+// ============================================================================
+// BINANCE STREAM SHARD (одне combined-stream з'єднання на групу символів)
+// ============================================================================
+
+// Експоненційна затримка з jitter: половина фіксована, половина випадкова
+function backoffDelay(attempt, baseMs = CONFIG.RECONNECT_BASE_DELAY_MS, maxMs = CONFIG.RECONNECT_MAX_DELAY_MS) {
+  const exponential = Math.min(maxMs, baseMs * Math.pow(2, attempt));
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+class BinanceStreamShard {
+  constructor(id, onMessage) {
+    this.id = id;
+    this.onMessage = onMessage;
+    this.symbols = new Set();
+    this.ws = null;
+    this.isRunning = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.controlQueue = [];
+    this.controlTimer = null;
+    this.requestId = 0;
+  }
+
+  // aggTrade + forceOrder (ліквідації), diff-depth і markPrice (funding), якщо увімкнено
+  static streamNames(symbol) {
+    const streams = [`${symbol.toLowerCase()}@aggTrade`];
+    if (CONFIG.LIQUIDATIONS_ENABLED && CONFIG.LIQUIDATION_VENUES.includes(PRIMARY_VENUE)) {
+      streams.push(`${symbol.toLowerCase()}@forceOrder`);
+    }
+    if (CONFIG.DEPTH_ENABLED) {
+      streams.push(`${symbol.toLowerCase()}@depth@500ms`);
+    }
+    if (CONFIG.FUNDING_ENABLED && CONFIG.FUNDING_VENUES.includes(PRIMARY_VENUE)) {
+      streams.push(`${symbol.toLowerCase()}@markPrice@1s`);
+    }
+    return streams;
+  }
+
+  getStreamCount() {
+    let count = 0;
+    for (const symbol of this.symbols) {
+      count += BinanceStreamShard.streamNames(symbol).length;
+    }
+    return count;
+  }
+
+  isConnected() {
+    return Boolean(this.ws && this.ws.readyState === WebSocket.OPEN);
+  }
+
+  start() {
+    this.isRunning = true;
+    if (this.symbols.size > 0) {
+      this.connect();
+    }
+  }
+
+  connect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    // Поточний набір символів йде в URL, тож після reconnect підписки відновлюються
+    const urlSymbols = new Set(this.symbols);
+    const streams = Array.from(urlSymbols).flatMap(BinanceStreamShard.streamNames).join('/');
+    const ws = new WebSocket(`${CONFIG.BINANCE_WS_COMBINED}?streams=${streams}`);
+    this.ws = ws;
+    this.controlQueue = [];
+
+    ws.on('open', () => {
+      console.log(`[WS] Shard #${this.id} підключено (${this.symbols.size} символів)`);
+      this.reconnectAttempts = 0;
+
+      // Зміни, що відбулись під час підключення
+      const added = Array.from(this.symbols).filter(s => !urlSymbols.has(s));
+      const removed = Array.from(urlSymbols).filter(s => !this.symbols.has(s));
+      if (added.length > 0) this.sendControl('SUBSCRIBE', added);
+      if (removed.length > 0) this.sendControl('UNSUBSCRIBE', removed);
+    });
+
+    ws.on('message', (data) => {
+      this.onMessage(data);
+    });
+
+    ws.on('error', (error) => {
+      console.error(`[WS] Shard #${this.id} помилка:`, error.message);
+    });
+
+    ws.on('close', () => {
+      console.log(`[WS] Shard #${this.id} закрито`);
+
+      // З'єднання замінено або shard зупинено - не переподключаємось
+      if (this.ws !== ws) return;
+      this.ws = null;
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (!this.isRunning || this.symbols.size === 0 || this.reconnectTimer) return;
+
+    const delay = backoffDelay(this.reconnectAttempts);
+    this.reconnectAttempts++;
+
+    console.log(`[WS] Shard #${this.id} переподключення через ${(delay / 1000).toFixed(1)}s (спроба ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  // SUBSCRIBE/UNSUBSCRIBE з обмеженням частоти керуючих повідомлень
+  sendControl(method, symbols) {
+    this.controlQueue.push({
+      method,
+      params: symbols.flatMap(BinanceStreamShard.streamNames),
+      id: ++this.requestId
+    });
+    this.drainControlQueue();
+  }
+
+  drainControlQueue() {
+    if (this.controlTimer || this.controlQueue.length === 0) return;
+    if (!this.isConnected()) return; // Стан і так відновиться з URL при підключенні
+
+    this.ws.send(JSON.stringify(this.controlQueue.shift()));
+
+    this.controlTimer = setTimeout(() => {
+      this.controlTimer = null;
+      this.drainControlQueue();
+    }, CONFIG.BINANCE_CONTROL_INTERVAL_MS);
+  }
+
+  addSymbol(symbol) {
+    if (this.symbols.has(symbol)) return;
+    this.symbols.add(symbol);
+
+    if (!this.isRunning) return;
+
+    if (this.isConnected()) {
+      this.sendControl('SUBSCRIBE', [symbol]);
+    } else if (!this.ws && !this.reconnectTimer) {
+      this.connect();
+    }
+  }
+
+  removeSymbol(symbol) {
+    if (!this.symbols.delete(symbol)) return;
+
+    if (this.symbols.size === 0) {
+      this.close();
+      return;
+    }
+
+    if (this.isConnected()) {
+      this.sendControl('UNSUBSCRIBE', [symbol]);
+    }
+  }
+
+  close() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.controlTimer) {
+      clearTimeout(this.controlTimer);
+      this.controlTimer = null;
+    }
+
+    const ws = this.ws;
+    this.ws = null;
+    if (ws) ws.close();
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.close();
+  }
+}
+
+// ============================================================================
+// TRADE SOURCES (taker-трейди OKX / Bybit поряд з Binance aggTrade)
+// ============================================================================
+
+// Нормалізований трейд: { timestamp, price, quantity (монети), isBuyerMaker (true = taker продає) }
+// Підклас задає buildRequest(op, symbols), parseTrades(message) та pingMessage()
+class VenueTradeSource {
+  constructor(venue, url, symbols, onTrade) {
+    this.venue = venue;
+    this.url = url;
+    this.symbols = new Set(symbols);
+    this.onTrade = onTrade; // (symbol, venue, trade) => void
+    this.logPrefix = `[${venue.toUpperCase()}-TRADES]`;
+    this.maxArgsPerRequest = 50;
+    this.ws = null;
+    this.isRunning = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatInterval = null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.connect();
+  }
+
+  connect() {
+    this.ws = new WebSocket(this.url);
+
+    this.ws.on('open', () => {
+      console.log(`${this.logPrefix} Підключено (${this.symbols.size} символів)`);
+      this.reconnectAttempts = 0;
+      this.send('subscribe', Array.from(this.symbols));
+      this.heartbeatInterval = setInterval(() => {
+        if (this.isConnected()) this.ws.send(this.pingMessage());
+      }, 20000);
+    });
+
+    this.ws.on('message', (data) => this.handleMessage(data.toString()));
+
+    this.ws.on('error', (error) => {
+      console.error(`${this.logPrefix} Помилка:`, error.message);
+    });
+
+    this.ws.on('close', () => {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (!this.isRunning) return;
+
+    const delay = backoffDelay(this.reconnectAttempts++);
+    console.log(`${this.logPrefix} Переподключення через ${(delay / 1000).toFixed(1)}s (спроба ${this.reconnectAttempts})`);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  handleMessage(raw) {
+    if (raw === 'pong') return;
+
+    try {
+      for (const { symbol, trade } of this.parseTrades(JSON.parse(raw))) {
+        if (this.symbols.has(symbol) && trade.quantity > 0 && !isNaN(trade.price)) {
+          this.onTrade(symbol, this.venue, trade);
+        }
+      }
+    } catch (error) {
+      console.error(`${this.logPrefix} Помилка парсингу:`, error.message);
+    }
+  }
+
+  send(op, symbols) {
+    if (!this.isConnected() || symbols.length === 0) return;
+
+    for (let i = 0; i < symbols.length; i += this.maxArgsPerRequest) {
+      this.ws.send(JSON.stringify(this.buildRequest(op, symbols.slice(i, i + this.maxArgsPerRequest))));
+    }
+  }
+
+  addSymbol(symbol) {
+    if (this.symbols.has(symbol)) return;
+    this.symbols.add(symbol);
+    this.send('subscribe', [symbol]);
+  }
+
+  removeSymbol(symbol) {
+    if (!this.symbols.delete(symbol)) return;
+    this.send('unsubscribe', [symbol]);
+  }
+
+  isConnected() {
+    return Boolean(this.ws && this.ws.readyState === WebSocket.OPEN);
+  }
+
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.heartbeatInterval);
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+  }
+}
+
+class OKXTradeSource extends VenueTradeSource {
+  constructor(symbols, onTrade) {
+    super('okx', CONFIG.OKX_WS_PUBLIC, symbols, onTrade);
+  }
+
+  buildRequest(op, symbols) {
+    return { op, args: symbols.map(symbol => ({ channel: 'trades', instId: CONFIG.binanceToOKX(symbol) })) };
+  }
+
+  // side - сторона taker; sz у контрактах
+  parseTrades(message) {
+    if (!message.arg || message.arg.channel !== 'trades' || !Array.isArray(message.data)) return [];
+
+    return message.data
+      .filter(t => instrumentRegistry.getInstrument(CONFIG.okxToBinance(t.instId))) // без ctVal об'єм невідомий
+      .map(t => ({
+        symbol: CONFIG.okxToBinance(t.instId),
+        trade: {
+          timestamp: parseInt(t.ts),
+          price: parseFloat(t.px),
+          quantity: instrumentRegistry.contractsToCoins(t.instId, parseFloat(t.sz)),
+          isBuyerMaker: t.side === 'sell'
+        }
+      }));
+  }
+
+  pingMessage() {
+    return 'ping';
+  }
+}
+
+class BybitTradeSource extends VenueTradeSource {
+  constructor(symbols, onTrade) {
+    super('bybit', CONFIG.BYBIT_WS_LINEAR, symbols, onTrade);
+    this.maxArgsPerRequest = 10;
+  }
+
+  buildRequest(op, symbols) {
+    return { op, args: symbols.map(symbol => `publicTrade.${CONFIG.binanceToBybit(symbol)}`) };
+  }
+
+  // S - сторона taker ('Buy'/'Sell'); v у монетах для linear
+  parseTrades(message) {
+    if (!message.topic || !message.topic.startsWith('publicTrade.') || !Array.isArray(message.data)) return [];
+
+    return message.data.map(t => ({
+      symbol: CONFIG.bybitToBinance(t.s),
+      trade: {
+        timestamp: t.T,
+        price: parseFloat(t.p),
+        quantity: parseFloat(t.v),
+        isBuyerMaker: t.S === 'Sell'
+      }
+    }));
+  }
+
+  pingMessage() {
+    return JSON.stringify({ op: 'ping' });
+  }
+}
+
+const TRADE_SOURCE_TYPES = {
+  okx: OKXTradeSource,
+  bybit: BybitTradeSource
+};
+
+// Ліквідації OKX: один канал на всі SWAP, символи фільтруються локально
+// Нормалізована ліквідація: { timestamp, price, quantity (монети), side ('long' | 'short' - ліквідована позиція) }
+class OKXLiquidationSource extends VenueTradeSource {
+  constructor(symbols, onLiquidation) {
+    super('okx', CONFIG.OKX_WS_PUBLIC, symbols, onLiquidation);
+    this.logPrefix = '[OKX-LIQ]';
+  }
+
+  send(op) {
+    if (!this.isConnected()) return;
+    this.ws.send(JSON.stringify({ op, args: [{ channel: 'liquidation-orders', instType: 'SWAP' }] }));
+  }
+
+  addSymbol(symbol) {
+    this.symbols.add(symbol);
+  }
+
+  removeSymbol(symbol) {
+    this.symbols.delete(symbol);
+  }
+
+  // side - сторона примусової угоди (sell закриває лонг); sz у контрактах
+  parseTrades(message) {
+    if (!message.arg || message.arg.channel !== 'liquidation-orders' || !Array.isArray(message.data)) return [];
+
+    return message.data
+      .filter(item => instrumentRegistry.getInstrument(CONFIG.okxToBinance(item.instId)))
+      .flatMap(item => (item.details || []).map(detail => ({
+        symbol: CONFIG.okxToBinance(item.instId),
+        trade: {
+          timestamp: parseInt(detail.ts),
+          price: parseFloat(detail.bkPx),
+          quantity: instrumentRegistry.contractsToCoins(item.instId, parseFloat(detail.sz)),
+          side: detail.side === 'sell' ? 'long' : 'short'
+        }
+      })));
+  }
+
+  pingMessage() {
+    return 'ping';
+  }
+}
+
+// Binance forceOrder йде через BinanceStreamShard
+const LIQUIDATION_SOURCE_TYPES = {
+  okx: OKXLiquidationSource
+};
+
+// OKX funding-rate: fundingRate - ставка поточного періоду (виплата у fundingTime), nextFundingRate - прогноз
+class OKXFundingSource extends VenueTradeSource {
+  constructor(symbols, onFunding) {
+    super('okx', CONFIG.OKX_WS_PUBLIC, symbols, onFunding);
+    this.logPrefix = '[OKX-FUNDING]';
+  }
+
+  buildRequest(op, symbols) {
+    return { op, args: symbols.map(symbol => ({ channel: 'funding-rate', instId: CONFIG.binanceToOKX(symbol) })) };
+  }
+
+  handleMessage(raw) {
+    if (raw === 'pong') return;
+
+    try {
+      const message = JSON.parse(raw);
+      if (!message.arg || message.arg.channel !== 'funding-rate' || !Array.isArray(message.data)) return;
+
+      for (const item of message.data) {
+        const symbol = CONFIG.okxToBinance(item.instId);
+        if (!this.symbols.has(symbol)) continue;
+
+        this.onTrade(symbol, this.venue, {
+          timestamp: parseInt(item.ts),
+          fundingRate: parseFloat(item.fundingRate),
+          predictedFundingRate: item.nextFundingRate ? parseFloat(item.nextFundingRate) : null,
+          nextFundingTime: parseInt(item.fundingTime)
+        });
+      }
+    } catch (error) {
+      console.error(`${this.logPrefix} Помилка парсингу:`, error.message);
+    }
+  }
+
+  pingMessage() {
+    return 'ping';
+  }
+}
+
+// Binance markPrice@1s йде через BinanceStreamShard
+const FUNDING_SOURCE_TYPES = {
+  okx: OKXFundingSource
+};
+
+// ============================================================================
+// MULTI-WEBSOCKET MANAGER (Binance aggTrade, combined streams)
+// ============================================================================
+
+class MultiWebSocketManager extends EventEmitter {
+  constructor(symbols, tradeAggregator, signalEngine, cooldownManager, alertManager, oiTracker = null, clock = systemClock, recorder = null, orderBooks = null, fundingTracker = null) {
+    super();
+    this.symbols = [...symbols];
+    this.tradeAggregator = tradeAggregator;
+    this.signalEngine = signalEngine;
+    this.cooldownManager = cooldownManager;
+    this.alertManager = alertManager;
+    this.oiTracker = oiTracker;
+    this.clock = clock;
+    this.recorder = recorder;
+    this.orderBooks = orderBooks; // diff-depth не записується - replay без стакану
+    this.fundingTracker = fundingTracker;
+    
+    this.shards = [];
+    this.symbolShards = new Map(); // Map<symbol, shard>
+    this.nextShardId = 1;
+    this.tradeSources = []; // OKX/Bybit трейди (VenueTradeSource)
+    this.liquidationSources = []; // OKX ліквідації (Binance forceOrder - у shard)
+    this.fundingSources = []; // OKX funding-rate (Binance markPrice - у shard)
+    this.fundingRecorded = new Map(); // Map<symbol:venue, update> - останнє записане оновлення
+    this.tradeCount = 0;
+    this.lastStatsLog = clock.now();
+  }
+
+  // venue: 'okx' | 'bybit' (TRADE_SOURCE_TYPES)
+  addTradeSource(venue) {
+    const SourceType = TRADE_SOURCE_TYPES[venue];
+    if (!SourceType) {
+      throw new Error(`Невідома біржа трейдів "${venue}" (${Object.keys(TRADE_SOURCE_TYPES).join(', ')})`);
+    }
+    
+    const source = new SourceType(this.symbols, (symbol, v, trade) => this.handleVenueTrade(symbol, v, trade));
+    this.tradeSources.push(source);
+    return source;
+  }
+
+  // venue: 'okx' (LIQUIDATION_SOURCE_TYPES)
+  addLiquidationSource(venue) {
+    const SourceType = LIQUIDATION_SOURCE_TYPES[venue];
+    if (!SourceType) {
+      throw new Error(`Невідоме джерело ліквідацій "${venue}" (${Object.keys(LIQUIDATION_SOURCE_TYPES).join(', ')})`);
+    }
+    
+    const source = new SourceType(this.symbols, (symbol, v, liquidation) => this.handleVenueLiquidation(symbol, v, liquidation));
+    this.liquidationSources.push(source);
+    return source;
+  }
+
+  // venue: 'okx' (FUNDING_SOURCE_TYPES)
+  addFundingSource(venue) {
+    const SourceType = FUNDING_SOURCE_TYPES[venue];
+    if (!SourceType) {
+      throw new Error(`Невідоме джерело funding "${venue}" (${Object.keys(FUNDING_SOURCE_TYPES).join(', ')})`);
+    }
+    
+    const source = new SourceType(this.symbols, (symbol, v, update) => this.handleVenueFunding(symbol, v, update));
+    this.fundingSources.push(source);
+    return source;
+  }
+
+  // Усі з'єднання з іншими біржами (трейди, ліквідації, funding)
+  getVenueSources() {
+    return [...this.tradeSources, ...this.liquidationSources, ...this.fundingSources];
+  }
+
+  connectAll() {
+    const refused = this.symbols.filter(symbol => !this.assignShard(symbol));
+    refused.forEach(symbol => this.removeSymbol(symbol));
+    
+    console.log(`[WS] Підключення до ${this.symbols.length} символів (Binance, ${this.shards.length} з'єднань)...`);
+    
+    // Невелика затримка між з'єднаннями
+    this.shards.forEach((shard, i) => {
+      setTimeout(() => shard.start(), i * 500);
+    });
+    
+    this.getVenueSources().forEach(source => source.start());
+  }
+
+  // Найменш завантажений shard; новий - лише якщо всі заповнені і ліміт з'єднань не вичерпано.
+  // Коли з'єднання вичерпано, shard може перевищити BINANCE_STREAMS_PER_CONNECTION (попередження),
+  // але не BINANCE_STREAM_LIMIT - тоді символ не додається і повертається null
+  assignShard(symbol) {
+    let target = null;
+    for (const shard of this.shards) {
+      if (!target || shard.symbols.size < target.symbols.size) {
+        target = shard;
+      }
+    }
+    
+    const streamsPerSymbol = BinanceStreamShard.streamNames(symbol).length;
+    const isFull = !target || target.getStreamCount() + streamsPerSymbol > CONFIG.BINANCE_STREAMS_PER_CONNECTION;
+    if (isFull && this.shards.length < CONFIG.BINANCE_MAX_CONNECTIONS) {
+      target = new BinanceStreamShard(this.nextShardId++, (data) => this.handleStreamMessage(data));
+      this.shards.push(target);
+    }
+    
+    const streamsBefore = target.getStreamCount();
+    const streamsAfter = streamsBefore + streamsPerSymbol;
+    if (streamsAfter > CONFIG.BINANCE_STREAM_LIMIT) {
+      console.warn(`[WS] ${symbol} не додано: shard #${target.id} перевищив би ліміт Binance ${CONFIG.BINANCE_STREAM_LIMIT} стрімів (${this.shards.length}/${CONFIG.BINANCE_MAX_CONNECTIONS} з'єднань) - збільште BINANCE_MAX_CONNECTIONS`);
+      return null;
+    }
+    if (streamsBefore <= CONFIG.BINANCE_STREAMS_PER_CONNECTION && streamsAfter > CONFIG.BINANCE_STREAMS_PER_CONNECTION) {
+      console.warn(`[WS] Shard #${target.id}: ${streamsAfter} стрімів > BINANCE_STREAMS_PER_CONNECTION=${CONFIG.BINANCE_STREAMS_PER_CONNECTION} - усі ${CONFIG.BINANCE_MAX_CONNECTIONS} з'єднань заповнені`);
+    }
+    
+    target.addSymbol(symbol);
+    this.symbolShards.set(symbol, target);
+    return target;
+  }
+
+  // Combined stream: {"stream":"adausdt@aggTrade","data":{...}}
+  handleStreamMessage(data) {
+    try {
+      const message = JSON.parse(data);
+      
+      // Відповіді на SUBSCRIBE/UNSUBSCRIBE
+      if (message.id !== undefined && message.result !== undefined) {
+        return;
+      }
+      
+      if (message.data && message.data.e === 'forceOrder') {
+        this.processLiquidation(message.data.o);
+        return;
+      }
+      
+      if (message.data && message.data.e === 'depthUpdate') {
+        if (this.orderBooks) this.orderBooks.handleDepthUpdate(message.data);
+        return;
+      }
+      
+      if (message.data && message.data.e === 'markPriceUpdate') {
+        this.processMarkPrice(message.data);
+        return;
+      }
+      
+      if (!message.data || !message.data.s) return;
+      this.processTrade(message.data.s, message.data);
+    } catch (error) {
+      console.error('[WS] Помилка парсингу combined stream:', error.message);
+    }
+  }
+
+  // Окреме aggTrade повідомлення (використовується також replay)
+  handleMessage(symbol, data) {
+    try {
+      this.processTrade(symbol, JSON.parse(data));
+    } catch (error) {
+      console.error(`[WS] ${symbol} помилка парсингу:`, error.message);
+    }
+  }
+
+  // Binance aggTrade -> нормалізований трейд
+  processTrade(symbol, trade) {
+    // Символ міг бути видалений, поки повідомлення було в дорозі
+    if (!this.symbols.includes(symbol)) return;
+    
+    if (this.recorder) {
+      this.recorder.record('binance', symbol, trade);
+    }
+    
+    this.ingestTrade(symbol, PRIMARY_VENUE, {
+      timestamp: trade.T,
+      price: parseFloat(trade.p),
+      quantity: parseFloat(trade.q),
+      isBuyerMaker: trade.m
+    });
+  }
+
+  // Трейд з додаткової біржі (TRADE SOURCES); записується вже нормалізованим
+  handleVenueTrade(symbol, venue, trade) {
+    if (!this.symbols.includes(symbol)) return;
+    
+    if (this.recorder) {
+      this.recorder.record('trade', symbol, { venue, ...trade });
+    }
+    
+    this.ingestTrade(symbol, venue, trade);
+  }
+
+  // Binance forceOrder (не більше одного ордера на символ за секунду - об'єм занижений)
+  // S - сторона примусової угоди: SELL закриває лонг
+  processLiquidation(order) {
+    this.handleVenueLiquidation(order.s, PRIMARY_VENUE, {
+      timestamp: order.T,
+      price: parseFloat(order.ap) || parseFloat(order.p),
+      quantity: parseFloat(order.z) || parseFloat(order.q),
+      side: order.S === 'SELL' ? 'long' : 'short'
+    });
+  }
+
+  // Binance markPrice@1s: r - поточна (очікувана) ставка, T - час наступної виплати
+  processMarkPrice(update) {
+    this.handleVenueFunding(update.s, PRIMARY_VENUE, {
+      timestamp: update.E,
+      fundingRate: parseFloat(update.r),
+      nextFundingTime: update.T,
+      markPrice: parseFloat(update.p),
+      indexPrice: parseFloat(update.i)
+    });
+  }
+
+  handleVenueFunding(symbol, venue, update) {
+    if (!this.symbols.includes(symbol) || !this.fundingTracker) return;
+    
+    if (this.recorder && this.shouldRecordFunding(symbol, venue, update)) {
+      this.recorder.record('funding', symbol, { venue, ...update });
+    }
+    
+    this.ingestFunding(symbol, venue, update);
+  }
+
+  // markPrice@1s приходить щосекунди - у запис лише зміна ставки/часу виплати або раз на FUNDING_RECORD_INTERVAL_SECONDS
+  shouldRecordFunding(symbol, venue, update) {
+    const key = `${symbol}:${venue}`;
+    const last = this.fundingRecorded.get(key);
+    const changed = !last ||
+      last.fundingRate !== update.fundingRate ||
+      last.predictedFundingRate !== update.predictedFundingRate ||
+      last.nextFundingTime !== update.nextFundingTime ||
+      update.timestamp - last.timestamp >= CONFIG.FUNDING_RECORD_INTERVAL_SECONDS * 1000;
+    
+    if (changed) {
+      this.fundingRecorded.set(key, update);
+    }
+    return changed;
+  }
+
+  ingestFunding(symbol, venue, update) {
+    if (!this.symbols.includes(symbol) || !this.fundingTracker) return;
+    
+    this.fundingTracker.update(symbol, venue, update);
+  }
+
+  // Ліквідація записується нормалізованою (як трейди додаткових бірж)
+  handleVenueLiquidation(symbol, venue, liquidation) {
+    if (!this.symbols.includes(symbol)) return;
+    
+    if (this.recorder) {
+      this.recorder.record('liquidation', symbol, { venue, ...liquidation });
+    }
+    
+    this.ingestLiquidation(symbol, venue, liquidation);
+  }
+
+  ingestLiquidation(symbol, venue, liquidation) {
+    if (!this.symbols.includes(symbol)) return;
+    
+    const { timestamp, side, price, quantity } = liquidation;
+    if (isNaN(price) || isNaN(quantity)) return;
+    
+    this.tradeAggregator.addLiquidation(symbol, timestamp, side, price, quantity, venue);
+  }
+
+  ingestTrade(symbol, venue, trade) {
+    if (!this.symbols.includes(symbol)) return;
+    
+    try {
+      const { timestamp, price, quantity, isBuyerMaker } = trade;
+      
+      const closedBars = this.tradeAggregator.addTrade(symbol, timestamp, price, quantity, isBuyerMaker, venue);
+      this.alertManager.onTrade(symbol, price, quantity, isBuyerMaker, venue);
+      this.tradeCount++;
+      this.emit('trade', symbol, timestamp, price, venue);
+      
+      // Перевірка Trading Hours
+      if (!CONFIG.isWithinTradingHours(this.clock.now())) {
+        return; // Не обробляємо алерти поза робочими годинами
+      }
+      
+      if (closedBars.includes(CONFIG.DIVERGENCE_TIMEFRAME)) {
+        this.checkDivergence(symbol);
+      }
+      
+      // Check for signal (кожне вікно окремо)
+      const fired = this.getFiredWindows(symbol);
+      const stats = fired[0];
+      
+      if (stats && this.cooldownManager.canAlert(symbol, stats)) {
+        // Алерт - по першому вікну, що спрацювало; решта вікон того ж напрямку - в алерті
+        stats.firedWindows = fired
+          .filter(s => s.dominantSide === stats.dominantSide)
+          .map(s => ({ name: s.window, seconds: s.windowSeconds, totalVolume: s.totalVolume, dominance: s.dominance, priceChange: s.priceChange }));
+        
+        // Отримуємо OI статистику
+        const oiStats = this.oiTracker ? this.oiTracker.getOIStats(symbol) : null;
+        
+        const interpretation = this.signalEngine.interpretSignal(stats, oiStats, symbol);
+        
+        // Слабкий сигнал відкидаємо без cooldown; вікна скидаються, щоб не переоцінювати той самий потік на кожному трейді
+        if (!this.signalEngine.passesConfidenceFilter(symbol, interpretation)) {
+          console.log(`[CONFIDENCE] ${symbol} ${interpretation.finalDirection} відкинуто: ${interpretation.confidence.score} < ${this.signalEngine.getMinConfidence(symbol)}`);
+          this.tradeAggregator.resetSymbol(symbol, stats.firedWindows.map(w => w.name));
+          return;
+        }
+        
+        // Логування метрик
+        this.logAlertMetrics(symbol, stats, interpretation, oiStats);
+        
+        this.alertManager.sendAlert(symbol, stats, interpretation, oiStats);
+        this.cooldownManager.recordAlert(symbol, stats);
+        this.tradeAggregator.resetSymbol(symbol, stats.firedWindows.map(w => w.name));
+      }
+      
+      this.logStats();
+      
+    } catch (error) {
+      console.error(`[WS] ${symbol} помилка обробки:`, error.message);
+    }
+  }
+
+  // Stats вікон, що пройшли фільтри, у порядку конфігу
+  getFiredWindows(symbol) {
+    const fired = [];
+    
+    for (const window of this.tradeAggregator.getWindows(symbol)) {
+      const stats = this.tradeAggregator.getStats(symbol, null, window.name);
+      if (!stats || stats.totalVolume < this.signalEngine.getThresholds(symbol, stats, window).minVolumeUSD * 0.5) continue;
+      
+      if (this.signalEngine.shouldAlert(symbol, stats, window)) {
+        fired.push(stats);
+      }
+    }
+    
+    return fired;
+  }
+
+  // Дивергенція ціна/CVD на закритті бару DIVERGENCE_TIMEFRAME
+  checkDivergence(symbol) {
+    const divergence = this.signalEngine.detectDivergence(symbol, this.tradeAggregator.getCvdSeries(symbol));
+    if (!divergence || !this.cooldownManager.canAlertDivergence(symbol, divergence.type)) return;
+    
+    console.log(`[DIVERGENCE] ${symbol} ${divergence.type} (${divergence.timeframe}): ціна ${divergence.priceExtensionPct.toFixed(2)}%, CVD gap $${divergence.cvdGapUSD.toFixed(0)}`);
+    
+    this.alertManager.sendDivergenceAlert(symbol, divergence);
+    this.cooldownManager.recordDivergence(symbol, divergence.type);
+  }
+
+  logAlertMetrics(symbol, stats, interpretation, oiStats) {
+    console.log(`[ALERT-METRICS] ${symbol}:`, {
+      oiNow: oiStats?.oiNow?.toFixed(0) || 'N/A',
+      oi5mAgo: oiStats?.oi5mAgo?.toFixed(0) || 'N/A',
+      oiDeltaPct: oiStats?.oiDeltaPct?.toFixed(2) || 'N/A',
+      priceDeltaPct: oiStats?.priceDeltaPct?.toFixed(2) || 'N/A',
+      oiUsed: interpretation.oiUsed,
+      oiDeltaPassed: interpretation.oiDeltaPassed,
+      oiPricePassed: interpretation.oiPricePassed,
+      decision: interpretation.decision,
+      finalDirection: interpretation.finalDirection
+    });
+  }
+
+  logStats() {
+    const now = this.clock.now();
+    if (now - this.lastStatsLog < CONFIG.STATS_LOG_INTERVAL * 1000) {
+      return;
+    }
+
+    const activeSymbols = this.tradeAggregator.getActiveCount();
+    const totalTrades = this.tradeAggregator.getTotalTrades();
+    const alerts = this.alertManager.getCount();
+    const pendingAlerts = this.alertManager.getPendingCount();
+    const connected = this.getConnectedCount();
+    
+    let oiInfo = '';
+    if (this.oiTracker && CONFIG.OI_ENABLED) {
+      const sampleSymbol = this.symbols[0];
+      const oiCount = this.oiTracker.getHistoryCount(sampleSymbol);
+      oiInfo = ` | OI: ${oiCount} записів`;
+    }
+    
+    const tradingStatus = CONFIG.TRADING_HOURS_ENABLED 
+      ? (CONFIG.isWithinTradingHours(now) ? '✅ TRADING' : '⏸️ PAUSED')
+      : '24/7';
+    
+    console.log(`[STATS] ${tradingStatus} | Підключено: ${connected}/${this.symbols.length} | Активних: ${activeSymbols} | Трейдів: ${totalTrades} | Алертів: ${alerts} | Очікує: ${pendingAlerts} | Rate: ${(this.tradeCount / CONFIG.STATS_LOG_INTERVAL).toFixed(0)}/s${oiInfo}`);
+    
+    this.tradeCount = 0;
+    this.lastStatsLog = now;
+  }
+
+  // Кількість символів на підключених з'єднаннях
+  getConnectedCount() {
+    return this.symbols.filter(symbol => {
+      const shard = this.symbolShards.get(symbol);
+      return shard && shard.isConnected();
+    }).length;
+  }
+
+  getShardCount() {
+    return this.shards.length;
+  }
+
+  // { okx: true, bybit: false } - стан додаткових бірж
+  getVenueStatus() {
+    return Object.fromEntries(this.tradeSources.map(source => [source.venue, source.isConnected()]));
+  }
+
+  addSymbol(symbol) {
+    if (this.symbols.includes(symbol)) return;
+    
+    const shard = this.assignShard(symbol);
+    if (!shard) return;
+    
+    this.symbols.push(symbol);
+    if (!shard.isRunning) shard.start();
+    this.getVenueSources().forEach(source => source.addSymbol(symbol));
+  }
+
+  removeSymbol(symbol) {
+    this.symbols = this.symbols.filter(s => s !== symbol);
+    
+    const shard = this.symbolShards.get(symbol);
+    this.symbolShards.delete(symbol);
+    if (shard) shard.removeSymbol(symbol);
+    this.getVenueSources().forEach(source => source.removeSymbol(symbol));
+    CONFIG.FUNDING_VENUES.forEach(venue => this.fundingRecorded.delete(`${symbol}:${venue}`));
+  }
+
+  closeAll() {
+    for (const shard of this.shards) {
+      shard.stop();
+    }
+    this.shards = [];
+    this.symbolShards.clear();
+    
+    this.getVenueSources().forEach(source => source.stop());
+    this.tradeSources = [];
+    this.liquidationSources = [];
+    this.fundingSources = [];
+  }
+
+}
+
+// ============================================================================
+// TELEGRAM COMMANDS (керування ботом з чату)
+// ============================================================================
+
+class TelegramCommandHandler {
+  constructor(telegram, bot) {
+    this.telegram = telegram;
+    this.bot = bot;
+
+    this.commands = {
+      help: { usage: '/help', handler: () => this.cmdHelp() },
+      status: { usage: '/status', handler: () => this.cmdStatus() },
+      symbols: { usage: '/symbols', handler: () => this.cmdSymbols() },
+      add: { usage: '/add SYMBOL', handler: (args) => this.cmdAdd(args) },
+      remove: { usage: '/remove SYMBOL', handler: (args) => this.cmdRemove(args) },
+      set: { usage: '/set SYMBOL field value', handler: (args) => this.cmdSet(args) },
+      pause: { usage: '/pause', handler: () => this.cmdPause() },
+      resume: { usage: '/resume', handler: () => this.cmdResume() },
+      cooldowns: { usage: '/cooldowns', handler: () => this.cmdCooldowns() },
+      oi: { usage: '/oi SYMBOL', handler: (args) => this.cmdOI(args) },
+      outcomes: { usage: '/outcomes', handler: () => this.cmdOutcomes() }
+    };
+  }
+
+  start() {
+    if (CONFIG.TELEGRAM_ADMIN_IDS.length === 0) {
+      console.warn('[TG-CMD] TELEGRAM_ADMIN_IDS порожній - команди вимкнено');
+      return false;
+    }
+
+    this.telegram.on('message', (msg) => this.handleMessage(msg));
+    this.telegram.on('polling_error', (error) => {
+      console.error('[TG-CMD] Помилка polling:', error.message);
+    });
+    this.telegram.startPolling();
+
+    console.log(`[TG-CMD] Команди увімкнено (${CONFIG.TELEGRAM_ADMIN_IDS.length} адмінів)`);
+    return true;
+  }
+
+  stop() {
+    return this.telegram.isPolling() ? this.telegram.stopPolling() : Promise.resolve();
+  }
+
+  isAuthorized(msg) {
+    return Boolean(msg.from) && CONFIG.TELEGRAM_ADMIN_IDS.includes(String(msg.from.id));
+  }
+
+  async handleMessage(msg) {
+    const match = /^\/(\w+)(?:@\w+)?(?:\s+(.*))?$/.exec((msg.text || '').trim());
+    if (!match) return;
+
+    const name = match[1].toLowerCase();
+    const args = (match[2] || '').split(/\s+/).filter(Boolean);
+
+    if (!this.isAuthorized(msg)) {
+      console.warn(`[TG-CMD] Відхилено /${name} від ${msg.from ? msg.from.id : 'unknown'}`);
+      return;
+    }
+
+    const command = this.commands[name];
+    let reply;
+
+    try {
+      reply = command ? await command.handler(args) : `❓ Невідома команда /${this.escape(name)}\n\n${this.cmdHelp()}`;
+      console.log(`[TG-CMD] /${name} ${args.join(' ')} від ${msg.from.id}`);
+    } catch (error) {
+      reply = `❌ ${this.escape(error.message)}`;
+    }
+
+    try {
+      await this.telegram.sendMessage(msg.chat.id, reply, {
+        parse_mode: 'HTML',
+        reply_to_message_id: msg.message_id
+      });
+    } catch (error) {
+      console.error('[TG-CMD] Помилка відповіді:', error.message);
+    }
+  }
+
+  escape(text) {
+    return this.bot.alertManager.escapeHtml(text);
+  }
+
+  parseSymbol(args) {
+    if (!args[0]) {
+      throw new Error('Вкажіть символ, напр. PEPEUSDT');
+    }
+
+    const symbol = args[0].toUpperCase();
+    return symbol.endsWith('USDT') ? symbol : `${symbol}USDT`;
+  }
+
+  // Зміна SYMBOL_CONFIGS з подальшим застосуванням diff до з'єднань
+  updateSymbolConfigs(mutate) {
+    const previousConfigs = CONFIG.SYMBOL_CONFIGS;
+    CONFIG.SYMBOL_CONFIGS = { ...previousConfigs };
+    mutate(CONFIG.SYMBOL_CONFIGS);
+
+    const diff = diffSymbolConfigs(previousConfigs);
+    this.bot.applyConfigChange(diff, false);
+    return diff;
+  }
+
+  // Telegram обмежує повідомлення 4096 символами - при auto-discovery списки скорочуємо, як у стартовому
+  listLines(items, render, maxListed = 30) {
+    const lines = items.slice(0, maxListed).map(render);
+    if (items.length > maxListed) {
+      lines.push(`… і ще ${items.length - maxListed}`);
+    }
+    return lines;
+  }
+
+  cmdHelp() {
+    return '<b>Команди:</b>\n' + Object.values(this.commands).map(c => this.escape(c.usage)).join('\n');
+  }
+
+  cmdStatus() {
+    const { wsManager, oiTracker, alertManager, signalEngine, orderBooks } = this.bot;
+    const symbols = CONFIG.getEnabledSymbols();
+    const lines = [];
+
+    const tradingStatus = CONFIG.TRADING_HOURS_ENABLED
+      ? (CONFIG.isWithinTradingHours() ? '✅ TRADING' : '⏸️ поза годинами')
+      : '24/7';
+
+    lines.push(`<b>📡 Статус</b> ${signalEngine.paused ? '⏸️ PAUSED' : '▶️ ACTIVE'} | ${tradingStatus}`);
+    lines.push(`Binance: ${wsManager ? wsManager.getConnectedCount() : 0}/${symbols.length} підключено`);
+
+    const venues = wsManager ? Object.entries(wsManager.getVenueStatus()) : [];
+    if (venues.length > 0) {
+      lines.push(`Трейди: ${venues.map(([venue, connected]) => `${VENUE_LABELS[venue] || venue} ${connected ? '✅' : '❌'}`).join(' | ')}`);
+    }
+
+    if (oiTracker) {
+      const oiVenues = Object.entries(oiTracker.getVenueStatus());
+      lines.push(`OI (${CONFIG.OI_MODE}): ${oiVenues.map(([venue, connected]) => `${VENUE_LABELS[venue] || venue} ${connected ? '✅' : '❌'}`).join(' | ')}`);
+    }
+
+    if (orderBooks) {
+      lines.push(`Стакан: ${orderBooks.getSyncedCount()}/${symbols.length} синхронізовано | resync ${orderBooks.resyncCount}`);
+    }
+
+    lines.push(`Алертів: ${alertManager.getCount()} | Очікує: ${alertManager.getPendingCount()}`);
+    if (alertManager.lifecycle) {
+      lines.push(`Відстежується після алерту: ${alertManager.lifecycle.getActiveCount()} | Ескалацій: ${alertManager.escalationCount}`);
+    }
+
+    if (oiTracker) {
+      lines.push('<b>OI історія:</b>');
+      lines.push(...this.listLines(symbols, symbol => `• ${symbol}: ${oiTracker.getHistoryCount(symbol)} записів`));
+    }
+
+    return lines.join('\n');
+  }
+
+  cmdSymbols() {
+    const configs = Object.entries(CONFIG.SYMBOL_CONFIGS);
+    const lines = [`<b>📊 Символи:</b> ${CONFIG.getEnabledSymbols().length}/${configs.length} увімкнено`];
+
+    lines.push(...this.listLines(configs, ([symbol, c]) =>
+      `${c.enabled ? '✅' : '⛔'} ${symbol}: $${(c.minVolumeUSD / 1e6).toFixed(1)}M | ${c.minDominance}% | ${c.minPriceChange}% | ${c.cooldownMinutes}хв`
+    ));
+
+    return lines.join('\n');
+  }
+
+  cmdAdd(args) {
+    const symbol = this.parseSymbol(args);
+    const existing = CONFIG.getSymbolConfig(symbol);
+
+    if (existing && existing.enabled) {
+      return `ℹ️ ${symbol} вже відстежується`;
+    }
+
+    this.updateSymbolConfigs(configs => {
+      configs[symbol] = existing
+        ? { ...existing, enabled: true }
+        : { ...CONFIG.DEFAULT_SYMBOL_CONFIG };
+    });
+
+    return `➕ ${symbol} додано${existing ? '' : ' (стандартні пороги)'}`;
+  }
+
+  cmdRemove(args) {
+    const symbol = this.parseSymbol(args);
+
+    if (!CONFIG.getSymbolConfig(symbol)) {
+      throw new Error(`${symbol} не знайдено`);
+    }
+
+    this.updateSymbolConfigs(configs => {
+      delete configs[symbol];
+    });
+
+    return `➖ ${symbol} видалено`;
+  }
+
+  cmdSet(args) {
+    const symbol = this.parseSymbol(args);
+    const [, field, rawValue] = args;
+    const rule = SYMBOL_CONFIG_SCHEMA[field];
+
+    if (!CONFIG.getSymbolConfig(symbol)) {
+      throw new Error(`${symbol} не знайдено`);
+    }
+    if (!rule) {
+      throw new Error(`Невідоме поле "${field}" (${Object.keys(SYMBOL_CONFIG_SCHEMA).join(', ')})`);
+    }
+    if (rule.type === 'object') {
+      throw new Error(`${field} задається лише у файлі конфігу`);
+    }
+    if (rawValue === undefined) {
+      throw new Error('Вкажіть значення');
+    }
+
+    const value = rule.type === 'boolean' ? rawValue === 'true' : parseFloat(rawValue);
+    const errors = [];
+    validateFields({ [field]: value }, { [field]: { ...rule, required: true } }, symbol, errors);
+
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const previous = CONFIG.getSymbolConfig(symbol)[field];
+    this.updateSymbolConfigs(configs => {
+      configs[symbol] = { ...configs[symbol], [field]: value };
+    });
+
+    return `✏️ ${symbol} ${field}: ${previous ?? '—'} → <b>${value}</b>`;
+  }
+
+  cmdPause() {
+    this.bot.signalEngine.pause();
+    return '⏸️ Алерти призупинено';
+  }
+
+  cmdResume() {
+    this.bot.signalEngine.resume();
+    return '▶️ Алерти відновлено';
+  }
+
+  cmdCooldowns() {
+    const { cooldownManager } = this.bot;
+    const lines = [];
+
+    CONFIG.getEnabledSymbols().forEach(symbol => {
+      ['buy', 'sell', 'divergence-bearish', 'divergence-bullish'].forEach(side => {
+        const remaining = cooldownManager.getRemainingCooldown(symbol, side);
+        if (remaining > 0) {
+          lines.push(`• ${symbol} ${side.toUpperCase()}: ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`);
+        }
+      });
+    });
+
+    return lines.length > 0
+      ? `<b>⏳ Активні cooldown:</b>\n${lines.join('\n')}`
+      : '✅ Активних cooldown немає';
+  }
+
+  cmdOI(args) {
+    const symbol = this.parseSymbol(args);
+    const { oiTracker, alertManager } = this.bot;
+
+    if (!oiTracker) {
+      throw new Error('OI вимкнено');
+    }
+
+    const oiStats = oiTracker.getOIStats(symbol);
+    if (!oiStats) {
+      return `⚠️ ${symbol}: немає OI даних`;
+    }
+
+    const lines = [`<b>📊 OI ${symbol}</b>`];
+    lines.push(`OI зараз: $${alertManager.fmtOI(oiStats.oiNowUSD)} (${alertManager.fmtOI(oiStats.oiNow)} монет)`);
+    lines.push(`Ціна: $${oiStats.priceNow}`);
+
+    if (oiStats.hasWindowData) {
+      const oiSign = oiStats.oiDeltaPct >= 0 ? '+' : '';
+      const priceSign = oiStats.priceDeltaPct >= 0 ? '+' : '';
+      lines.push(`OI -${CONFIG.OI_WINDOW_SECONDS / 60}хв: $${alertManager.fmtOI(oiStats.oi5mAgoUSD)}${alertManager.formatOILookback(oiStats)}`);
+      lines.push(`Δ OI: ${oiSign}${oiStats.oiDeltaPct.toFixed(2)}%`);
+      lines.push(`Δ Ціна: ${priceSign}${oiStats.priceDeltaPct.toFixed(2)}%`);
+      
+      const oiDeltas = alertManager.formatOIDeltas(oiStats);
+      if (oiDeltas) {
+        lines.push(`Δ OI: ${oiDeltas}`);
+      }
+      
+      const oiVenues = alertManager.formatOIVenues(oiStats);
+      if (oiVenues) {
+        lines.push(oiVenues);
+      }
+    } else if (oiStats.stale) {
+      lines.push(`⚠️ Дані застарілі (${oiStats.staleSeconds.toFixed(0)}с тому)`);
+    } else {
+      lines.push('⏳ Недостатньо історії для Δ');
+    }
+
+    lines.push(`Бакетів: ${oiStats.historyCount} по ${CONFIG.OI_BUCKET_SECONDS}с`);
+    return lines.join('\n');
+  }
+
+  cmdOutcomes() {
+    const { outcomes } = this.bot;
+
+    if (!outcomes) {
+      throw new Error('Відстеження результатів вимкнено (OUTCOMES_ENABLED)');
+    }
+
+    const { bySymbol, byDecision } = outcomes.getWinRates();
+    const formatTable = (table) => Object.entries(table).map(([key, horizons]) => {
+      const cells = Object.entries(horizons).map(([minutes, stats]) =>
+        `${minutes}хв ${stats.winRate.toFixed(0)}% (${stats.wins}/${stats.total}, ${stats.avgMove >= 0 ? '+' : ''}${stats.avgMove.toFixed(2)}%)`
+      );
+      return `• ${this.escape(key)}: ${cells.join(' | ')}`;
+    });
+
+    const lines = [`<b>🎯 Результати алертів</b> (відкрито: ${outcomes.getOpenCount()})`];
+
+    if (Object.keys(bySymbol).length === 0) {
+      lines.push('Ще немає завершених горизонтів');
+      return lines.join('\n');
+    }
+
+    lines.push('<b>По символах:</b>', ...formatTable(bySymbol));
+    lines.push('<b>По decision:</b>', ...formatTable(byDecision));
+    return lines.join('\n');
+  }
+}
+
+// ============================================================================
+// WEBHOOK DELIVERY (HTTP POST сигналів з HMAC підписом)
+// ============================================================================
+
+// Підпис: HMAC-SHA256 від "<timestamp>.<body>" - timestamp захищає від повторного відтворення
+function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function verifyWebhookSignature(secret, timestamp, body, signature) {
+  if (typeof signature !== 'string' || !timestamp) return false;
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+class WebhookDispatcher {
+  // destinations: [{ name, url, secret?, symbols?, decisions?, events?, headers?, timeoutMs?, maxRetries? }]
+  constructor(destinations, http = axios, clock = systemClock) {
+    this.destinations = destinations;
+    this.http = http;
+    this.clock = clock;
+    this.retryTimers = new Map();
+    this.stopped = false;
+    this.stats = new Map(destinations.map(d => [d.name, { delivered: 0, failed: 0, retries: 0 }]));
+  }
+
+  // decisions фільтрує лише сигнали; дивергенції (event: 'divergence') рішення не мають
+  matches(destination, payload) {
+    if (Array.isArray(destination.events) && !destination.events.includes(payload.event)) {
+      return false;
+    }
+    if (Array.isArray(destination.symbols) && !destination.symbols.includes(payload.symbol)) {
+      return false;
+    }
+    if (payload.event === 'signal' && Array.isArray(destination.decisions) && !destination.decisions.includes(payload.decision)) {
+      return false;
+    }
+    return true;
+  }
+
+  dispatch(alertData) {
+    return this.send(buildAlertPayload(alertData));
+  }
+
+  dispatchDivergence(divergenceData) {
+    return this.send(buildDivergenceEventPayload(divergenceData));
+  }
+
+  send(payload) {
+    const body = JSON.stringify(payload);
+
+    return Promise.all(
+      this.destinations
+        .filter(destination => this.matches(destination, payload))
+        .map(destination => this.deliver(destination, payload.id, body))
+    );
+  }
+
+  // Повертає true при успішній доставці; тіло та Idempotency-Key однакові для всіх спроб
+  async deliver(destination, id, body) {
+    const maxRetries = destination.maxRetries ?? CONFIG.WEBHOOK_MAX_RETRIES;
+    const stats = this.stats.get(destination.name);
+
+    for (let attempt = 0; attempt <= maxRetries && !this.stopped; attempt++) {
+      if (attempt > 0) {
+        stats.retries++;
+        await this.sleep(backoffDelay(attempt - 1, CONFIG.WEBHOOK_RETRY_BASE_MS, CONFIG.WEBHOOK_RETRY_MAX_MS));
+        if (this.stopped) break;
+      }
+
+      const timestamp = String(this.clock.now());
+      const headers = {
+        ...destination.headers,
+        'Content-Type': 'application/json',
+        'Idempotency-Key': id,
+        'X-Signal-Id': id,
+        'X-Signal-Attempt': String(attempt + 1),
+        'X-Signal-Timestamp': timestamp
+      };
+      if (destination.secret) {
+        headers['X-Signal-Signature'] = signWebhookPayload(destination.secret, timestamp, body);
+      }
+
+      let retryable = true;
+      let reason;
+
+      try {
+        const response = await this.http.post(destination.url, body, {
+          headers,
+          timeout: destination.timeoutMs || CONFIG.WEBHOOK_TIMEOUT_MS,
+          validateStatus: () => true
+        });
+
+        if (response.status >= 200 && response.status < 300) {
+          stats.delivered++;
+          console.log(`[WEBHOOK] ✅ ${destination.name}: ${id} (спроба ${attempt + 1})`);
+          return true;
+        }
+
+        // 4xx (крім 408/429) - помилка в запиті, повтор не допоможе
+        retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        reason = `HTTP ${response.status}`;
+      } catch (error) {
+        reason = error.message;
+      }
+
+      console.warn(`[WEBHOOK] ${destination.name}: ${id} спроба ${attempt + 1} невдала (${reason})`);
+      if (!retryable) break;
+    }
+
+    stats.failed++;
+    console.error(`[WEBHOOK] ❌ ${destination.name}: ${id} не доставлено`);
+    return false;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = this.clock.setTimeout(() => {
+        this.retryTimers.delete(timer);
+        resolve();
+      }, ms);
+      this.retryTimers.set(timer, resolve);
+    });
+  }
+
+  getStats() {
+    return Object.fromEntries(this.stats);
+  }
+
+  stop() {
+    this.stopped = true;
+    // Очікуючі повтори завершуються одразу (deliver побачить stopped)
+    this.retryTimers.forEach((resolve, timer) => {
+      this.clock.clearTimeout(timer);
+      resolve();
+    });
+    this.retryTimers.clear();
+  }
+}
+
+// ============================================================================
+// SIGNAL FEED SERVER (локальний WebSocket/SSE потік алертів + REST snapshot)
+// ============================================================================
+//
+// GET /health                              - стан сервера
+// GET /snapshot[?symbols=A,B]              - getStats()/getOIStats() по символах
+// GET /snapshot/:symbol                    - один символ
+// GET /alerts[?symbol=A&limit=N]           - останні алерти
+// GET /stream[?symbols=A,B|*&interval=ms]  - SSE: події alert, divergence + stats
+// WS  /ws                                  - {"op":"subscribe","symbols":["A"],"intervalMs":5000},
+//                                            {"op":"unsubscribe","symbols":["A"]}, {"op":"snapshot","symbol":"A"}
+
+class SignalFeedServer {
+  constructor(tradeAggregator, oiTracker = null, clock = systemClock) {
+    this.tradeAggregator = tradeAggregator;
+    this.oiTracker = oiTracker;
+    this.clock = clock;
+    this.server = null;
+    this.wss = null;
+    this.clients = new Set();
+    this.recentAlerts = [];
+    this.keepAliveTimer = null;
+  }
+
+  start(port = CONFIG.FEED_PORT, host = CONFIG.FEED_HOST) {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.wss = new WebSocket.Server({ noServer: true });
+
+    this.server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== '/ws' || !this.isAuthorized(req, url)) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => this.handleWebSocket(ws));
+    });
+
+    // SSE-з'єднання закривають проксі без трафіку
+    this.keepAliveTimer = this.clock.setInterval(() => {
+      this.clients.forEach(client => client.ping());
+    }, 15000);
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        console.log(`[FEED] ✅ http://${host}:${this.server.address().port} (SSE /stream, WS /ws, REST /snapshot)`);
+        resolve();
+      });
+    });
+  }
+
+  isAuthorized(req, url) {
+    if (!CONFIG.FEED_TOKEN) return true;
+    return req.headers.authorization === `Bearer ${CONFIG.FEED_TOKEN}` ||
+      url.searchParams.get('token') === CONFIG.FEED_TOKEN;
+  }
+
+  // '*' або порожньо - всі активні символи
+  parseSymbols(value) {
+    if (!value || value === '*') return CONFIG.getEnabledSymbols();
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(s => String(s).trim().toUpperCase()).filter(Boolean);
+  }
+
+  parseInterval(value) {
+    const interval = parseInt(value) || CONFIG.FEED_STATS_INTERVAL_MS;
+    return Math.max(interval, CONFIG.FEED_MIN_INTERVAL_MS);
+  }
+
+  buildSnapshot(symbol) {
+    return {
+      symbol,
+      timestamp: this.clock.now(),
+      stats: this.tradeAggregator.getStats(symbol),
+      windows: this.tradeAggregator.getWindowStats(symbol),
+      oiStats: this.oiTracker ? this.oiTracker.getOIStats(symbol) : null
+    };
+  }
+
+  sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') {
+      return this.sendJson(res, 405, { error: 'method not allowed' });
+    }
+    if (!this.isAuthorized(req, url)) {
+      return this.sendJson(res, 401, { error: 'unauthorized' });
+    }
+
+    const symbolMatch = url.pathname.match(/^\/snapshot\/([A-Z0-9]+)$/i);
+
+    if (url.pathname === '/health') {
+      return this.sendJson(res, 200, {
+        status: 'ok',
+        clients: this.clients.size,
+        symbols: CONFIG.getEnabledSymbols().length,
+        oiConnected: this.oiTracker ? this.oiTracker.isConnected() : null
+      });
+    }
+
+    if (url.pathname === '/snapshot') {
+      const symbols = this.parseSymbols(url.searchParams.get('symbols'));
+      return this.sendJson(res, 200, symbols.map(symbol => this.buildSnapshot(symbol)));
+    }
+
+    if (symbolMatch) {
+      const symbol = symbolMatch[1].toUpperCase();
+      if (!CONFIG.getSymbolConfig(symbol)) {
+        return this.sendJson(res, 404, { error: `unknown symbol ${symbol}` });
+      }
+      return this.sendJson(res, 200, this.buildSnapshot(symbol));
+    }
+
+    if (url.pathname === '/alerts') {
+      const symbol = url.searchParams.get('symbol');
+      const limit = parseInt(url.searchParams.get('limit')) || CONFIG.FEED_RECENT_ALERTS;
+      const alerts = this.recentAlerts.filter(a => !symbol || a.symbol === symbol.toUpperCase());
+      return this.sendJson(res, 200, alerts.slice(-limit));
+    }
+
+    if (url.pathname === '/stream') {
+      return this.handleSse(req, res, url);
+    }
+
+    this.sendJson(res, 404, { error: 'not found' });
+  }
+
+  handleSse(req, res, url) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = this.createClient(
+      (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`),
+      () => res.write(': ping\n\n')
+    );
+
+    if (url.searchParams.has('symbols')) {
+      this.subscribe(client, this.parseSymbols(url.searchParams.get('symbols')), url.searchParams.get('interval'));
+    }
+
+    req.on('close', () => this.removeClient(client));
+  }
+
+  handleWebSocket(ws) {
+    const client = this.createClient(
+      (type, data) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type, data }));
+      },
+      () => {
+        if (ws.readyState === WebSocket.OPEN) ws.ping();
+      }
+    );
+
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        return client.send('error', { message: 'invalid json' });
+      }
+
+      if (message.op === 'subscribe') {
+        this.subscribe(client, this.parseSymbols(message.symbols), message.intervalMs);
+      } else if (message.op === 'unsubscribe') {
+        this.unsubscribe(client, this.parseSymbols(message.symbols));
+      } else if (message.op === 'snapshot' && message.symbol) {
+        client.send('stats', this.buildSnapshot(String(message.symbol).toUpperCase()));
+      } else {
+        client.send('error', { message: `unknown op ${message.op}` });
+      }
+    });
+
+    ws.on('close', () => this.removeClient(client));
+    ws.on('error', () => this.removeClient(client));
+  }
+
+  createClient(send, ping) {
+    const client = { send, ping, symbols: new Set(), intervalMs: null, timer: null };
+    this.clients.add(client);
+    console.log(`[FEED] Клієнт підключився (всього ${this.clients.size})`);
+    return client;
+  }
+
+  removeClient(client) {
+    if (!this.clients.delete(client)) return;
+    if (client.timer) this.clock.clearInterval(client.timer);
+    console.log(`[FEED] Клієнт відключився (всього ${this.clients.size})`);
+  }
+
+  // Один таймер на клієнта: надсилає snapshot по всіх його символах
+  subscribe(client, symbols, intervalMs) {
+    const unknown = symbols.filter(symbol => !CONFIG.getSymbolConfig(symbol));
+    if (unknown.length > 0) {
+      client.send('error', { message: `unknown symbols: ${unknown.join(', ')}` });
+    }
+
+    symbols.filter(symbol => !unknown.includes(symbol)).forEach(symbol => client.symbols.add(symbol));
+    client.intervalMs = this.parseInterval(intervalMs);
+
+    if (client.timer) this.clock.clearInterval(client.timer);
+    client.timer = this.clock.setInterval(() => {
+      client.symbols.forEach(symbol => client.send('stats', this.buildSnapshot(symbol)));
+    }, client.intervalMs);
+
+    client.send('subscribed', { symbols: Array.from(client.symbols), intervalMs: client.intervalMs });
+  }
+
+  unsubscribe(client, symbols) {
+    symbols.forEach(symbol => client.symbols.delete(symbol));
+
+    if (client.symbols.size === 0 && client.timer) {
+      this.clock.clearInterval(client.timer);
+      client.timer = null;
+    }
+
+    client.send('subscribed', { symbols: Array.from(client.symbols), intervalMs: client.intervalMs });
+  }
+
+  publishAlert(alertData) {
+    const payload = buildAlertPayload(alertData);
+
+    this.recentAlerts.push(payload);
+    if (this.recentAlerts.length > CONFIG.FEED_RECENT_ALERTS) {
+      this.recentAlerts.shift();
+    }
+
+    this.clients.forEach(client => client.send('alert', payload));
+  }
+
+  // Дивергенції - в тому ж списку /alerts (розрізняються полем event), подія 'divergence'
+  publishDivergence(divergenceData) {
+    const payload = buildDivergenceEventPayload(divergenceData);
+
+    this.recentAlerts.push(payload);
+    if (this.recentAlerts.length > CONFIG.FEED_RECENT_ALERTS) {
+      this.recentAlerts.shift();
+    }
+
+    this.clients.forEach(client => client.send('divergence', payload));
+  }
+
+  stop() {
+    if (this.keepAliveTimer) {
+      this.clock.clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+    this.clients.forEach(client => {
+      if (client.timer) this.clock.clearInterval(client.timer);
+    });
+    this.clients.clear();
+
+    if (this.wss) {
+      this.wss.clients.forEach(ws => ws.terminate());
+      this.wss.close();
+    }
+    if (this.server) {
+      // SSE-з'єднання тримають сервер відкритим
+      if (this.server.closeAllConnections) this.server.closeAllConnections();
+      this.server.close();
+    }
+  }
+}
+
+// ============================================================================
+// MAIN APPLICATION
+// ============================================================================
+
+class BinanceFuturesFlowBot {
+  constructor() {
+    this.telegram = new TelegramBot(CONFIG.TELEGRAM_TOKEN, { polling: false });
+    this.tradeAggregator = new TradeAggregator(CONFIG.WINDOW_SECONDS);
+    
+    this.discovery = CONFIG.DISCOVERY_ENABLED ? new SymbolDiscovery() : null;
+    
+    // Зовнішній конфіг замінює вбудовані SYMBOL_CONFIGS (знайдені символи зберігаються)
+    this.configLoader = null;
+    if (CONFIG.CONFIG_FILE) {
+      this.configLoader = new ConfigLoader(
+        CONFIG.CONFIG_FILE,
+        this.discovery ? (configs) => this.discovery.mergeInto(configs) : null
+      );
+      this.configLoader.load();
+    }
+    
+    const symbols = CONFIG.getEnabledSymbols();
+    
+    // Запис сирих повідомлень для replay
+    this.recorder = CONFIG.RECORD_ENABLED ? new SessionRecorder(CONFIG.RECORD_DIR) : null;
+    
+    // Ініціалізація OI трекера (біржі з OI_VENUES) якщо увімкнено
+    this.oiTracker = null;
+    if (CONFIG.OI_ENABLED) {
+      this.oiTracker = createOpenInterestTracker(symbols, systemClock, this.recorder);
+    }
+    
+    // Локальні книги (diff-depth) для imbalance і стін
+    this.orderBooks = CONFIG.DEPTH_ENABLED ? new OrderBookManager(symbols) : null;
+    
+    // Funding і basis (Binance markPrice, OKX funding-rate)
+    this.fundingTracker = CONFIG.FUNDING_ENABLED ? new FundingTracker() : null;
+    
+    this.signalEngine = new SignalEngine(this.oiTracker, systemClock, this.orderBooks, this.fundingTracker);
+    this.cooldownManager = new CooldownManager();
+    this.alertManager = new AlertManager(this.telegram, this.oiTracker, systemClock, this.signalEngine);
+    this.wsManager = null;
+    
+    this.commandHandler = CONFIG.TELEGRAM_COMMANDS_ENABLED
+      ? new TelegramCommandHandler(this.telegram, this)
+      : null;
+    
+    if (this.recorder) {
+      this.alertManager.on('alert', (alertData) => {
+        this.recorder.record('alert', alertData.symbol, summarizeAlert(alertData));
+      });
+      // Replay їх не порівнює (лише 'alert'), запис - для історії
+      this.alertManager.on('divergence', (divergenceData) => {
+        this.recorder.record('divergence', divergenceData.symbol, buildDivergenceEventPayload(divergenceData));
+      });
+    }
+    
+    this.stateStore = CONFIG.STATE_ENABLED ? new StateStore(CONFIG.STATE_FILE) : null;
+    this.stateTimer = null;
+    
+    // Результат алертів на горизонтах 5m/15m/1h (відповідь на повідомлення алерту)
+    this.outcomes = CONFIG.OUTCOMES_ENABLED ? new AlertOutcomeTracker(this.telegram) : null;
+    if (this.outcomes) {
+      this.alertManager.on('alert', (alertData) => this.outcomes.track(alertData));
+    }
+    
+    // Журнал алертів (SQLite), включно з невдалими відправками
+    this.journal = CONFIG.JOURNAL_ENABLED ? new AlertJournal(CONFIG.JOURNAL_PATH).open() : null;
+    if (this.journal) {
+      const journalAlert = (alertData) => {
+        try {
+          this.journal.record(alertData);
+        } catch (error) {
+          console.error('[JOURNAL] Помилка запису:', error.message);
+        }
+      };
+      this.alertManager.on('alert', journalAlert);
+      this.alertManager.on('failed', journalAlert);
+      this.alertManager.on('divergence', (divergenceData) => {
+        try {
+          this.journal.recordDivergence(divergenceData);
+        } catch (error) {
+          console.error('[JOURNAL] Помилка запису дивергенції:', error.message);
+        }
+      });
+    }
+    
+    // Webhooks для торгового бота
+    const webhookDestinations = CONFIG.getWebhookDestinations();
+    this.webhooks = null;
+    if (CONFIG.TRADING_BOT_ENABLED && webhookDestinations.length > 0) {
+      this.webhooks = new WebhookDispatcher(webhookDestinations);
+      this.alertManager.on('signal', (alertData) => {
+        this.webhooks.dispatch(alertData).catch(error => {
+          console.error('[WEBHOOK] Помилка:', error.message);
+        });
+      });
+      this.alertManager.on('divergence', (divergenceData) => {
+        this.webhooks.dispatchDivergence(divergenceData).catch(error => {
+          console.error('[WEBHOOK] Помилка:', error.message);
+        });
+      });
+    } else if (webhookDestinations.length > 0) {
+      console.warn('[WEBHOOK] Адреси задано, але TRADING_BOT_ENABLED=false - webhooks вимкнено');
+    }
+    
+    // Локальний потік алертів і статистики
+    this.feed = CONFIG.FEED_ENABLED ? new SignalFeedServer(this.tradeAggregator, this.oiTracker) : null;
+    if (this.feed) {
+      this.alertManager.on('signal', (alertData) => {
+        if (this.feed) this.feed.publishAlert(alertData);
+      });
+      this.alertManager.on('divergence', (divergenceData) => {
+        if (this.feed) this.feed.publishDivergence(divergenceData);
+      });
+    }
+  }
+
+  async start() {
+    // Метадані інструментів (мапінг 1000x-тикерів, розмір контрактів OKX)
+    const needsOKXMetadata = (CONFIG.OI_ENABLED && CONFIG.OI_VENUES.includes('okx')) ||
+      CONFIG.EXTRA_TRADE_VENUES.includes('okx') ||
+      (CONFIG.LIQUIDATIONS_ENABLED && CONFIG.LIQUIDATION_VENUES.includes('okx')) ||
+      (CONFIG.FUNDING_ENABLED && CONFIG.FUNDING_VENUES.includes('okx'));
+    if (needsOKXMetadata || this.discovery) {
+      // instId символів може змінитись після (повторного) завантаження метаданих
+      instrumentRegistry.on('load', () => {
+        if (this.oiTracker) this.oiTracker.remapSymbols();
+      });
+      try {
+        await instrumentRegistry.load();
+      } catch (error) {
+        console.error('[INSTRUMENTS] Помилка завантаження метаданих:', error.message);
+        if (CONFIG.EXTRA_TRADE_VENUES.includes('okx') || (CONFIG.LIQUIDATIONS_ENABLED && CONFIG.LIQUIDATION_VENUES.includes('okx'))) {
+          console.warn('[INSTRUMENTS] Без ctVal об\'єм OKX невідомий - трейди і ліквідації OKX відкидаються, доки метадані не завантажаться');
+        }
+        if (CONFIG.OI_ENABLED && CONFIG.OI_VENUES.includes('okx')) {
+          console.warn('[INSTRUMENTS] OI OKX: instId за евристикою назв, OI у контрактах замість монет до завантаження метаданих');
+        }
+      }
+      instrumentRegistry.startRefresh();
+    }
+    
+    // Початковий список символів з auto-discovery (до підключення сокетів)
+    if (this.discovery) {
+      try {
+        this.applyConfigChange(await this.discovery.refresh(), false);
+      } catch (error) {
+        console.error('[DISCOVERY] Помилка, використовую символи з конфігу:', error.message);
+      }
+    }
+    
+    // Стан попередньої сесії (після мапінгу інструментів і discovery - символи вже відомі)
+    if (this.stateStore) {
+      this.restoreState();
+    }
+    
+    const symbols = CONFIG.getEnabledSymbols();
+    const oiVenuesLabel = CONFIG.OI_VENUES.map(venue => VENUE_LABELS[venue] || venue).join('+');
+    
+    console.log('='.repeat(70));
+    console.log('BINANCE FUTURES AGGRESSIVE FLOW MONITOR (OKX OI Edition)');
+    console.log('='.repeat(70));
+    console.log(`Символів: ${symbols.length} | Вікно: ${CONFIG.WINDOW_SECONDS}s`);
+    console.log(`Open Interest: ${CONFIG.OI_ENABLED ? `✅ ${oiVenuesLabel} (${CONFIG.OI_MODE}, вікно ${CONFIG.OI_WINDOW_SECONDS}s)` : '❌ Вимкнено'}`);
+    
+    if (CONFIG.OI_ENABLED) {
+      console.log(`OI Filters: Min OI Δ=${CONFIG.OI_MIN_DELTA_PERCENT}% | Min Price Δ=${CONFIG.OI_MIN_PRICE_CHANGE_PERCENT}%`);
+    }
+    
+    if (CONFIG.TRADING_HOURS_ENABLED) {
+      console.log(`Trading Hours: ${CONFIG.TRADING_START_HOUR_UTC}:00-${CONFIG.TRADING_END_HOUR_UTC}:00 UTC`);
+      console.log(`Поточний статус: ${CONFIG.isWithinTradingHours() ? '✅ TRADING' : '⏸️ PAUSED'}`);
+    } else {
+      console.log('Trading Hours: 24/7');
+    }
+    
+    console.log('Налаштування символів:');
+    
+    symbols.forEach(symbol => {
+      const config = CONFIG.getSymbolConfig(symbol);
+      console.log(`  ${symbol}: Vol=$${(config.minVolumeUSD / 1e6).toFixed(1)}M | Dom=${config.minDominance}% | Δ=${config.minPriceChange}%`);
+      if (config.minLiquidationUSD && !CONFIG.LIQUIDATIONS_ENABLED) {
+        console.warn(`[LIQ] ${symbol}: minLiquidationUSD задано, але LIQUIDATIONS_ENABLED=false - сигнали не пройдуть фільтр`);
+      }
+    });
+    
+    console.log('='.repeat(70));
+    console.log(`Формат алертів: ${CONFIG.ALERT_FORMAT}`);
+    console.log(`Інтеграція торгового бота: ${CONFIG.TRADING_BOT_ENABLED ? 'Увімкнено' : 'Вимкнено'}`);
+    if (this.webhooks) {
+      console.log(`Webhooks: ${this.webhooks.destinations.map(d => d.name).join(', ')}`);
+    }
+    console.log('='.repeat(70));
+
+    // Test Telegram
+    try {
+      // Telegram обмежує повідомлення 4096 символами - при auto-discovery список скорочуємо
+      const maxListed = 30;
+      let startMessage = symbols.slice(0, maxListed).map(s => {
+        const c = CONFIG.getSymbolConfig(s);
+        return `• ${s}: $${(c.minVolumeUSD / 1e6).toFixed(1)}M | ${c.minDominance}% | ${c.minPriceChange}%`;
+      }).join('\n');
+      if (symbols.length > maxListed) {
+        startMessage += `\n… і ще ${symbols.length - maxListed}`;
+      }
+      
+      let tradingHoursMsg = '';
+      if (CONFIG.TRADING_HOURS_ENABLED) {
+        tradingHoursMsg = `\n⏰ Години: ${CONFIG.TRADING_START_HOUR_UTC}:00-${CONFIG.TRADING_END_HOUR_UTC}:00 UTC`;
+      }
+      
+      let oiFiltersMsg = '';
+      if (CONFIG.OI_ENABLED) {
+        oiFiltersMsg = `\n🔧 OI Filters: Min OI Δ=${CONFIG.OI_MIN_DELTA_PERCENT}% | Min Price Δ=${CONFIG.OI_MIN_PRICE_CHANGE_PERCENT}%`;
+      }
+      
+      await this.telegram.sendMessage(
+        CONFIG.TELEGRAM_CHAT_ID,
+        `🚀 <b>Binance Futures Monitor Запущено (OKX OI)</b>\n\n` +
+        `<b>📊 Моніторинг ${symbols.length} символів:</b>\n${startMessage}\n\n` +
+        `⚙️ Формат: ${CONFIG.ALERT_FORMAT}\n` +
+        `🤖 Торговий бот: ${CONFIG.TRADING_BOT_ENABLED ? 'ON' : 'OFF'}\n` +
+        `📊 Open Interest: ${oiVenuesLabel} (${CONFIG.OI_MODE}, ${CONFIG.OI_WINDOW_SECONDS}s)${oiFiltersMsg}${tradingHoursMsg}`,
+        { parse_mode: 'HTML' }
+      );
+      console.log('[TELEGRAM] ✅ Підключено\n');
+    } catch (error) {
+      console.error('[TELEGRAM] ❌ Помилка:', error.message);
+      process.exit(1);
+    }
+
+    if (this.recorder) {
+      this.recorder.start();
+    }
+
+    // Запуск OI трекера
+    if (this.oiTracker) {
+      this.oiTracker.start();
+    }
+
+    // Connect WebSockets (Binance)
+    this.wsManager = new MultiWebSocketManager(
+      symbols,
+      this.tradeAggregator,
+      this.signalEngine,
+      this.cooldownManager,
+      this.alertManager,
+      this.oiTracker,
+      systemClock,
+      this.recorder,
+      this.orderBooks,
+      this.fundingTracker
+    );
+    
+    // Додаткові біржі для потоку трейдів
+    CONFIG.EXTRA_TRADE_VENUES.forEach(venue => {
+      try {
+        this.wsManager.addTradeSource(venue);
+      } catch (error) {
+        console.error('[WS]', error.message);
+      }
+    });
+    
+    if (CONFIG.LIQUIDATIONS_ENABLED) {
+      CONFIG.LIQUIDATION_VENUES.filter(venue => venue !== PRIMARY_VENUE).forEach(venue => {
+        try {
+          this.wsManager.addLiquidationSource(venue);
+        } catch (error) {
+          console.error('[WS]', error.message);
+        }
+      });
+    }
+    
+    if (CONFIG.FUNDING_ENABLED) {
+      CONFIG.FUNDING_VENUES.filter(venue => venue !== PRIMARY_VENUE).forEach(venue => {
+        try {
+          this.wsManager.addFundingSource(venue);
+        } catch (error) {
+          console.error('[WS]', error.message);
+        }
+      });
+    }
+    
+    if (this.stateStore) {
+      this.stateTimer = setInterval(() => this.saveState(), CONFIG.STATE_SAVE_INTERVAL_SECONDS * 1000);
+    }
+    
+    if (this.outcomes) {
+      this.wsManager.on('trade', (symbol, timestamp, price, venue) => {
+        if (venue === PRIMARY_VENUE) this.outcomes.onPrice(symbol, timestamp, price);
+      });
+    }
+    
+    this.wsManager.connectAll();
+
+    // Команди з Telegram
+    if (this.commandHandler) {
+      this.commandHandler.start();
+    }
+    
+    if (this.feed) {
+      try {
+        await this.feed.start();
+      } catch (error) {
+        console.error('[FEED] ❌ Не вдалося запустити сервер:', error.message);
+        this.feed = null;
+      }
+    }
+
+    // Hot reload конфігу
+    if (this.configLoader) {
+      this.configLoader.on('change', (diff) => this.applyConfigChange(diff));
+      this.configLoader.watch();
+    }
+
+    // Періодичне оновлення списку символів
+    if (this.discovery) {
+      this.discovery.start((diff) => this.applyConfigChange(diff));
+    }
+
+    // Graceful shutdown
+    process.on('SIGINT', () => this.shutdown());
+    process.on('SIGTERM', () => this.shutdown());
+  }
+
+  applyConfigChange(diff, notify = true) {
+    diff.removed.forEach(symbol => {
+      if (this.wsManager) this.wsManager.removeSymbol(symbol);
+      if (this.oiTracker) this.oiTracker.removeSymbol(symbol);
+      if (this.orderBooks) this.orderBooks.removeSymbol(symbol);
+      if (this.fundingTracker) this.fundingTracker.removeSymbol(symbol);
+      this.tradeAggregator.removeSymbol(symbol);
+    });
+    
+    diff.added.forEach(symbol => {
+      if (this.orderBooks) this.orderBooks.addSymbol(symbol);
+      if (this.wsManager) this.wsManager.addSymbol(symbol);
+      if (this.oiTracker) this.oiTracker.addSymbol(symbol);
+    });
+    
+    diff.changed.forEach(symbol => this.tradeAggregator.updateWindows(symbol));
+    
+    if (!notify) return;
+    
+    const lines = [];
+    if (diff.added.length > 0) lines.push(`➕ ${diff.added.join(', ')}`);
+    if (diff.removed.length > 0) lines.push(`➖ ${diff.removed.join(', ')}`);
+    if (diff.changed.length > 0) lines.push(`✏️ ${diff.changed.join(', ')}`);
+    
+    this.telegram.sendMessage(
+      CONFIG.TELEGRAM_CHAT_ID,
+      `🔄 Конфіг оновлено (${CONFIG.getEnabledSymbols().length} символів)${lines.length > 0 ? '\n' + lines.join('\n') : ''}`
+    ).catch(error => console.error('[TELEGRAM] Помилка:', error.message));
+  }
+
+  restoreState() {
+    const snapshot = this.stateStore.load();
+    if (!snapshot) return;
+    
+    const ageSeconds = ((systemClock.now() - snapshot.savedAt) / 1000).toFixed(0);
+    const restored = {
+      oi: this.oiTracker ? this.oiTracker.restoreState(snapshot.oi) : 0,
+      cooldowns: this.cooldownManager.restoreState(snapshot.cooldowns),
+      pending: this.alertManager.restoreState(snapshot.pendingAlerts),
+      trades: this.tradeAggregator.restoreState(snapshot.trades, systemClock.now()),
+      cvd: this.tradeAggregator.restoreCvdState(snapshot.cvd, systemClock.now()),
+      baselines: this.tradeAggregator.restoreBaselineState(snapshot.baselines, systemClock.now())
+    };
+    
+    console.log(`[STATE] Відновлено знімок (${ageSeconds}s тому): OI символів ${restored.oi} | cooldown ${restored.cooldowns} | pending ${restored.pending} | трейдів ${restored.trades} | CVD символів ${restored.cvd} | баз символів ${restored.baselines}`);
+  }
+
+  saveState() {
+    try {
+      this.stateStore.save({
+        oi: this.oiTracker ? this.oiTracker.exportState() : {},
+        cooldowns: this.cooldownManager.exportState(),
+        pendingAlerts: this.alertManager.exportState(),
+        trades: this.tradeAggregator.exportState(),
+        cvd: this.tradeAggregator.exportCvdState(),
+        baselines: this.tradeAggregator.exportBaselineState()
+      });
+    } catch (error) {
+      console.error('[STATE] Помилка збереження:', error.message);
+    }
+  }
+
+  async shutdown() {
+    console.log('\n[SHUTDOWN] Зупинка...');
+    
+    if (this.configLoader) {
+      this.configLoader.stop();
+    }
+    
+    if (this.discovery) {
+      this.discovery.stop();
+    }
+    
+    instrumentRegistry.stopRefresh();
+    
+    if (this.commandHandler) {
+      await this.commandHandler.stop();
+    }
+    
+    if (this.oiTracker) {
+      this.oiTracker.stop();
+    }
+    
+    if (this.wsManager) {
+      this.wsManager.closeAll();
+    }
+    
+    // Останній знімок - після зупинки потоків, до очищення таймерів алертів
+    if (this.stateStore) {
+      clearInterval(this.stateTimer);
+      this.saveState();
+    }
+    
+    if (this.alertManager) {
+      this.alertManager.stop();
+    }
+    
+    if (this.webhooks) {
+      this.webhooks.stop();
+    }
+    
+    if (this.feed) {
+      this.feed.stop();
+    }
+    
+    if (this.journal) {
+      this.journal.close();
+    }
+    
+    if (this.recorder) {
+      this.recorder.stop();
+    }
+    
+    await this.telegram.sendMessage(
+      CONFIG.TELEGRAM_CHAT_ID,
+      '⛔ Binance Futures Monitor Зупинено'
+    );
+    
+    process.exit(0);
+  }
+}
+
+// ============================================================================
+// SESSION REPLAY (офлайн прогін записаних сесій на симульованому годиннику)
+// ============================================================================
+
+// Заглушка Telegram: збирає повідомлення замість відправки
+class ReplayTelegram {
+  constructor(clock) {
+    this.clock = clock;
+    this.messages = [];
+  }
+
+  sendMessage(chatId, text, options = {}) {
+    const message = {
+      message_id: this.messages.length + 1,
+      date: this.clock.now(),
+      chatId,
+      text,
+      options
+    };
+    this.messages.push(message);
+    return Promise.resolve(message);
+  }
+
+  editMessageText(text, options = {}) {
+    const message = this.messages.find(m => m.message_id === options.message_id);
+    if (!message) return Promise.reject(new Error('message to edit not found'));
+    
+    message.text = text;
+    message.editedAt = this.clock.now();
+    return Promise.resolve(message);
+  }
+}
+
+class SessionReplayer {
+  constructor(files) {
+    this.files = files;
+    this.clock = null;
+    this.alerts = [];
+    this.expectedAlerts = [];
+    this.entryCount = 0;
+  }
+
+  // Файли або директорії з *.ndjson (в хронологічному порядку за назвою)
+  static resolveFiles(inputs) {
+    const files = [];
+
+    for (const input of inputs) {
+      if (fs.statSync(input).isDirectory()) {
+        fs.readdirSync(input)
+          .filter(name => name.endsWith('.ndjson'))
+          .sort()
+          .forEach(name => files.push(path.join(input, name)));
+      } else {
+        files.push(input);
+      }
+    }
+
+    return files;
+  }
+
+  async *readEntries() {
+    for (const file of this.files) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(file),
+        crlfDelay: Infinity
+      });
+
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+
+        try {
+          yield JSON.parse(line);
+        } catch (error) {
+          console.error(`[REPLAY] Пропущено пошкоджений рядок у ${file}:`, error.message);
+        }
+      }
+    }
+  }
+
+  // Той самий pipeline, що і в live режимі, але на симульованому годиннику
+  buildPipeline(startTime) {
+    const symbols = CONFIG.getEnabledSymbols();
+
+    this.clock = new SimulatedClock(startTime);
+    this.telegram = new ReplayTelegram(this.clock);
+
+    this.oiTracker = null;
+    if (CONFIG.OI_ENABLED) {
+      this.oiTracker = createOpenInterestTracker(symbols, this.clock);
+    }
+
+    this.fundingTracker = CONFIG.FUNDING_ENABLED ? new FundingTracker(this.clock) : null;
+
+    this.tradeAggregator = new TradeAggregator(CONFIG.WINDOW_SECONDS);
+    this.signalEngine = new SignalEngine(this.oiTracker, this.clock, null, this.fundingTracker);
+    this.cooldownManager = new CooldownManager(this.clock);
+    this.alertManager = new AlertManager(this.telegram, this.oiTracker, this.clock, this.signalEngine);
+    this.wsManager = new MultiWebSocketManager(
+      symbols,
+      this.tradeAggregator,
+      this.signalEngine,
+      this.cooldownManager,
+      this.alertManager,
+      this.oiTracker,
+      this.clock,
+      null,
+      null,
+      this.fundingTracker
+    );
+
+    this.alertManager.on('alert', (alertData) => {
+      this.alerts.push(summarizeAlert(alertData));
+    });
+  }
+
+  handleEntry(entry) {
+    if (entry.source === 'binance') {
+      this.wsManager.handleMessage(entry.symbol, JSON.stringify(entry.data));
+    } else if (entry.source === 'trade') {
+      this.wsManager.ingestTrade(entry.symbol, entry.data.venue, entry.data);
+    } else if (entry.source === 'liquidation') {
+      this.wsManager.ingestLiquidation(entry.symbol, entry.data.venue, entry.data);
+    } else if (entry.source === 'funding') {
+      this.wsManager.ingestFunding(entry.symbol, entry.data.venue, entry.data);
+    } else if (entry.source === 'okx') {
+      if (this.oiTracker) {
+        this.oiTracker.handleMessage(JSON.stringify(entry.data));
+      }
+    } else if (entry.source === 'oi') {
+      if (this.oiTracker) {
+        this.oiTracker.handleSample(entry.symbol, entry.data);
+      }
+    } else if (entry.source === 'alert') {
+      // Алерти, відправлені під час запису - еталон для порівняння
+      this.expectedAlerts.push(entry.data);
+    }
+  }
+
+  async run() {
+    let lastTs = null;
+
+    for await (const entry of this.readEntries()) {
+      if (!this.clock) {
+        this.buildPipeline(entry.ts);
+      }
+
+      // Якщо спрацювали таймери - даємо завершитись асинхронним відправкам
+      // до обробки наступного повідомлення
+      if (this.clock.advanceTo(entry.ts) > 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      this.handleEntry(entry);
+      lastTs = entry.ts;
+      this.entryCount++;
+    }
+
+    if (!this.clock) {
+      return this.getResult();
+    }
+
+    // Дочекатись відправки алертів, що лишились у черзі
+    this.clock.advanceTo(lastTs + 61_000);
+    await new Promise(resolve => setImmediate(resolve));
+    this.alertManager.stop();
+
+    return this.getResult();
+  }
+
+  static alertKey(alert) {
+    const minute = Math.floor(alert.sentAt / 60_000);
+    return `${alert.symbol}|${alert.finalDirection}|${alert.decision}|${minute}`;
+  }
+
+  getResult() {
+    const alerts = [...this.alerts].sort((a, b) => a.sentAt - b.sentAt || a.symbol.localeCompare(b.symbol));
+    const producedKeys = new Set(alerts.map(SessionReplayer.alertKey));
+    const expectedKeys = new Set(this.expectedAlerts.map(SessionReplayer.alertKey));
+
+    return {
+      entries: this.entryCount,
+      alerts,
+      expected: this.expectedAlerts,
+      matched: alerts.filter(a => expectedKeys.has(SessionReplayer.alertKey(a))).length,
+      missing: this.expectedAlerts.filter(a => !producedKeys.has(SessionReplayer.alertKey(a))),
+      extra: alerts.filter(a => !expectedKeys.has(SessionReplayer.alertKey(a)))
+    };
+  }
+}
+
+// ============================================================================
+// HISTORY IMPORT (CSV aggTrade / OI -> записи у форматі recorder)
+// ============================================================================
+
+// Колонки Binance data.binance.vision, якщо у файлі немає заголовка
+const CSV_DEFAULT_HEADERS = {
+  trades: ['agg_trade_id', 'price', 'quantity', 'first_trade_id', 'last_trade_id', 'transact_time', 'is_buyer_maker'],
+  oi: ['timestamp', 'oi', 'price']
+};
+
+function pickColumn(row, names) {
+  for (const name of names) {
+    if (row[name] !== undefined && row[name] !== '') return row[name];
+  }
+  return undefined;
+}
+
+// Секунди / мілісекунди / мікросекунди / дата-рядок -> мілісекунди
+function parseTimestamp(value) {
+  if (value === undefined) return NaN;
+
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    const num = parseFloat(value);
+    if (num > 1e15) return Math.floor(num / 1000);
+    if (num < 1e11) return Math.floor(num * 1000);
+    return Math.floor(num);
+  }
+
+  const iso = value.includes('T') || value.endsWith('Z') ? value : `${value.replace(' ', 'T')}Z`;
+  return Date.parse(iso);
+}
+
+async function* readCsvRows(file, defaultHeaders) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file),
+    crlfDelay: Infinity
+  });
+
+  let headers = null;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    const cells = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+    if (!headers) {
+      // Перший рядок - заголовок, якщо перша клітинка не число
+      if (!/^-?\d/.test(cells[0])) {
+        headers = cells.map(cell => cell.toLowerCase());
+        continue;
+      }
+      headers = defaultHeaders;
+    }
+
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = cells[i];
+    });
+    yield row;
+  }
+}
+
+async function* readCsvTrades(symbol, file) {
+  for await (const row of readCsvRows(file, CSV_DEFAULT_HEADERS.trades)) {
+    const ts = parseTimestamp(pickColumn(row, ['transact_time', 'timestamp', 'time', 'ts']));
+    const price = pickColumn(row, ['price', 'p']);
+    const quantity = pickColumn(row, ['quantity', 'qty', 'q']);
+    const isBuyerMaker = String(pickColumn(row, ['is_buyer_maker', 'isbuyermaker', 'm'])).toLowerCase() === 'true';
+
+    if (isNaN(ts) || price === undefined || quantity === undefined) continue;
+
+    yield {
+      ts,
+      source: 'binance',
+      symbol,
+      data: { e: 'aggTrade', s: symbol, p: price, q: quantity, T: ts, m: isBuyerMaker }
+    };
+  }
+}
+
+// Кожен рядок OI -> пара OKX повідомлень (open-interest + mark-price)
+async function* readCsvOpenInterest(symbol, file) {
+  const instId = CONFIG.binanceToOKX(symbol);
+
+  for await (const row of readCsvRows(file, CSV_DEFAULT_HEADERS.oi)) {
+    const ts = parseTimestamp(pickColumn(row, ['timestamp', 'create_time', 'time', 'ts']));
+    const oi = pickColumn(row, ['oi', 'sum_open_interest', 'open_interest']);
+    const price = pickColumn(row, ['price', 'mark_price', 'markpx']);
+
+    if (isNaN(ts) || oi === undefined || price === undefined) continue;
+
+    yield {
+      ts,
+      source: 'okx',
+      symbol,
+      data: { arg: { channel: 'mark-price', instId }, data: [{ markPx: price, ts: String(ts) }] }
+    };
+    yield {
+      ts,
+      source: 'okx',
+      symbol,
+      data: { arg: { channel: 'open-interest', instId }, data: [{ oi, ts: String(ts) }] }
+    };
+  }
+}
+
+// Злиття кількох відсортованих потоків записів за ts
+async function* mergeByTimestamp(streams) {
+  const heads = [];
+
+  for (const stream of streams) {
+    const iterator = stream[Symbol.asyncIterator]();
+    const next = await iterator.next();
+    if (!next.done) heads.push({ iterator, entry: next.value });
+  }
+
+  while (heads.length > 0) {
+    let minIndex = 0;
+    for (let i = 1; i < heads.length; i++) {
+      if (heads[i].entry.ts < heads[minIndex].entry.ts) minIndex = i;
+    }
+
+    const head = heads[minIndex];
+    yield head.entry;
+
+    const next = await head.iterator.next();
+    if (next.done) {
+      heads.splice(minIndex, 1);
+    } else {
+      head.entry = next.value;
+    }
+  }
+}
+
+// ============================================================================
+// FORWARD RETURN TRACKER (результат алерту через N хвилин)
+// ============================================================================
+
+class ForwardReturnTracker extends EventEmitter {
+  constructor(horizonsMinutes) {
+    super();
+    this.horizonsMinutes = [...horizonsMinutes].sort((a, b) => a - b);
+    this.positions = new Map(); // Map<symbol, [position]>
+  }
+
+  // alert: {id, symbol, direction: 'LONG'|'SHORT', entryPrice, entryTime, ...}
+  track(alert) {
+    const position = {
+      ...alert,
+      maxFavorable: 0,
+      maxAdverse: 0,
+      lastMove: 0,
+      results: {},
+      nextHorizon: 0
+    };
+
+    if (!this.positions.has(alert.symbol)) {
+      this.positions.set(alert.symbol, []);
+    }
+    this.positions.get(alert.symbol).push(position);
+
+    return position;
+  }
+
+  onPrice(symbol, timestamp, price) {
+    const positions = this.positions.get(symbol);
+    if (!positions || positions.length === 0) return;
+
+    const remaining = [];
+
+    for (const position of positions) {
+      if (timestamp < position.entryTime) {
+        remaining.push(position);
+        continue;
+      }
+
+      const sign = position.direction === 'LONG' ? 1 : -1;
+      const move = sign * ((price - position.entryPrice) / position.entryPrice) * 100;
+
+      // Горизонти, що вже минули, фіксуємо до оновлення екстремумів цим тіком
+      while (
+        position.nextHorizon < this.horizonsMinutes.length &&
+        timestamp >= position.entryTime + this.horizonsMinutes[position.nextHorizon] * 60_000
+      ) {
+        const minutes = this.horizonsMinutes[position.nextHorizon];
+        const result = {
+          move: position.lastMove,
+          maxFavorable: position.maxFavorable,
+          maxAdverse: position.maxAdverse
+        };
+        position.results[minutes] = result;
+        position.nextHorizon++;
+        this.emit('horizon', position, minutes, result);
+      }
+
+      if (position.nextHorizon >= this.horizonsMinutes.length) {
+        this.emit('complete', position);
+        continue;
+      }
+
+      position.lastMove = move;
+      position.maxFavorable = Math.max(position.maxFavorable, move);
+      position.maxAdverse = Math.min(position.maxAdverse, move);
+      remaining.push(position);
+    }
+
+    this.positions.set(symbol, remaining);
+  }
+
+  getOpenCount() {
+    let total = 0;
+    for (const positions of this.positions.values()) {
+      total += positions.length;
+    }
+    return total;
+  }
+}
+
+// ============================================================================
+// ALERT OUTCOMES (результат живих алертів + відповіді в Telegram)
+// ============================================================================
+
+class AlertOutcomeTracker {
+  constructor(telegram, horizonsMinutes = CONFIG.OUTCOME_HORIZONS_MINUTES) {
+    this.telegram = telegram;
+    this.forwardTracker = new ForwardReturnTracker(horizonsMinutes);
+    this.lastPrices = new Map();
+    // Map<key, Map<horizon, {wins, total, sumMove}>> для символів та decision
+    this.bySymbol = new Map();
+    this.byDecision = new Map();
+
+    this.forwardTracker.on('horizon', (position, minutes, result) => {
+      this.onHorizon(position, minutes, result);
+    });
+  }
+
+  track(alertData) {
+    const direction = alertData.interpretation.finalDirection;
+    if (direction !== 'LONG' && direction !== 'SHORT') return null;
+
+    return this.forwardTracker.track({
+      id: alertData.id,
+      symbol: alertData.symbol,
+      direction,
+      decision: alertData.interpretation.decision,
+      messageId: alertData.messageId,
+      entryPrice: this.lastPrices.get(alertData.symbol) || alertData.stats.lastPrice,
+      entryTime: alertData.sentAt
+    });
+  }
+
+  onPrice(symbol, timestamp, price) {
+    this.lastPrices.set(symbol, price);
+    this.forwardTracker.onPrice(symbol, timestamp, price);
+  }
+
+  recordResult(table, key, minutes, move) {
+    if (!table.has(key)) table.set(key, new Map());
+    const horizons = table.get(key);
+    if (!horizons.has(minutes)) horizons.set(minutes, { wins: 0, total: 0, sumMove: 0 });
+
+    const stats = horizons.get(minutes);
+    stats.total++;
+    stats.sumMove += move;
+    if (move > 0) stats.wins++;
+    return stats;
+  }
+
+  onHorizon(position, minutes, result) {
+    const symbolStats = this.recordResult(this.bySymbol, position.symbol, minutes, result.move);
+    const decisionStats = this.recordResult(this.byDecision, position.decision, minutes, result.move);
+
+    console.log(`[OUTCOME] ${position.symbol} ${position.direction} +${minutes}m: ${result.move.toFixed(2)}% (MFE ${result.maxFavorable.toFixed(2)}% / MAE ${result.maxAdverse.toFixed(2)}%)`);
+
+    if (!position.messageId) return;
+
+    this.telegram.sendMessage(
+      CONFIG.TELEGRAM_CHAT_ID,
+      this.formatReply(position, minutes, result, symbolStats, decisionStats),
+      {
+        parse_mode: 'HTML',
+        reply_to_message_id: position.messageId,
+        allow_sending_without_reply: true
+      }
+    ).catch(error => console.error('[OUTCOME] Помилка відправки:', error.message));
+  }
+
+  formatReply(position, minutes, result, symbolStats, decisionStats) {
+    const pct = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+    const rate = (stats) => `${((stats.wins / stats.total) * 100).toFixed(0)}% (${stats.wins}/${stats.total})`;
+
+    return [
+      `${result.move > 0 ? '✅' : '❌'} <b>${position.symbol} ${position.direction}</b> через ${minutes}хв: <b>${pct(result.move)}</b>`,
+      `📈 MFE: ${pct(result.maxFavorable)} | 📉 MAE: ${pct(result.maxAdverse)}`,
+      `🎯 Win rate ${minutes}хв: ${position.symbol} ${rate(symbolStats)} | ${position.decision} ${rate(decisionStats)}`
+    ].join('\n');
+  }
+
+  // { bySymbol: {SYM: {5: {wins, total, winRate, avgMove}}}, byDecision: {...} }
+  getWinRates() {
+    const toObject = (table) => Object.fromEntries(
+      Array.from(table.entries()).map(([key, horizons]) => [
+        key,
+        Object.fromEntries(Array.from(horizons.entries()).map(([minutes, stats]) => [minutes, {
+          wins: stats.wins,
+          total: stats.total,
+          winRate: (stats.wins / stats.total) * 100,
+          avgMove: stats.sumMove / stats.total
+        }]))
+      ])
+    );
+
+    return { bySymbol: toObject(this.bySymbol), byDecision: toObject(this.byDecision) };
+  }
+
+  getOpenCount() {
+    return this.forwardTracker.getOpenCount();
+  }
+}
+
+// ============================================================================
+// BACKTESTER (SignalEngine по історії + оцінка результату)
+// ============================================================================
+
+class Backtester extends SessionReplayer {
+  constructor(entrySource, horizonsMinutes = CONFIG.BACKTEST_HORIZONS_MINUTES) {
+    super([]);
+    this.entrySource = entrySource; // () => AsyncIterable<entry>
+    this.horizonsMinutes = horizonsMinutes;
+    this.forwardTracker = new ForwardReturnTracker(horizonsMinutes);
+    this.lastPrices = new Map();
+    this.trades = [];
+  }
+
+  readEntries() {
+    return this.entrySource();
+  }
+
+  buildPipeline(startTime) {
+    super.buildPipeline(startTime);
+
+    this.alertManager.on('alert', (alertData) => {
+      const entryPrice = this.lastPrices.get(alertData.symbol) || alertData.stats.lastPrice;
+
+      this.trades.push(this.forwardTracker.track({
+        id: this.trades.length + 1,
+        symbol: alertData.symbol,
+        direction: alertData.interpretation.finalDirection,
+        decision: alertData.interpretation.decision,
+        entryPrice,
+        entryTime: alertData.sentAt
+      }));
+    });
+  }
+
+  handleEntry(entry) {
+    super.handleEntry(entry);
+
+    if (entry.source === 'binance') {
+      const price = parseFloat(entry.data.p);
+      if (!isNaN(price)) {
+        this.lastPrices.set(entry.symbol, price);
+        this.forwardTracker.onPrice(entry.symbol, entry.data.T, price);
+      }
+    }
+  }
+
+  async run() {
+    await super.run();
+    return this.getReport();
+  }
+
+  static summarize(trades, horizonsMinutes) {
+    const horizons = {};
+
+    for (const minutes of horizonsMinutes) {
+      const results = trades.map(t => t.results[minutes]).filter(Boolean);
+
+      if (results.length === 0) {
+        horizons[minutes] = { count: 0, hitRate: null, avgMove: null, avgMAE: null, maxMAE: null };
+        continue;
+      }
+
+      const hits = results.filter(r => r.move > 0).length;
+
+      horizons[minutes] = {
+        count: results.length,
+        hitRate: (hits / results.length) * 100,
+        avgMove: results.reduce((sum, r) => sum + r.move, 0) / results.length,
+        avgMAE: results.reduce((sum, r) => sum + r.maxAdverse, 0) / results.length,
+        maxMAE: Math.min(...results.map(r => r.maxAdverse))
+      };
+    }
+
+    return { alerts: trades.length, horizons };
+  }
+
+  static groupBy(trades, field, horizonsMinutes) {
+    const groups = {};
+
+    for (const trade of trades) {
+      const key = trade[field];
+      if (!groups[key]) groups[key] = [];
+      groups[key].push(trade);
+    }
+
+    const summary = {};
+    for (const key of Object.keys(groups).sort()) {
+      summary[key] = Backtester.summarize(groups[key], horizonsMinutes);
+    }
+    return summary;
+  }
+
+  getReport() {
+    return {
+      entries: this.entryCount,
+      horizonsMinutes: this.horizonsMinutes,
+      total: Backtester.summarize(this.trades, this.horizonsMinutes),
+      bySymbol: Backtester.groupBy(this.trades, 'symbol', this.horizonsMinutes),
+      byDecision: Backtester.groupBy(this.trades, 'decision', this.horizonsMinutes),
+      trades: this.trades.map(({ id, symbol, direction, decision, entryPrice, entryTime, results }) => ({
+        id, symbol, direction, decision, entryPrice, entryTime, results
+      }))
+    };
+  }
+}
+
+// Джерело записів для backtest: записи сесій + CSV (SYMBOL=path,SYMBOL=path)
+function parseSymbolFileList(value) {
+  if (typeof value !== 'string') return [];
+
+  return value.split(',').filter(Boolean).map(pair => {
+    const [symbol, file] = pair.split('=');
+    if (!symbol || !file) {
+      throw new Error(`Невірний формат "${pair}", очікується SYMBOL=path.csv`);
+    }
+    return { symbol: symbol.toUpperCase(), file };
+  });
+}
+
+function createHistorySource(options) {
+  const files = options._.length > 0 ? SessionReplayer.resolveFiles(options._) : [];
+  const csvTrades = parseSymbolFileList(options.trades);
+  const csvOI = parseSymbolFileList(options.oi);
+
+  if (files.length === 0 && csvTrades.length === 0) {
+    throw new Error('Не вказано даних: записи сесій або --trades SYMBOL=file.csv');
+  }
+
+  return () => {
+    const streams = [];
+    if (files.length > 0) {
+      streams.push(new SessionReplayer(files).readEntries());
+    }
+    csvTrades.forEach(({ symbol, file }) => streams.push(readCsvTrades(symbol, file)));
+    csvOI.forEach(({ symbol, file }) => streams.push(readCsvOpenInterest(symbol, file)));
+    return mergeByTimestamp(streams);
+  };
+}
+
+function formatBacktestRow(label, summary, horizonsMinutes) {
+  const cells = horizonsMinutes.map(minutes => {
+    const h = summary.horizons[minutes];
+    if (!h.count) return `${minutes}m: —`;
+    return `${minutes}m: ${h.hitRate.toFixed(0)}% ${h.avgMove >= 0 ? '+' : ''}${h.avgMove.toFixed(2)}% MAE ${h.avgMAE.toFixed(2)}/${h.maxMAE.toFixed(2)}%`;
+  });
+  return `  ${label.padEnd(14)} n=${String(summary.alerts).padEnd(4)} | ${cells.join(' | ')}`;
+}
+
+// Тимчасово глушить console.log (шум pipeline під час прогонів)
+async function withQuietLogs(quiet, fn) {
+  if (!quiet) return fn();
+
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+// ============================================================================
+// PARAMETER SWEEP (grid search по фільтрах символу)
+// ============================================================================
+
+// Параметри, що перебираються (windowSeconds / oi* - per-symbol override глобальних
+// WINDOW_SECONDS, OI_MIN_DELTA_PERCENT, OI_MIN_PRICE_CHANGE_PERCENT; windowSeconds не діє для символів з windows)
+const SWEEP_PARAMS = [
+  'minVolumeUSD',
+  'minDominance',
+  'minPriceChange',
+  'cooldownMinutes',
+  'windowSeconds',
+  'oiMinDeltaPercent',
+  'oiMinPriceChangePercent',
+  'minLiquidationUSD',
+  'minConfidence'
+];
+
+const SWEEP_OBJECTIVES = {
+  // Середній рух на горизонті на алерт
+  expectancy: (summary) => summary.avgMove,
+  // Сумарний рух усіх алертів
+  total: (summary) => summary.avgMove * summary.count,
+  // Hit rate (з обмеженням alerts/day через --alerts-per-day)
+  precision: (summary) => summary.hitRate
+};
+
+// "60:75:5" -> [60, 65, 70, 75], "60,70" -> [60, 70]
+function parseSweepRange(value) {
+  if (value.includes(':')) {
+    const [start, end, step] = value.split(':').map(Number);
+    if (!(step > 0) || isNaN(start) || isNaN(end)) {
+      throw new Error(`Невірний діапазон "${value}", очікується start:end:step`);
+    }
+
+    const values = [];
+    for (let v = start; v <= end + step * 1e-9; v += step) {
+      values.push(parseFloat(v.toFixed(6)));
+    }
+    return values;
+  }
+
+  return value.split(',').map(Number).filter(v => !isNaN(v));
+}
+
+function buildSweepGrid(baseConfig, ranges) {
+  let grid = [{ ...baseConfig }];
+
+  for (const [param, values] of Object.entries(ranges)) {
+    const expanded = [];
+    for (const combo of grid) {
+      for (const value of values) {
+        expanded.push({ ...combo, [param]: value });
+      }
+    }
+    grid = expanded;
+  }
+
+  return grid;
+}
+
+class ParameterSweep {
+  constructor(entries, options) {
+    this.entries = entries; // записи одного символу, відсортовані за ts
+    this.symbol = options.symbol;
+    this.ranges = options.ranges;
+    this.horizon = options.horizon;
+    this.objective = options.objective;
+    this.maxAlertsPerDay = options.maxAlertsPerDay || null;
+    this.minAlerts = options.minAlerts || 1;
+
+    const first = entries.length > 0 ? entries[0].ts : 0;
+    const last = entries.length > 0 ? entries[entries.length - 1].ts : 0;
+    this.days = Math.max((last - first) / 86_400_000, 1 / 24);
+  }
+
+  async runCombination(candidate) {
+    const original = CONFIG.SYMBOL_CONFIGS[this.symbol];
+    CONFIG.SYMBOL_CONFIGS[this.symbol] = { ...candidate, enabled: true };
+
+    try {
+      const entries = this.entries;
+      const backtester = new Backtester(async function* () {
+        yield* entries;
+      }, [this.horizon]);
+      const report = await backtester.run();
+      const summary = report.total.horizons[this.horizon];
+
+      return {
+        config: candidate,
+        alerts: report.total.alerts,
+        alertsPerDay: report.total.alerts / this.days,
+        ...summary
+      };
+    } finally {
+      CONFIG.SYMBOL_CONFIGS[this.symbol] = original;
+    }
+  }
+
+  isEligible(result) {
+    if (!result.count || result.count < this.minAlerts) return false;
+    if (this.maxAlertsPerDay && result.alertsPerDay > this.maxAlertsPerDay) return false;
+    return true;
+  }
+
+  async run(onProgress = null) {
+    const baseConfig = { ...CONFIG.getSymbolConfig(this.symbol) };
+    delete baseConfig.enabled;
+
+    const grid = buildSweepGrid(baseConfig, this.ranges);
+    const results = [];
+
+    for (let i = 0; i < grid.length; i++) {
+      const result = await this.runCombination(grid[i]);
+      result.score = this.isEligible(result) ? SWEEP_OBJECTIVES[this.objective](result) : null;
+      results.push(result);
+
+      if (onProgress) onProgress(i + 1, grid.length);
+    }
+
+    return results
+      .filter(r => r.score !== null)
+      .sort((a, b) => b.score - a.score || b.count - a.count);
+  }
+}
+
+// Числа у стилі CONFIG: 1_500_000, 65.0, 0.5
+function formatConfigNumber(key, value) {
+  if (Number.isInteger(value) && Math.abs(value) >= 10_000) {
+    return String(value).replace(/\B(?=(\d{3})+(?!\d))/g, '_');
+  }
+  if (key === 'minDominance' && Number.isInteger(value)) {
+    return value.toFixed(1);
+  }
+  return String(value);
+}
+
+function formatSymbolConfigsBlock(configs) {
+  const lines = ['  SYMBOL_CONFIGS: {'];
+  const symbols = Object.keys(configs);
+
+  symbols.forEach((symbol, i) => {
+    const config = { ...configs[symbol], enabled: true };
+    const fields = Object.entries(config).map(([key, value]) => {
+      const formatted = typeof value === 'number' ? formatConfigNumber(key, value) : String(value);
+      return `      ${key}: ${formatted}`;
+    });
+
+    lines.push(`    '${symbol}': {`);
+    lines.push(fields.join(',\n'));
+    lines.push(`    }${i < symbols.length - 1 ? ',' : ''}`);
+  });
+
+  lines.push('  },');
+  return lines.join('\n');
+}
+
+// ============================================================================
+// CLI COMMANDS
+// ============================================================================
+
+// Простий парсер: позиційні аргументи в `_`, `--key value` та `--flag`
+function parseCliArgs(args) {
+  const options = { _: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const next = args[i + 1];
+
+      if (next !== undefined && !next.startsWith('--')) {
+        options[key] = next;
+        i++;
+      } else {
+        options[key] = true;
+      }
+    } else {
+      options._.push(arg);
+    }
+  }
+
+  return options;
+}
+
+// node index.js replay <file|dir>... [--out alerts.ndjson] [--strict]
+// --strict: помилка, якщо алерти не збігаються з записаними (для тестів на фікстурах)
+async function runReplayCommand(args) {
+  const options = parseCliArgs(args);
+  const inputs = options._.length > 0 ? options._ : [CONFIG.RECORD_DIR];
+  const files = SessionReplayer.resolveFiles(inputs);
+
+  if (files.length === 0) {
+    throw new Error(`Не знайдено файлів запису в ${inputs.join(', ')}`);
+  }
+
+  console.log(`[REPLAY] Файлів: ${files.length}`);
+
+  const replayer = new SessionReplayer(files);
+  const result = await replayer.run();
+
+  console.log('='.repeat(70));
+  console.log(`[REPLAY] Повідомлень: ${result.entries} | Алертів: ${result.alerts.length}`);
+
+  result.alerts.forEach(alert => {
+    console.log(`  ${new Date(alert.sentAt).toISOString()} ${alert.symbol} ${alert.finalDirection} ${alert.decision} | Vol=$${(alert.volume / 1e6).toFixed(2)}M | Δ=${alert.priceChange}%`);
+  });
+
+  if (result.expected.length > 0) {
+    console.log(`[REPLAY] Збіг з записаними алертами: ${result.matched}/${result.expected.length} | Відсутні: ${result.missing.length} | Зайві: ${result.extra.length}`);
+  }
+
+  if (typeof options.out === 'string') {
+    fs.writeFileSync(options.out, result.alerts.map(a => JSON.stringify(a)).join('\n') + '\n');
+    console.log(`[REPLAY] Алерти збережено в ${options.out}`);
+  }
+
+  if (options.strict) {
+    if (result.expected.length === 0) {
+      throw new Error('--strict: у записі немає алертів для порівняння');
+    }
+    if (result.missing.length > 0 || result.extra.length > 0) {
+      [...result.missing.map(a => ['-', a]), ...result.extra.map(a => ['+', a])].forEach(([mark, alert]) => {
+        console.log(`  ${mark} ${SessionReplayer.alertKey(alert)}`);
+      });
+      throw new Error(`--strict: відсутні ${result.missing.length}, зайві ${result.extra.length}`);
+    }
+  }
+
+  return result;
+}
+
+// node index.js backtest [recordings...] [--trades SYM=file.csv,...] [--oi SYM=file.csv,...]
+//   [--horizons 1,5,15,60] [--out report.json] [--quiet]
+async function runBacktestCommand(args) {
+  const options = parseCliArgs(args);
+  const horizons = typeof options.horizons === 'string'
+    ? options.horizons.split(',').map(Number).filter(n => n > 0)
+    : CONFIG.BACKTEST_HORIZONS_MINUTES;
+
+  const backtester = new Backtester(createHistorySource(options), horizons);
+  const report = await withQuietLogs(options.quiet, () => backtester.run());
+
+  console.log('='.repeat(70));
+  console.log(`[BACKTEST] Повідомлень: ${report.entries} | Алертів: ${report.total.alerts}`);
+  console.log('  (hit rate | середній рух | MAE середній/максимальний)');
+  console.log(formatBacktestRow('TOTAL', report.total, horizons));
+
+  console.log('По символах:');
+  Object.entries(report.bySymbol).forEach(([symbol, summary]) => {
+    console.log(formatBacktestRow(symbol, summary, horizons));
+  });
+
+  console.log('По decision:');
+  Object.entries(report.byDecision).forEach(([decision, summary]) => {
+    console.log(formatBacktestRow(decision, summary, horizons));
+  });
+
+  if (typeof options.out === 'string') {
+    fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+    console.log(`[BACKTEST] Звіт збережено в ${options.out}`);
+  }
+
+  return report;
+}
+
+// node index.js sweep [recordings...] [--trades ...] [--oi ...] --minDominance 60:75:5
+//   [--symbols A,B] [--objective expectancy|total|precision] [--horizon 15]
+//   [--alerts-per-day N] [--min-alerts 3] [--top 10] [--max-combos 2000] [--verbose]
+async function runSweepCommand(args) {
+  const options = parseCliArgs(args);
+  const objective = typeof options.objective === 'string' ? options.objective : 'expectancy';
+  const horizon = parseInt(options.horizon) || 15;
+  const top = parseInt(options.top) || 10;
+  const maxCombos = parseInt(options['max-combos']) || 2000;
+
+  if (!SWEEP_OBJECTIVES[objective]) {
+    throw new Error(`Невідома ціль "${objective}" (${Object.keys(SWEEP_OBJECTIVES).join(', ')})`);
+  }
+
+  const ranges = {};
+  SWEEP_PARAMS.forEach(param => {
+    if (typeof options[param] === 'string') {
+      ranges[param] = parseSweepRange(options[param]);
+    }
+  });
+
+  if (Object.keys(ranges).length === 0) {
+    throw new Error(`Не вказано жодного діапазону (${SWEEP_PARAMS.map(p => `--${p}`).join(', ')})`);
+  }
+
+  const comboCount = Object.values(ranges).reduce((total, values) => total * values.length, 1);
+  if (comboCount > maxCombos) {
+    throw new Error(`Забагато комбінацій: ${comboCount} > ${maxCombos} (--max-combos)`);
+  }
+
+  // Дані завантажуємо один раз і групуємо за символом
+  const entriesBySymbol = new Map();
+  for await (const entry of createHistorySource(options)()) {
+    if (!entry.symbol || entry.source === 'alert') continue;
+    if (!entriesBySymbol.has(entry.symbol)) entriesBySymbol.set(entry.symbol, []);
+    entriesBySymbol.get(entry.symbol).push(entry);
   }
 
-  connectAll() {
-    console.log(`[WS] Підключення до ${this.symbols.length} символів (Binance)...`);
-    
-    // Connect with small delays
-    this.symbols.forEach((symbol, i) => {
-      setTimeout(() => this.connectSymbol(symbol), i * 200);
-    });
+  const requested = typeof options.symbols === 'string'
+    ? options.symbols.split(',').map(s => s.toUpperCase())
+    : Array.from(entriesBySymbol.keys());
+  const symbols = requested.filter(symbol => CONFIG.getSymbolConfig(symbol) && entriesBySymbol.has(symbol));
+
+  if (symbols.length === 0) {
+    throw new Error('Немає даних для жодного налаштованого символу');
   }
 
-  connectSymbol(symbol) {
-    const streamName = `${symbol.toLowerCase()}@aggTrade`;
-    const url = `${CONFIG.BINANCE_WS}/${streamName}`;
-    
-    const ws = new WebSocket(url);
+  console.log(`[SWEEP] Символів: ${symbols.length} | Комбінацій на символ: ${comboCount} | Ціль: ${objective} @ ${horizon}m`);
 
-    ws.on('open', () => {
-      console.log(`[WS] ${symbol} підключено`);
-      this.reconnectAttempts.set(symbol, 0);
-    });
+  const bestConfigs = {};
 
-    ws.on('message', (data) => {
-      this.handleMessage(symbol, data);
+  for (const symbol of symbols) {
+    const sweep = new ParameterSweep(entriesBySymbol.get(symbol), {
+      symbol,
+      ranges,
+      horizon,
+      objective,
+      maxAlertsPerDay: parseFloat(options['alerts-per-day']) || null,
+      minAlerts: parseInt(options['min-alerts']) || 1
     });
 
-    ws.on('error', (error) => {
-      console.error(`[WS] ${symbol} помилка:`, error.message);
-    });
+    const ranked = await withQuietLogs(!options.verbose, () => sweep.run());
 
-    ws.on('close', () => {
-      console.log(`[WS] ${symbol} закрито`);
-      this.reconnectSymbol(symbol);
+    console.log('='.repeat(70));
+    console.log(`[SWEEP] ${symbol}: ${ranked.length} придатних комбінацій`);
+
+    ranked.slice(0, top).forEach((result, i) => {
+      const params = Object.keys(ranges).map(p => `${p}=${result.config[p]}`).join(' ');
+      console.log(`  #${i + 1} score=${result.score.toFixed(3)} | n=${result.count} (${result.alertsPerDay.toFixed(1)}/день) | hit=${result.hitRate.toFixed(0)}% | avg=${result.avgMove.toFixed(2)}% | MAE=${result.avgMAE.toFixed(2)}% | ${params}`);
     });
 
-    this.connections.set(symbol, ws);
+    bestConfigs[symbol] = ranked.length > 0 ? ranked[0].config : { ...CONFIG.getSymbolConfig(symbol) };
+    delete bestConfigs[symbol].enabled;
   }
 
-  handleMessage(symbol, data) {
-    try {
-      const trade = JSON.parse(data);
-      
-      const price = parseFloat(trade.p);
-      const quantity = parseFloat(trade.q);
-      const timestamp = trade.T;
-      const isBuyerMaker = trade.m;
-      
-      this.tradeAggregator.addTrade(symbol, timestamp, price, quantity, isBuyerMaker);
-      this.tradeCount++;
-      
-      // Перевірка Trading Hours
-      if (!CONFIG.isWithinTradingHours()) {
-        return; // Не обробляємо алерти поза робочими годинами
-      }
-      
-      // Check for signal
-      const stats = this.tradeAggregator.getStats(symbol);
-      const config = CONFIG.getSymbolConfig(symbol);
-      
-      if (stats && config && stats.totalVolume >= config.minVolumeUSD * 0.5) {
-        if (this.signalEngine.shouldAlert(symbol, stats)) {
-          if (this.cooldownManager.canAlert(symbol, stats)) {
-            // Отримуємо OI статистику
-            const oiStats = this.oiTracker ? this.oiTracker.getOIStats(symbol) : null;
-            
-            const interpretation = this.signalEngine.interpretSignal(stats, oiStats);
-            
-            // Логування метрик
-            this.logAlertMetrics(symbol, stats, interpretation, oiStats);
-            
-            this.alertManager.sendAlert(symbol, stats, interpretation, oiStats);
-            this.cooldownManager.recordAlert(symbol, stats);
-            this.tradeAggregator.resetSymbol(symbol);
-          }
-        }
-      }
-      
-      this.logStats();
-      
-    } catch (error) {
-      console.error(`[WS] ${symbol} помилка парсингу:`, error.message);
-    }
-  }
+  console.log('='.repeat(70));
+  console.log('[SWEEP] Найкращі налаштування:');
+  console.log(formatSymbolConfigsBlock(bestConfigs));
 
-  logAlertMetrics(symbol, stats, interpretation, oiStats) {
-    console.log(`[ALERT-METRICS] ${symbol}:`, {
-      oiNow: oiStats?.oiNow?.toFixed(0) || 'N/A',
-      oi5mAgo: oiStats?.oi5mAgo?.toFixed(0) || 'N/A',
-      oiDeltaPct: oiStats?.oiDeltaPct?.toFixed(2) || 'N/A',
-      priceDeltaPct: oiStats?.priceDeltaPct?.toFixed(2) || 'N/A',
-      oiUsed: interpretation.oiUsed,
-      oiDeltaPassed: interpretation.oiDeltaPassed,
-      oiPricePassed: interpretation.oiPricePassed,
-      decision: interpretation.decision,
-      finalDirection: interpretation.finalDirection
-    });
+  return bestConfigs;
+}
+
+// node index.js journal [--db alerts.db] [--symbol BTCUSDT] [--decision ENTER] [--direction LONG]
+//   [--from 2024-01-01] [--to 2024-01-31] [--limit 100] [--csv alerts.csv] [--divergences]
+async function runJournalCommand(args) {
+  const options = parseCliArgs(args);
+  const dbPath = typeof options.db === 'string' ? options.db : CONFIG.JOURNAL_PATH;
+
+  if (!fs.existsSync(dbPath)) {
+    throw new Error(`Журнал ${dbPath} не знайдено`);
   }
 
-  logStats() {
-    const now = Date.now();
-    if (now - this.lastStatsLog < CONFIG.STATS_LOG_INTERVAL * 1000) {
-      return;
-    }
+  // Дата без часу в --to включає весь день
+  const parseBound = (value, endOfDay) => {
+    if (typeof value !== 'string') return null;
+    const ts = parseTimestamp(value);
+    if (Number.isNaN(ts)) throw new Error(`Невірна дата: ${value}`);
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? ts + 86_400_000 : ts;
+  };
 
-    const activeSymbols = this.tradeAggregator.getActiveCount();
-    const totalTrades = this.tradeAggregator.getTotalTrades();
-    const alerts = this.alertManager.getCount();
-    const pendingAlerts = this.alertManager.getPendingCount();
-    const connected = Array.from(this.connections.values()).filter(ws => ws.readyState === WebSocket.OPEN).length;
-    
-    let oiInfo = '';
-    if (this.oiTracker && CONFIG.OI_ENABLED) {
-      const sampleSymbol = this.symbols[0];
-      const oiCount = this.oiTracker.getHistoryCount(sampleSymbol);
-      oiInfo = ` | OI: ${oiCount} записів`;
-    }
-    
-    const tradingStatus = CONFIG.TRADING_HOURS_ENABLED 
-      ? (CONFIG.isWithinTradingHours() ? '✅ TRADING' : '⏸️ PAUSED')
-      : '24/7';
-    
-    console.log(`[STATS] ${tradingStatus} | Підключено: ${connected}/${this.symbols.length} | Активних: ${activeSymbols} | Трейдів: ${totalTrades} | Алертів: ${alerts} | Очікує: ${pendingAlerts} | Rate: ${(this.tradeCount / CONFIG.STATS_LOG_INTERVAL).toFixed(0)}/s${oiInfo}`);
-    
-    this.tradeCount = 0;
-    this.lastStatsLog = now;
+  // --divergences: таблиця дивергенцій CVD замість сигналів
+  const table = options.divergences ? 'divergences' : 'alerts';
+  if (table === 'divergences' && typeof options.decision === 'string') {
+    throw new Error('--decision не застосовується до --divergences');
   }
 
-  reconnectSymbol(symbol) {
-    const attempts = this.reconnectAttempts.get(symbol) || 0;
-    
-    if (attempts >= CONFIG.MAX_RECONNECTS) {
-      console.error(`[WS] ${symbol} досягнуто максимум переподключень`);
+  const journal = new AlertJournal(dbPath).open();
+  const rows = journal.query({
+    symbol: typeof options.symbol === 'string' ? options.symbol : null,
+    decision: typeof options.decision === 'string' ? options.decision : null,
+    direction: typeof options.direction === 'string' ? options.direction : null,
+    from: parseBound(options.from, false),
+    to: parseBound(options.to, true),
+    limit: parseInt(options.limit) || null
+  }, table);
+  const total = journal.getCount(table);
+  journal.close();
+
+  console.log('='.repeat(70));
+  console.log(`[JOURNAL] Знайдено: ${rows.length} з ${total}`);
+
+  rows.forEach(row => {
+    if (table === 'divergences') {
+      console.log(`  ${new Date(row.sent_at).toISOString()} ${row.symbol} ${row.direction} ${row.type} (${row.timeframe}) | $${row.price_extreme} (${row.price_extension_pct >= 0 ? '+' : ''}${row.price_extension_pct.toFixed(2)}%) | CVD розрив $${(row.cvd_gap_usd / 1e6).toFixed(2)}M | TG: ${row.telegram_message_id ?? row.telegram_status}`);
       return;
     }
+    const finalCheck = row.final_check_changed ? ' | ✏️ final-check' : '';
+    const oi = row.oi_delta_pct !== null ? ` | OI Δ=${row.oi_delta_pct.toFixed(2)}%` : '';
+    console.log(`  ${new Date(row.sent_at).toISOString()} ${row.symbol} ${row.direction} ${row.decision} | Vol=$${(row.volume / 1e6).toFixed(2)}M | Δ=${row.price_change.toFixed(2)}%${oi} | TG: ${row.telegram_message_id ?? row.telegram_status}${finalCheck}`);
+  });
 
-    this.reconnectAttempts.set(symbol, attempts + 1);
-    
-    setTimeout(() => {
-      console.log(`[WS] ${symbol} переподключення (${attempts + 1}/${CONFIG.MAX_RECONNECTS})...`);
-      this.connectSymbol(symbol);
-    }, 5000 * (attempts + 1));
+  if (typeof options.csv === 'string') {
+    fs.writeFileSync(options.csv, toCsv(rows, Object.keys(JOURNAL_TABLES[table])));
+    console.log(`[JOURNAL] CSV збережено в ${options.csv}`);
   }
 
-  closeAll() {
-    for (const ws of this.connections.values()) {
-      ws.close();
-    }
-    this.connections.clear();
-  }
+  return rows;
 }
 
-// ============================================================================
-// MAIN APPLICATION
-// ============================================================================
+// Локальний приймач для перевірки доставки webhooks
+// node index.js webhook-receiver [--port 8787] [--secret S] [--fail-rate 0.3] [--max-skew-seconds 300]
+function runWebhookReceiverCommand(args) {
+  const options = parseCliArgs(args);
+  const port = parseInt(options.port) || 8787;
+  const secret = typeof options.secret === 'string' ? options.secret : CONFIG.WEBHOOK_SECRET;
+  const failRate = parseFloat(options['fail-rate']) || 0;
+  const maxSkewMs = (parseInt(options['max-skew-seconds']) || 300) * 1000;
+  const seen = new Set();
+  const counts = { accepted: 0, duplicate: 0, rejected: 0, failed: 0 };
 
-class BinanceFuturesFlowBot {
-  constructor() {
-    this.telegram = new TelegramBot(CONFIG.TELEGRAM_TOKEN, { polling: false });
-    this.tradeAggregator = new TradeAggregator(CONFIG.WINDOW_SECONDS);
-    
-    const symbols = CONFIG.getEnabledSymbols();
-    
-    // Ініціалізація OKX OI Tracker якщо увімкнено
-    this.oiTracker = null;
-    if (CONFIG.OI_ENABLED) {
-      this.oiTracker = new OKXOpenInterestTracker(
-        symbols,
-        CONFIG.OI_WINDOW_SECONDS,
-        CONFIG.OI_HISTORY_MINUTES
-      );
+  const reply = (res, status, text) => {
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(text);
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      return reply(res, 405, 'method not allowed');
     }
-    
-    this.signalEngine = new SignalEngine(this.oiTracker);
-    this.cooldownManager = new CooldownManager();
-    this.alertManager = new AlertManager(this.telegram, this.oiTracker);
-    this.wsManager = null;
-  }
 
-  async start() {
-    const symbols = CONFIG.getEnabledSymbols();
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const id = req.headers['idempotency-key'];
+      const timestamp = req.headers['x-signal-timestamp'];
+      const attempt = req.headers['x-signal-attempt'];
+
+      if (secret) {
+        if (!verifyWebhookSignature(secret, timestamp, body, req.headers['x-signal-signature'])) {
+          counts.rejected++;
+          console.warn(`[RECEIVER] ❌ ${id}: невірний підпис`);
+          return reply(res, 401, 'invalid signature');
+        }
+        if (Math.abs(Date.now() - Number(timestamp)) > maxSkewMs) {
+          counts.rejected++;
+          console.warn(`[RECEIVER] ❌ ${id}: застарілий timestamp`);
+          return reply(res, 401, 'stale timestamp');
+        }
+      }
+
+      // Імітація збоїв для перевірки повторів
+      if (Math.random() < failRate) {
+        counts.failed++;
+        console.log(`[RECEIVER] 💥 ${id} (спроба ${attempt}): імітація 503`);
+        return reply(res, 503, 'simulated failure');
+      }
+
+      if (seen.has(id)) {
+        counts.duplicate++;
+        console.log(`[RECEIVER] ↩️ ${id} (спроба ${attempt}): дублікат, пропущено`);
+        return reply(res, 200, 'duplicate');
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        counts.rejected++;
+        return reply(res, 400, 'invalid json');
+      }
+
+      seen.add(id);
+      counts.accepted++;
+      const details = payload.event === 'divergence'
+        ? `CVD ${payload.type} (${payload.timeframe}) | розрив $${payload.cvdGapUSD}`
+        : `${payload.decision} | oiUsed=${payload.oiUsed} oiΔ=${payload.oiDeltaPct}`;
+      console.log(`[RECEIVER] ✅ ${id} (спроба ${attempt}) ${payload.symbol} ${payload.direction} ${details}`);
+      reply(res, 200, 'ok');
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(port, () => {
+      console.log(`[RECEIVER] Слухаю http://localhost:${port} | Підпис: ${secret ? 'перевіряється' : 'не перевіряється'}${failRate > 0 ? ` | Збої: ${(failRate * 100).toFixed(0)}%` : ''}`);
+    });
+
+    const stop = () => {
+      console.log(`\n[RECEIVER] Прийнято: ${counts.accepted} | Дублікатів: ${counts.duplicate} | Відхилено: ${counts.rejected} | Імітованих збоїв: ${counts.failed}`);
+      server.close(() => resolve(counts));
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
+
+// node index.js bench [--symbols 100] [--trades 1000000] [--rate N] [--verify [every]]
+// Синтетичний потік через TradeAggregator: addTrade + getStats кожного вікна (burst/main/grind) на трейд;
+// --rate - трейдів/с ринкового часу (визначає, скільки трейдів тримають вікна), за замовчуванням -
+// так, щоб потік тривав удвічі довше за найдовше вікно (витіснення з grind теж вимірюється)
+// --verify - кожен every-й трейд першого символу звіряє stats вікон з наївним filter/sum (повільніше)
+function runBenchCommand(args) {
+  const options = parseCliArgs(args);
+  const symbolCount = parseInt(options.symbols) || 100;
+  const totalTrades = parseInt(options.trades) || 1_000_000;
+  
+  const windows = { burst: { seconds: 30 }, main: { seconds: CONFIG.WINDOW_SECONDS }, grind: { seconds: 900 } };
+  const longestSeconds = Math.max(...Object.values(windows).map(w => w.seconds));
+  const rate = parseInt(options.rate) || Math.max(1, Math.floor(totalTrades / (longestSeconds * 2)));
+  const marketSeconds = totalTrades / rate;
+  if (marketSeconds <= longestSeconds) {
+    console.warn(`[BENCH] Потік ${marketSeconds.toFixed(0)}s ринкового часу не довший за вікно ${longestSeconds}s - витіснення з нього не вимірюється`);
+  }
+  
+  const symbols = Array.from({ length: symbolCount }, (_, i) => `BENCH${i}USDT`);
+  symbols.forEach(symbol => {
+    CONFIG.SYMBOL_CONFIGS[symbol] = { ...CONFIG.DEFAULT_SYMBOL_CONFIG, windows };
+  });
+  
+  const verifyEvery = options.verify ? (parseInt(options.verify) || 97) : 0;
+  const verifier = verifyEvery > 0 ? new BenchVerifier(windows) : null;
+  
+  const aggregator = new TradeAggregator(CONFIG.WINDOW_SECONDS);
+  const windowNames = Object.keys(windows);
+  const prices = symbols.map(() => 100);
+  let seed = 42; // Детермінований random walk (LCG): ціна виходить за попередні екстремуми
+  const startTime = systemClock.now();
+  const startedAt = process.hrtime.bigint();
+  
+  for (let i = 0; i < totalTrades; i++) {
+    const s = i % symbolCount;
+    seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+    prices[s] *= 1 + ((seed / 0x100000000) - 0.5) * 0.001;
     
-    console.log('='.repeat(70));
-    console.log('BINANCE FUTURES AGGRESSIVE FLOW MONITOR (OKX OI Edition)');
-    console.log('='.repeat(70));
-    console.log(`Символів: ${symbols.length} | Вікно: ${CONFIG.WINDOW_SECONDS}s`);
-    console.log(`Open Interest: ${CONFIG.OI_ENABLED ? `✅ OKX WebSocket (вікно ${CONFIG.OI_WINDOW_SECONDS}s)` : '❌ Вимкнено'}`);
+    const timestamp = startTime + Math.floor((i * 1000) / rate);
+    const venue = i % 4 === 0 ? 'okx' : PRIMARY_VENUE;
+    const quantity = 1 + (i % 50);
+    const isBuyerMaker = i % 3 === 0;
+    aggregator.addTrade(symbols[s], timestamp, prices[s], quantity, isBuyerMaker, venue);
     
-    if (CONFIG.OI_ENABLED) {
-      console.log(`OI Filters: Min OI Δ=${CONFIG.OI_MIN_DELTA_PERCENT}% | Min Price Δ=${CONFIG.OI_MIN_PRICE_CHANGE_PERCENT}%`);
+    for (const name of windowNames) {
+      aggregator.getStats(symbols[s], null, name);
     }
     
-    if (CONFIG.TRADING_HOURS_ENABLED) {
-      console.log(`Trading Hours: ${CONFIG.TRADING_START_HOUR_UTC}:00-${CONFIG.TRADING_END_HOUR_UTC}:00 UTC`);
-      console.log(`Поточний статус: ${CONFIG.isWithinTradingHours() ? '✅ TRADING' : '⏸️ PAUSED'}`);
-    } else {
-      console.log('Trading Hours: 24/7');
+    if (verifier && s === 0) {
+      verifier.addTrade(timestamp, prices[s], quantity, isBuyerMaker, venue);
+      if (verifier.tradeCount % verifyEvery === 0) {
+        verifier.check(aggregator, symbols[s], timestamp);
+      }
     }
+  }
+  
+  const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+  const throughput = totalTrades / (elapsedMs / 1000);
+  const buffered = aggregator.getTotalTrades();
+  
+  console.log(`[BENCH] Символів: ${symbolCount} | Трейдів: ${totalTrades} | Вікна: ${windowNames.map(name => `${name} ${windows[name].seconds}s`).join(', ')}`);
+  console.log(`[BENCH] Ринковий час: ${marketSeconds.toFixed(0)}s (${rate}/s) | У буферах: ${buffered} трейдів | Витіснено: ${totalTrades - buffered}`);
+  console.log(`[BENCH] ${elapsedMs.toFixed(0)}ms → ${throughput.toFixed(0)} трейдів/s (${((elapsedMs * 1000) / totalTrades).toFixed(2)}µs на трейд)${verifier ? ' - з перевіркою' : ''}`);
+  
+  if (verifier) {
+    console.log(`[BENCH] Перевірено: ${verifier.checks} знімків вікон | Розбіжностей: ${verifier.failures.length}`);
+    verifier.failures.slice(0, 10).forEach(failure => console.log(`  ❌ ${failure}`));
+    if (verifier.failures.length > 0) {
+      throw new Error(`RollingWindow розходиться з наївним підрахунком (${verifier.failures.length})`);
+    }
+  }
+}
+
+// Еталон для bench --verify: трейди символу в масиві, stats вікна - filter/sum за cutoff
+class BenchVerifier {
+  constructor(windows) {
+    this.windows = windows;
+    this.windowMs = Math.max(...Object.values(windows).map(w => w.seconds)) * 1000;
+    this.trades = [];
+    this.tradeCount = 0;
+    this.checks = 0;
+    this.failures = [];
+  }
+
+  addTrade(timestamp, price, quantity, isBuyerMaker, venue) {
+    const volume = price * quantity;
+    this.trades.push({ timestamp, price, venue, buyVol: isBuyerMaker ? 0 : volume, sellVol: isBuyerMaker ? volume : 0 });
+    this.tradeCount++;
     
-    console.log('Налаштування символів:');
-    
-    symbols.forEach(symbol => {
-      const config = CONFIG.getSymbolConfig(symbol);
-      console.log(`  ${symbol}: Vol=$${(config.minVolumeUSD / 1e6).toFixed(1)}M | Dom=${config.minDominance}% | Δ=${config.minPriceChange}%`);
-    });
-    
-    console.log('='.repeat(70));
-    console.log(`Формат алертів: ${CONFIG.ALERT_FORMAT}`);
-    console.log(`Інтеграція торгового бота: ${CONFIG.TRADING_BOT_ENABLED ? 'Увімкнено' : 'Вимкнено'}`);
-    console.log('='.repeat(70));
+    if (this.trades[0].timestamp < timestamp - this.windowMs) {
+      this.trades = this.trades.filter(t => t.timestamp >= timestamp - this.windowMs);
+    }
+  }
 
-    // Test Telegram
-    try {
-      const startMessage = symbols.map(s => {
-        const c = CONFIG.getSymbolConfig(s);
-        return `• ${s}: $${(c.minVolumeUSD / 1e6).toFixed(1)}M | ${c.minDominance}% | ${c.minPriceChange}%`;
-      }).join('\n');
+  check(aggregator, symbol, now) {
+    for (const [name, { seconds }] of Object.entries(this.windows)) {
+      this.checks++;
+      const trades = this.trades.filter(t => t.timestamp >= now - seconds * 1000);
+      const primary = trades.filter(t => t.venue === PRIMARY_VENUE);
+      const lastPrice = primary.length > 0 ? primary[primary.length - 1].price : trades[trades.length - 1].price;
+      const buyVolume = trades.reduce((sum, t) => sum + t.buyVol, 0);
+      const sellVolume = trades.reduce((sum, t) => sum + t.sellVol, 0);
+      const firstPrice = primary.length > 0 ? primary[0].price : trades[0].price;
       
-      let tradingHoursMsg = '';
-      if (CONFIG.TRADING_HOURS_ENABLED) {
-        tradingHoursMsg = `\n⏰ Години: ${CONFIG.TRADING_START_HOUR_UTC}:00-${CONFIG.TRADING_END_HOUR_UTC}:00 UTC`;
-      }
+      const expected = {
+        tradeCount: trades.length,
+        buyVolume,
+        sellVolume,
+        priceChange: ((lastPrice - firstPrice) / firstPrice) * 100,
+        priceHigh: primary.length > 0 ? Math.max(...primary.map(t => t.price)) : null,
+        priceLow: primary.length > 0 ? Math.min(...primary.map(t => t.price)) : null,
+        duration: (trades[trades.length - 1].timestamp - trades[0].timestamp) / 1000
+      };
+      const venueVolumes = {};
+      trades.forEach(t => {
+        venueVolumes[t.venue] = (venueVolumes[t.venue] || 0) + t.buyVol + t.sellVol;
+      });
       
-      let oiFiltersMsg = '';
-      if (CONFIG.OI_ENABLED) {
-        oiFiltersMsg = `\n🔧 OI Filters: Min OI Δ=${CONFIG.OI_MIN_DELTA_PERCENT}% | Min Price Δ=${CONFIG.OI_MIN_PRICE_CHANGE_PERCENT}%`;
+      const stats = aggregator.getStats(symbol, null, name);
+      if (!stats) {
+        this.failures.push(`${name} @${now}: stats = null, очікувалось ${trades.length} трейдів`);
+        continue;
       }
       
-      await this.telegram.sendMessage(
-        CONFIG.TELEGRAM_CHAT_ID,
-        `🚀 <b>Binance Futures Monitor Запущено (OKX OI)</b>\n\n` +
-        `<b>📊 Моніторинг ${symbols.length} символів:</b>\n${startMessage}\n\n` +
-        `⚙️ Формат: ${CONFIG.ALERT_FORMAT}\n` +
-        `🤖 Торговий бот: ${CONFIG.TRADING_BOT_ENABLED ? 'ON' : 'OFF'}\n` +
-        `📊 Open Interest: OKX WebSocket (${CONFIG.OI_WINDOW_SECONDS}s)${oiFiltersMsg}${tradingHoursMsg}`,
-        { parse_mode: 'HTML' }
-      );
-      console.log('[TELEGRAM] ✅ Підключено\n');
-    } catch (error) {
-      console.error('[TELEGRAM] ❌ Помилка:', error.message);
-      process.exit(1);
-    }
-
-    // Запуск OKX OI Tracker
-    if (this.oiTracker) {
-      this.oiTracker.start();
+      for (const [field, value] of Object.entries(expected)) {
+        if (!BenchVerifier.close(stats[field], value)) {
+          this.failures.push(`${name} @${now}: ${field} ${stats[field]} ≠ ${value}`);
+        }
+      }
+      for (const [venue, volume] of Object.entries(venueVolumes)) {
+        const actual = stats.venues[venue] ? stats.venues[venue].totalVolume : 0;
+        if (!BenchVerifier.close(actual, volume)) {
+          this.failures.push(`${name} @${now}: venues.${venue} ${actual} ≠ ${volume}`);
+        }
+      }
     }
+  }
 
-    // Connect WebSockets (Binance)
-    this.wsManager = new MultiWebSocketManager(
-      symbols,
-      this.tradeAggregator,
-      this.signalEngine,
-      this.cooldownManager,
-      this.alertManager,
-      this.oiTracker
-    );
-    
-    this.wsManager.connectAll();
-
-    // Graceful shutdown
-    process.on('SIGINT', () => this.shutdown());
-    process.on('SIGTERM', () => this.shutdown());
+  // Суми, що оновлюються інкрементально, накопичують похибку округлення
+  static close(actual, expected) {
+    if (actual === expected) return true;
+    if (actual === null || expected === null) return false;
+    return Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected));
   }
+}
 
-  async shutdown() {
-    console.log('\n[SHUTDOWN] Зупинка...');
-    
-    if (this.oiTracker) {
-      this.oiTracker.stop();
+// node index.js rules [fixtures.json] [--symbol BTCUSDT]
+// Без fixtures - ефективні правила символу; з fixtures - перевірка рішень:
+//   [{ name, symbol, symbolConfig, stats, oiStats, funding, expect: { decision, direction, rule } }]
+// funding - як FundingTracker.getFundingStats; stats - мінімум dominantSide, totalVolume, dominance, priceChange;
+// symbolConfig - поля конфігу symbol лише на час кейсу (rules, oiMinDeltaPercent...)
+function runRulesCommand(args) {
+  const options = parseCliArgs(args);
+  const fixturesPath = options._[0];
+  
+  if (!fixturesPath) {
+    const symbol = typeof options.symbol === 'string' ? options.symbol : null;
+    console.log(`[RULES] Правила${symbol ? ` ${symbol}` : ''} (за пріоритетом):`);
+    CONFIG.getDecisionRules(symbol).forEach(rule => {
+      const when = Object.entries(rule.when || {})
+        .map(([path, conditions]) => Object.entries(conditions).map(([op, arg]) => `${path} ${op} ${JSON.stringify(arg)}`).join(' & '))
+        .join(' & ');
+      console.log(`  [${rule.priority || 0}] ${rule.name}: ${when || 'завжди'} → ${rule.direction} ${rule.decision}`);
+    });
+    return;
+  }
+  
+  const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  let failed = 0;
+  
+  fixtures.forEach((fixture, index) => {
+    const name = fixture.name || `#${index + 1}`;
+    const symbol = fixture.symbol || null;
+    if (fixture.symbolConfig && !symbol) {
+      throw new Error(`${name}: symbolConfig потребує symbol`);
     }
     
-    if (this.wsManager) {
-      this.wsManager.closeAll();
+    const previousConfig = symbol ? CONFIG.SYMBOL_CONFIGS[symbol] : undefined;
+    if (fixture.symbolConfig) {
+      CONFIG.SYMBOL_CONFIGS[symbol] = { ...(previousConfig || CONFIG.DEFAULT_SYMBOL_CONFIG), ...fixture.symbolConfig };
     }
     
-    if (this.alertManager) {
-      this.alertManager.stop();
+    const oiTracker = { getOIStats: () => fixture.oiStats || null };
+    const fundingTracker = { getFundingStats: () => fixture.funding || null };
+    const engine = new SignalEngine(oiTracker, systemClock, null, fundingTracker);
+    const stats = { duration: 0, ...fixture.stats };
+    let interpretation;
+    try {
+      interpretation = engine.interpretSignal(stats, fixture.oiStats || null, symbol);
+    } finally {
+      if (fixture.symbolConfig) {
+        if (previousConfig) CONFIG.SYMBOL_CONFIGS[symbol] = previousConfig;
+        else delete CONFIG.SYMBOL_CONFIGS[symbol];
+      }
     }
     
-    await this.telegram.sendMessage(
-      CONFIG.TELEGRAM_CHAT_ID,
-      '⛔ Binance Futures Monitor Зупинено'
-    );
+    const expect = fixture.expect || {};
+    const mismatches = ['decision', 'direction', 'rule']
+      .filter(field => expect[field] !== undefined)
+      .filter(field => (field === 'direction' ? interpretation.finalDirection : interpretation[field]) !== expect[field]);
     
-    process.exit(0);
+    const actual = `${interpretation.finalDirection} ${interpretation.decision} (${interpretation.rule || 'без правила'})`;
+    if (mismatches.length === 0) {
+      console.log(`  ✅ ${name}: ${actual}`);
+    } else {
+      failed++;
+      console.log(`  ❌ ${name}: ${actual} | очікувалось ${JSON.stringify(expect)}`);
+    }
+  });
+  
+  console.log(`[RULES] Пройдено: ${fixtures.length - failed}/${fixtures.length}`);
+  if (failed > 0) {
+    throw new Error(`Не пройдено ${failed} з ${fixtures.length} кейсів`);
   }
 }
 
+const CLI_COMMANDS = {
+  replay: runReplayCommand,
+  backtest: runBacktestCommand,
+  sweep: runSweepCommand,
+  journal: runJournalCommand,
+  bench: runBenchCommand,
+  rules: runRulesCommand,
+  'webhook-receiver': runWebhookReceiverCommand
+};
+
 // ============================================================================
 // STARTUP
 // ============================================================================
 
 if (require.main === module) {
-  const bot = new BinanceFuturesFlowBot();
-  bot.start().catch(error => {
-    console.error('[FATAL]', error);
+  const [command, ...args] = process.argv.slice(2);
+  
+  try {
+    validateEnvConfig();
+  } catch (error) {
+    console.error('[FATAL]', error.message);
     process.exit(1);
-  });
+  }
+  
+  if (CLI_COMMANDS[command]) {
+    Promise.resolve()
+      .then(() => {
+        if (CONFIG.CONFIG_FILE) {
+          new ConfigLoader(CONFIG.CONFIG_FILE).load();
+        }
+        return CLI_COMMANDS[command](args);
+      })
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error('[FATAL]', error.message);
+        process.exit(1);
+      });
+  } else {
+    const bot = new BinanceFuturesFlowBot();
+    bot.start().catch(error => {
+      console.error('[FATAL]', error);
+      process.exit(1);
+    });
+  }
 }
 
-module.exports = { BinanceFuturesFlowBot };
+module.exports = {
+  CONFIG,
+  BinanceFuturesFlowBot,
+  MultiWebSocketManager,
+  SymbolDiscovery,
+  InstrumentRegistry,
+  SessionRecorder,
+  SessionReplayer,
+  SimulatedClock,
+  ConfigLoader,
+  TelegramCommandHandler,
+  Backtester,
+  ForwardReturnTracker,
+  WebhookDispatcher,
+  verifyWebhookSignature,
+  SignalFeedServer,
+  OrderBookManager,
+  FundingTracker,
+  AlertJournal,
+  AlertOutcomeTracker,
+  StateStore,
+  AggregateOpenInterest,
+  createOpenInterestTracker,
+  SignalEngine,
+  DEFAULT_DECISION_RULES,
+  matchesDecisionRule,
+  evaluateDecisionRules,
+  mergeDecisionRules
+};
@@ -0,0 +1,64 @@
+// Тести через CLI: кожен кейс - окремий процес node index.js <команда>, успіх - код виходу 0
+// node test.js [фільтр назви]
+
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const INDEX = path.join(__dirname, 'index.js');
+
+const CASES = [
+  {
+    name: 'bench --verify: RollingWindow/IndexedDeque проти наївного filter/sum',
+    args: ['bench', '--symbols', '5', '--trades', '60000', '--verify', '13']
+  },
+  {
+    name: 'rules: вбудовані правила і рішення NO_OI_DATA / BASE / INCONCLUSIVE',
+    args: ['rules', 'fixtures/rules.json']
+  },
+  {
+    name: 'rules: глобальні rules файлу і часткове перевизначення в символі',
+    args: ['rules', 'fixtures/rules.config.json'],
+    env: { CONFIG_FILE: 'fixtures/rules.config.yaml' }
+  },
+  {
+    name: 'replay --strict: алерти збігаються з записаними, без відсутніх і зайвих',
+    args: ['replay', 'fixtures/replay/session.ndjson', '--strict']
+  }
+];
+
+function runCase(testCase) {
+  const startedAt = Date.now();
+  const result = spawnSync(process.execPath, [INDEX, ...testCase.args], {
+    cwd: __dirname,
+    env: { ...process.env, CONFIG_FILE: '', ...testCase.env },
+    encoding: 'utf8',
+    timeout: testCase.timeoutMs || 120_000
+  });
+  const elapsed = ((Date.now() - startedAt) / 1000).toFixed(1);
+
+  if (result.status === 0) {
+    console.log(`✅ ${testCase.name} (${elapsed}s)`);
+    return true;
+  }
+
+  console.log(`❌ ${testCase.name} (${elapsed}s, код ${result.status ?? result.signal})`);
+  const env = Object.entries(testCase.env || {}).map(([key, value]) => `${key}=${value} `).join('');
+  console.log(`   ${env}node index.js ${testCase.args.join(' ')}`);
+  `${result.stdout || ''}${result.stderr || ''}`.trim().split('\n').slice(-20).forEach(line => console.log(`   ${line}`));
+  return false;
+}
+
+function main() {
+  const filter = process.argv[2];
+  const cases = CASES.filter(testCase => !filter || testCase.name.includes(filter));
+  const failed = cases.filter(testCase => !runCase(testCase)).length;
+
+  console.log(`\nПройдено: ${cases.length - failed}/${cases.length}`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { CASES, runCase };